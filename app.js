@@ -0,0 +1,142 @@
+// Express app tanpa DB connection / background job / listen (index.js), supaya test boleh guna app yang sama
+const express = require('express');
+
+const { API_PREFIX, apiV1, legacyRoutes } = require('./routes');
+const dashboardRoutes = require('./routes/dashboard');
+
+const app = express();
+app.use(express.json());
+
+// Di belakang proxy / load balancer (contoh: Azure), req.ip diambil daripada X-Forwarded-For
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+// ==========================================
+// 1. API ROUTES (routes/*.js)
+// ==========================================
+
+// Versi semasa, termasuk /api/v1/openapi.json & /api/v1/docs
+app.use(API_PREFIX, apiV1);
+
+// ==========================================
+// 2. WEB DASHBOARD (VISUAL UNTUK BROWSER)
+// ==========================================
+app.use('/dashboard', dashboardRoutes);
+
+// ==========================================
+// 3. HOMEPAGE ROUTE (PROFESSIONAL UI)
+// ==========================================
+app.get('/', (req, res) => {
+    res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Group G API Server</title>
+        <style>
+            body {
+                margin: 0;
+                padding: 0;
+                font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+                background: linear-gradient(135deg, #0f2027, #203a43, #2c5364);
+                height: 100vh;
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                color: white;
+            }
+            .container {
+                background: rgba(255, 255, 255, 0.1);
+                backdrop-filter: blur(10px);
+                border-radius: 20px;
+                padding: 50px;
+                box-shadow: 0 8px 32px 0 rgba(0, 0, 0, 0.37);
+                border: 1px solid rgba(255, 255, 255, 0.18);
+                text-align: center;
+                max-width: 600px;
+                width: 90%;
+            }
+            h1 {
+                font-size: 3rem;
+                margin-bottom: 10px;
+                background: -webkit-linear-gradient(#00c6ff, #0072ff);
+                -webkit-background-clip: text;
+                -webkit-text-fill-color: transparent;
+                font-weight: 800;
+            }
+            .subtitle {
+                font-size: 1.2rem;
+                margin-bottom: 30px;
+                color: #e0e0e0;
+                letter-spacing: 1px;
+            }
+            .status-badge {
+                background-color: #2ecc71;
+                color: #000;
+                padding: 8px 20px;
+                border-radius: 50px;
+                font-weight: bold;
+                display: inline-block;
+                margin-bottom: 30px;
+                box-shadow: 0 0 15px rgba(46, 204, 113, 0.5);
+            }
+            .team {
+                margin-top: 40px;
+                border-top: 1px solid rgba(255,255,255,0.2);
+                padding-top: 20px;
+            }
+            .team h3 {
+                font-size: 0.9rem;
+                text-transform: uppercase;
+                color: #aaa;
+                margin-bottom: 10px;
+            }
+            .members {
+                font-size: 1.1rem;
+                font-weight: 500;
+                line-height: 1.6;
+            }
+            .api-info {
+                font-size: 0.8rem;
+                margin-top: 30px;
+                color: #888;
+                font-style: italic;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>GROUP G RIDE</h1>
+            <p class="subtitle">ENTERPRISE API SERVER</p>
+            
+            <div class="status-badge">
+                ● SYSTEM OPERATIONAL
+            </div>
+
+            <p>Welcome to the backend infrastructure for the Ride Hailing System (BENR2423).</p>
+
+            <div class="team">
+                <h3>Developed By Engineering Team:</h3>
+                <div class="members">
+                    Afifikram<br>
+                    Azyzul<br>
+                    Razin
+                </div>
+            </div>
+
+            <div class="api-info">
+                Secure Connection via Azure Cloud • Node.js Environment<br>
+                <a href="/api/v1/docs" style="color: #00c6ff;">API Documentation (v1)</a>
+            </div>
+        </div>
+    </body>
+    </html>
+    `);
+});
+
+// ==========================================
+// 4. DEPRECATED ALIASES (path lama tanpa /api/v1)
+// ==========================================
+app.use(legacyRoutes);
+
+module.exports = app;
@@ -1,10 +1,13 @@
 const mongoose = require('mongoose');
+const { accountStatusFields } = require('./accountStatus');
 
 const AdminSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
+    password: { type: String, required: true, select: false }, // Perlu .select('+password') untuk login
     role: { type: String, default: 'admin' }, // Fixed as admin
+    tokenVersion: { type: Number, default: 0 }, // Naik bila sesi perlu dimatikan
+    ...accountStatusFields,
     phone: { type: String }
 }, { timestamps: true });
 
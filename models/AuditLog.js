@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Audit log: append-only (tiada update / delete dibenarkan melalui model ini)
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        userId: { type: mongoose.Schema.Types.ObjectId }, // Kosong bila actor = 'system' (dispatcher)
+        role: { type: String, required: true } // customer, driver, admin, system
+    },
+    action: { type: String, required: true }, // Contoh: 'PATCH /admin/users/:id/status', 'booking.status'
+    entityType: { type: String, required: true }, // user, customer, driver, vehicle, booking, tariff, promotion, rating, notification
+    entityId: { type: String }, // String sebab tariff dikenal pasti dengan vehicleClass
+    changes: [{
+        _id: false,
+        field: { type: String },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed }
+    }],
+    ip: { type: String },
+    userAgent: { type: String },
+    at: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ 'actor.userId': 1, at: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, at: -1 });
+auditLogSchema.index({ at: -1 });
+
+// --- Append-only ---
+const rejectChange = function () {
+    throw new Error('Audit log is append-only');
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+    auditLogSchema.pre(op, rejectChange);
+});
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) rejectChange();
+});
+// -------------------
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Token sekali guna untuk verifikasi email & reset password (lihat utils/authTokens.js)
+const authTokenSchema = new mongoose.Schema({
+    jti: { type: String, required: true, unique: true }, // Id unik dalam JWT yang dihantar melalui email
+    userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    role: { type: String, required: true },
+    purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date }, // Diset bila token digunakan / dibatalkan oleh token yang lebih baru
+    createdAt: { type: Date, default: Date.now }
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+
+// MongoDB buang token yang dah expired secara automatik
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
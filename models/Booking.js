@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const pointSchema = require('./pointSchema');
+const { BOOKING_STATUSES } = require('../utils/bookingStatus');
 
 const bookingSchema = new mongoose.Schema({
     customer: { 
@@ -10,22 +12,93 @@ const bookingSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId, 
         ref: 'Driver' // Mula-mula kosong, bila driver accept baru isi
     },
-    pickupLocation: { type: String, required: true },
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' }, // Kenderaan aktif driver semasa accept
+    pickupLocation: { type: String, required: true }, // Label alamat (contoh: "KL Sentral")
     dropoffLocation: { type: String, required: true },
-    fare: { type: Number, required: true },
+
+    // --- Koordinat GeoJSON untuk pickup & dropoff ---
+    pickupPoint: { type: pointSchema, required: true },
+    dropoffPoint: { type: pointSchema, required: true },
+    // ------------------------------------------------
+
+    // --- Multi-stop: hentian tengah ikut urutan (antara pickup & dropoff) ---
+    stops: [{
+        _id: false,
+        location: { type: String, required: true },
+        point: { type: pointSchema, required: true },
+        arrivedAt: { type: Date }
+    }],
+    // -------------------------------------------------------------------------
+
+    // --- Pooled ride (kongsi trip dengan penumpang lain yang sehala) ---
+    rideType: { type: String, enum: ['private', 'pool'], default: 'private' },
+    seats: { type: Number, default: 1 },
+    pool: { type: mongoose.Schema.Types.ObjectId, ref: 'RidePool' },
+    // -------------------------------------------------------------------
+
+    fare: { type: Number, required: true }, // Jumlah akhir (= fareBreakdown.total - discount)
+
+    // --- Fare engine (dikira di server) ---
+    vehicleClass: { type: String, default: 'economy' }, // Kategori yang diminta customer (hanya driver dengan kenderaan aktif sama nampak job)
+    duration: { type: Number }, // Anggaran masa perjalanan (minit)
+    fareBreakdown: {
+        baseFare: Number,
+        distanceFare: Number,
+        timeFare: Number,
+        surgeMultiplier: Number,
+        minimumFare: Number,
+        total: Number, // Sebelum diskaun (pool: harga maksimum yang dijanjikan)
+        discount: Number,
+        soloTotal: Number, // Pool sahaja: tambang kalau naik seorang
+        poolShare: Number // Pool sahaja: bahagian tambang laluan pool
+    },
+    // --------------------------------------
+
+    // --- Promo code ---
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    promoCode: { type: String },
+    discount: { type: Number, default: 0 }, // RM
+    // ------------------
     
     // --- BARU TAMBAH (Untuk Lab Week 7) ---
     distance: { 
         type: Number, 
-        required: true // Wajib ada untuk kira 'avgDistance' nanti
+        required: true // Dikira oleh server dari pickupPoint -> dropoffPoint (km)
     },
     // --------------------------------------
 
+    // --- Scheduled ride (kosong = ride segera) ---
+    scheduledAt: { type: Date },
+    reminderSentAt: { type: Date },
+    escalatedAt: { type: Date },
+    // --------------------------------------------
+
+    // --- Pembatalan ---
+    cancelledBy: { type: String, enum: ['customer', 'driver', 'system'] },
+    cancellationReason: { type: String },
+    cancellationFee: { type: Number, default: 0 },
+    // -----------------
+
+    // --- Payment ---
+    paymentMethod: { type: String, enum: ['wallet', 'cash', 'card'], default: 'cash' },
+    paymentStatus: { type: String, enum: ['unpaid', 'paid', 'failed', 'partially_refunded', 'refunded'], default: 'unpaid' },
+    // ---------------
+
     status: { 
         type: String, 
-        enum: ['pending', 'accepted', 'completed', 'cancelled'], 
+        enum: BOOKING_STATUSES, 
         default: 'pending' 
     },
+
+    // --- Sejarah status (siapa tukar & bila) ---
+    statusHistory: [{
+        _id: false,
+        status: { type: String, enum: BOOKING_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId },
+        role: { type: String },
+        at: { type: Date, default: Date.now }
+    }],
+    // -------------------------------------------
     
     // --- Rating System ---
     rating: { 
@@ -41,4 +114,9 @@ const bookingSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now }
 });
 
+// Index 2dsphere supaya driver boleh cari job yang berdekatan
+bookingSchema.index({ pickupPoint: '2dsphere' });
+bookingSchema.index({ status: 1, scheduledAt: 1 }); // Untuk dispatcher
+bookingSchema.index({ pool: 1 });
+
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
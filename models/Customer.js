@@ -1,11 +1,22 @@
 const mongoose = require('mongoose');
+const { accountStatusFields } = require('./accountStatus');
+const notificationPreferencesSchema = require('./notificationPreferences');
 
 const customerSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
+    password: { type: String, required: true, select: false }, // Perlu .select('+password') untuk login
     phone: { type: String },  // <--- ADDED THIS LINE
-    role: { type: String, default: 'customer' }
+    role: { type: String, default: 'customer' },
+    tokenVersion: { type: Number, default: 0 }, // Naik bila sesi perlu dimatikan
+    ...accountStatusFields,
+    notificationPreferences: { type: notificationPreferencesSchema, default: () => ({}) },
+
+    // --- Rating daripada driver ---
+    averageRating: { type: Number, default: 0 },
+    totalRatings: { type: Number, default: 0 },
+    ratingSum: { type: Number }
+    // ------------------------------
 });
 
 module.exports = mongoose.model('Customer', customerSchema);
\ No newline at end of file
@@ -1,21 +1,62 @@
 const mongoose = require('mongoose');
+const { accountStatusFields } = require('./accountStatus');
+const notificationPreferencesSchema = require('./notificationPreferences');
+const pointSchema = require('./pointSchema');
 
 const driverSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
+    password: { type: String, required: true, select: false }, // Perlu .select('+password') untuk login
     phoneNumber: { type: String, required: true },
-    vehicleType: { type: String, required: true },
-    plateNumber: { type: String, required: true },
+
+    // --- Kenderaan aktif (models/Vehicle.js); 3 field bawah ialah salinan untuk carian & padanan job ---
+    activeVehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+    vehicleType: { type: String },
+    plateNumber: { type: String },
+    vehicleClass: { type: String, default: 'economy' }, // economy, premium, mpv (ikut Tariff)
+    // ----------------------------------------------------------------------------------------------------
     role: { type: String, default: 'driver' },
-    status: { type: String, default: 'offline' }, // online, offline, busy
+    tokenVersion: { type: Number, default: 0 }, // Naik bila sesi perlu dimatikan
+    ...accountStatusFields,
+    notificationPreferences: { type: notificationPreferencesSchema, default: () => ({}) },
+    status: { type: String, enum: ['online', 'offline', 'busy'], default: 'offline' }, // busy = sedang dalam trip
+
+    // --- Onboarding & verifikasi (hanya 'approved' boleh online / ambil job) ---
+    verificationStatus: { 
+        type: String, 
+        enum: ['pending_review', 'approved', 'rejected', 'suspended'], 
+        default: 'pending_review' 
+    },
+    verificationReason: { type: String },
+    verificationHistory: [{
+        _id: false,
+        status: { type: String },
+        reason: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }, // Kosong = sistem (contoh: dokumen tamat tempoh)
+        at: { type: Date, default: Date.now }
+    }],
+    // ---------------------------------------------------------------------------
 
     // --- BARU TAMBAH (Untuk Simpan Average Rating) ---
     averageRating: { type: Number, default: 0 }, // Contoh: 4.8
     totalRatings: { type: Number, default: 0 },  // Berapa orang dah rate
+    ratingSum: { type: Number }, // Jumlah bintang; average dikemas kini secara incremental (utils/ratings.js)
+    lowRatingFlaggedAt: { type: Date }, // Diset bila average jatuh bawah threshold -> admin semak
     // -------------------------------------------------
 
+    // --- Statistik pembatalan (cancellationRate = totalCancellations / totalAccepted) ---
+    totalAccepted: { type: Number, default: 0 },
+    totalCancellations: { type: Number, default: 0 },
+    // ------------------------------------------------------------------------------------
+
+    // --- Lokasi semasa driver (GeoJSON) ---
+    currentLocation: { type: pointSchema },
+    locationUpdatedAt: { type: Date },
+    // --------------------------------------
+
     createdAt: { type: Date, default: Date.now }
 });
 
+driverSchema.index({ currentLocation: '2dsphere' });
+
 module.exports = mongoose.model('Driver', driverSchema);
\ No newline at end of file
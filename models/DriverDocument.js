@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['licence', 'vehicle_registration', 'insurance'];
+
+// Dokumen onboarding driver (fail sebenar disimpan melalui utils/storage.js)
+const driverDocumentSchema = new mongoose.Schema({
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+    type: { type: String, enum: DOCUMENT_TYPES, required: true },
+    storageKey: { type: String, required: true },
+    originalName: { type: String },
+    mimeType: { type: String },
+    size: { type: Number },
+    expiresAt: { type: Date, required: true },
+    status: { type: String, enum: ['current', 'superseded'], default: 'current' }, // Upload baru ganti yang lama
+    uploadedAt: { type: Date, default: Date.now }
+});
+
+driverDocumentSchema.index({ driver: 1, type: 1, status: 1 });
+driverDocumentSchema.index({ status: 1, expiresAt: 1 });
+
+driverDocumentSchema.statics.TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model('DriverDocument', driverDocumentSchema);
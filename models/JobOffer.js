@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Job yang ditunjukkan kepada driver (feed /bookings/pending atau push SSE 'booking.new').
+// Satu rekod per (booking, driver); acceptedAt diset bila driver tersebut accept -> acceptance rate.
+const jobOfferSchema = new mongoose.Schema({
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+    offeredAt: { type: Date, default: Date.now },
+    acceptedAt: { type: Date }
+});
+
+jobOfferSchema.index({ booking: 1, driver: 1 }, { unique: true });
+jobOfferSchema.index({ driver: 1, offeredAt: -1 });
+
+module.exports = mongoose.model('JobOffer', jobOfferSchema);
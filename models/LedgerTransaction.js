@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Double-entry ledger: jumlah 'amount' semua entries dalam satu transaction MESTI = 0
+const ledgerTransactionSchema = new mongoose.Schema({
+    type: { 
+        type: String, 
+        enum: ['topup', 'ride_payment', 'cancellation_fee', 'refund'], 
+        required: true 
+    },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+    idempotencyKey: { type: String, unique: true, sparse: true }, // Elak caj dua kali
+    method: { type: String, enum: ['wallet', 'cash', 'card'] },
+    provider: { type: String },
+    providerRef: { type: String },
+    description: { type: String },
+    entries: [{
+        _id: false,
+        wallet: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet', required: true },
+        kind: { 
+            type: String, 
+            enum: ['topup', 'ride_charge', 'driver_earning', 'commission', 'cancellation_fee', 'refund'], 
+            required: true 
+        },
+        amount: { type: Number, required: true } // + masuk wallet, - keluar wallet
+    }],
+    createdAt: { type: Date, default: Date.now }
+});
+
+ledgerTransactionSchema.index({ 'entries.wallet': 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
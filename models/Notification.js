@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Satu notifikasi = satu penerima + satu channel (email / sms / push)
+const notificationSchema = new mongoose.Schema({
+    recipient: { type: mongoose.Schema.Types.ObjectId, required: true },
+    recipientRole: { type: String, enum: ['customer', 'driver', 'admin'], required: true },
+    template: { type: String, required: true }, // Contoh: booking_accepted, trip_receipt
+    channel: { type: String, enum: ['email', 'sms', 'push'], required: true },
+    transport: { type: String }, // Nama transport yang digunakan (console, file, sse, ...)
+    to: { type: String }, // Alamat email / nombor telefon / userId (push)
+    subject: { type: String },
+    body: { type: String, required: true },
+    sensitive: { type: Boolean }, // Email akaun: body disimpan redacted (tanpa token), tidak boleh dicuba semula
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+
+    // --- Delivery status & retry ---
+    status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    nextAttemptAt: { type: Date, default: Date.now },
+    providerRef: { type: String },
+    sentAt: { type: Date },
+    // -------------------------------
+
+    createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 }); // Untuk retry worker
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Promo code / kempen diskaun (diurus oleh admin)
+const promotionSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+    discountValue: { type: Number, required: true, min: 0 }, // % atau RM
+    maxDiscount: { type: Number, min: 0 },                   // Had diskaun (RM) untuk jenis percentage
+    minFare: { type: Number, default: 0, min: 0 },
+    validFrom: { type: Date, default: Date.now },
+    validUntil: { type: Date },
+    totalUsageLimit: { type: Number, min: 1 },               // Kosong = tiada had
+    perCustomerLimit: { type: Number, default: 1, min: 1 },
+    firstRideOnly: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+    usageCount: { type: Number, default: 0 },                // Redemption yang masih sah
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
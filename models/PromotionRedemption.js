@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Rekod setiap kali promo code digunakan pada booking
+const promotionRedemptionSchema = new mongoose.Schema({
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+    code: { type: String, required: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, unique: true },
+    discount: { type: Number, required: true }, // RM
+    seq: { type: Number }, // Slot penggunaan customer ini (1..perCustomerLimit)
+    status: { type: String, enum: ['redeemed', 'void'], default: 'redeemed' }, // void = booking batal/expired
+    createdAt: { type: Date, default: Date.now }
+});
+
+promotionRedemptionSchema.index({ promotion: 1, customer: 1, status: 1 });
+// Satu slot hanya boleh dipegang oleh satu redemption yang sah (had per-customer atomik)
+promotionRedemptionSchema.index(
+    { promotion: 1, customer: 1, seq: 1 },
+    { unique: true, partialFilterExpression: { status: 'redeemed', seq: { $exists: true } } }
+);
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Rating dua hala: customer -> driver & driver -> customer (satu rating per pihak per booking)
+const ratingSchema = new mongoose.Schema({
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+    rater: { type: mongoose.Schema.Types.ObjectId, required: true },
+    raterRole: { type: String, enum: ['customer', 'driver'], required: true },
+    ratee: { type: mongoose.Schema.Types.ObjectId, required: true },
+    rateeRole: { type: String, enum: ['customer', 'driver'], required: true },
+    stars: { type: Number, min: 1, max: 5, required: true },
+    review: { type: String },
+    editableUntil: { type: Date, required: true }, // Lepas tarikh ini rating tak boleh diubah
+
+    // --- Moderation (review yang di-flag masuk queue admin) ---
+    moderationStatus: { type: String, enum: ['visible', 'flagged', 'removed'], default: 'visible' },
+    flagReason: { type: String },
+    flaggedBy: { type: String, enum: ['system', 'customer', 'driver'] },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    moderatedAt: { type: Date },
+    moderationNote: { type: String }
+    // ----------------------------------------------------------
+}, { timestamps: true });
+
+ratingSchema.index({ booking: 1, raterRole: 1 }, { unique: true });
+ratingSchema.index({ ratee: 1, createdAt: -1 });
+ratingSchema.index({ moderationStatus: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Rating', ratingSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Refresh token disimpan di server (hash sahaja, bukan token asal)
+const refreshTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    role: { type: String, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    replacedBy: { type: String }, // tokenHash pengganti selepas rotation
+    createdAt: { type: Date, default: Date.now }
+});
+
+// MongoDB buang token yang dah expired secara automatik
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const pointSchema = require('./pointSchema');
+
+// Pooled ride: beberapa booking 'pool' yang sehala digabung dalam satu trip driver (lihat utils/pooling.js)
+const ridePoolSchema = new mongoose.Schema({
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' }, // Kosong sehingga driver accept
+    vehicleClass: { type: String, required: true },
+    capacity: { type: Number, required: true }, // Seat penumpang
+    seatsTaken: { type: Number, default: 0 },
+    status: {
+        type: String,
+        enum: ['open', 'assigned', 'in_progress', 'completed', 'cancelled'],
+        default: 'open' // open = masih terima penumpang, tambang belum dikunci
+    },
+    bookings: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+
+    // --- Arah pool (dari booking pertama) untuk padanan penumpang baru ---
+    origin: { type: pointSchema, required: true },
+    destination: { type: pointSchema, required: true },
+    bearing: { type: Number }, // Darjah, 0 = utara
+    surgeMultiplier: { type: Number, default: 1 },
+    // ---------------------------------------------------------------------
+
+    // --- Senarai hentian ikut urutan (driver selesaikan satu demi satu) ---
+    stops: [{
+        _id: false,
+        booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+        type: { type: String, enum: ['pickup', 'dropoff'], required: true },
+        location: { type: String },
+        point: { type: pointSchema, required: true },
+        completedAt: { type: Date }
+    }],
+    distance: { type: Number }, // Jarak laluan penuh (km)
+    routeFare: { type: Number }, // Tambang laluan sebelum dibahagi
+    // ----------------------------------------------------------------------
+
+    version: { type: Number, default: 0 }, // Naik setiap kali pool berubah (elak update bertindih)
+    createdAt: { type: Date, default: Date.now }
+});
+
+ridePoolSchema.index({ status: 1, vehicleClass: 1, createdAt: 1 });
+ridePoolSchema.index({ driver: 1, status: 1 });
+
+module.exports = mongoose.model('RidePool', ridePoolSchema);
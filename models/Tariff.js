@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Jadual tambang per kelas kenderaan (boleh diubah oleh admin melalui API)
+const tariffSchema = new mongoose.Schema({
+    vehicleClass: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    baseFare: { type: Number, required: true, min: 0 },    // RM
+    perKm: { type: Number, required: true, min: 0 },       // RM per km
+    perMinute: { type: Number, required: true, min: 0 },   // RM per minit
+    minimumFare: { type: Number, required: true, min: 0 }, // RM
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Tariff', tariffSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Kenderaan driver (seorang driver boleh ada beberapa, satu sahaja aktif: Driver.activeVehicle)
+const vehicleSchema = new mongoose.Schema({
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+    make: { type: String, required: true }, // Contoh: Perodua
+    model: { type: String, required: true }, // Contoh: Myvi
+    year: { type: Number },
+    colour: { type: String },
+    seats: { type: Number, required: true, min: 1 }, // Seat penumpang (tidak termasuk driver)
+    category: { type: String, required: true, lowercase: true, trim: true, default: 'economy' }, // Ikut Tariff.vehicleClass
+    plateNumber: { type: String, required: true, uppercase: true, trim: true },
+
+    // Kenderaan yang dibuang disimpan (booking lama masih rujuk) tapi tidak boleh diaktifkan semula
+    retired: { type: Boolean, default: false },
+    retiredAt: { type: Date },
+
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Plate number unik bagi kenderaan yang masih digunakan
+vehicleSchema.index({ plateNumber: 1 }, { unique: true, partialFilterExpression: { retired: false } });
+vehicleSchema.index({ driver: 1, retired: 1 });
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Satu wallet per customer / driver, dan satu akaun sistem untuk 'platform' (komisen) & 'gateway' (duit luar)
+const walletSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, default: null }, // null untuk akaun sistem
+    ownerType: { type: String, enum: ['customer', 'driver', 'platform', 'gateway'], required: true },
+    balance: { type: Number, default: 0 }, // RM, hanya diubah melalui LedgerTransaction
+    currency: { type: String, default: 'MYR' }
+}, { timestamps: true });
+
+walletSchema.index({ owner: 1, ownerType: 1 }, { unique: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,15 @@
+// Field status akaun yang dikongsi oleh Customer, Driver & Admin (lihat utils/accounts.js & utils/authTokens.js)
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned', 'deleted'];
+
+const accountStatusFields = {
+    accountStatus: { type: String, enum: ACCOUNT_STATUSES, default: 'active' },
+    accountStatusReason: { type: String },
+    suspendedUntil: { type: Date }, // Kosong = sampai admin reactivate
+    accountStatusChangedAt: { type: Date },
+    deletedAt: { type: Date }, // Soft delete: data peribadi dah dianonimkan
+    emailVerified: { type: Boolean }, // false = belum sah; kosong = akaun lama sebelum verifikasi (dianggap sah)
+    emailVerifiedAt: { type: Date }
+};
+
+module.exports = { ACCOUNT_STATUSES, accountStatusFields };
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Channel notifikasi yang user mahu terima (lihat utils/notifications.js)
+const notificationPreferencesSchema = new mongoose.Schema({
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: false },
+    push: { type: Boolean, default: true }
+}, { _id: false });
+
+module.exports = notificationPreferencesSchema;
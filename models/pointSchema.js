@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// GeoJSON Point (coordinates disimpan sebagai [lng, lat] ikut standard GeoJSON)
+const pointSchema = new mongoose.Schema({
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
+}, { _id: false });
+
+module.exports = pointSchema;
@@ -0,0 +1,426 @@
+// Admin: pengurusan user, driver, tariff, review, promo, refund & notifikasi (admin sahaja)
+// Mount: /api/v1/admin
+
+const express = require('express');
+
+const Customer = require('../models/Customer');
+const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+const Tariff = require('../models/Tariff');
+const Promotion = require('../models/Promotion');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const Rating = require('../models/Rating');
+
+const { DEFAULT_TARIFFS } = require('../utils/fare');
+const analytics = require('../utils/analytics');
+const { paginate, searchRegex } = require('../utils/pagination');
+const driverVerification = require('../utils/driverVerification');
+const { moderateRating } = require('../utils/ratings');
+const notifications = require('../utils/notifications');
+const { serializeUser } = require('../utils/serializers');
+const {
+    findUserById,
+    setAccountStatus,
+    anonymiseUser,
+    searchUsers
+} = require('../utils/accounts');
+const { refundRide } = require('../utils/ledger');
+const { listAdminBookings } = require('../utils/bookings');
+const {
+    authenticate,
+    authorize,
+    auditUser,
+    auditDriver,
+    auditBooking,
+    auditPromotion,
+    auditRating,
+    auditTariff,
+    auditNotification
+} = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [GET] Search Users merentasi Customer, Driver & Admin (?search, ?role, ?accountStatus)
+router.get('/users', authenticate, authorize(['admin']), validate(schemas.adminUsers), async (req, res) => {
+    try {
+        const page = await searchUsers(req.query);
+        res.status(200).json({ ...page, data: page.data.map(serializeUser) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [PATCH] Suspend / Ban / Reactivate User (dengan sebab & tarikh tamat pilihan)
+router.patch('/users/:id/status', authenticate, authorize(['admin']), validate(schemas.updateAccountStatus), auditUser, async (req, res) => {
+    try {
+        const { status, reason, until } = req.body;
+
+        if (String(req.params.id) === String(req.user.userId)) {
+            return res.status(400).json({ error: "You cannot change your own account status" });
+        }
+        if (status !== 'active' && !reason) {
+            return res.status(400).json({ error: `A reason is required to mark an account as ${status}` });
+        }
+        if (until && status !== 'suspended') {
+            return res.status(400).json({ error: "until only applies to suspensions" });
+        }
+        if (until && new Date(until) <= new Date()) {
+            return res.status(400).json({ error: "until must be in the future" });
+        }
+
+        const found = await findUserById(req.params.id);
+        if (!found) return res.status(404).json({ error: "User not found" });
+        if (found.user.accountStatus === 'deleted') {
+            return res.status(409).json({ error: "Deleted accounts cannot be changed" });
+        }
+
+        const user = await setAccountStatus(found.role, req.params.id, status, {
+            reason,
+            until: until && new Date(until)
+        });
+
+        res.status(200).json({ message: `Account ${status}`, role: found.role, user: serializeUser(user) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [DELETE] Soft Delete User (anonymise; booking & analytics kekal konsisten)
+router.delete('/users/:id', authenticate, authorize(['admin']), validate({ params: schemas.idParams }), auditUser, async (req, res) => {
+    try {
+        if (String(req.params.id) === String(req.user.userId)) {
+            return res.status(400).json({ error: "You cannot delete your own account" });
+        }
+
+        const found = await findUserById(req.params.id);
+        if (!found) return res.status(404).json({ error: "User not found" });
+
+        await anonymiseUser(found.role, req.params.id);
+        res.status(200).json({ message: "Admin access: User deleted and anonymised", role: found.role });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] System Overview (statistik, status driver & booking terkini)
+router.get('/system-management', authenticate, authorize(['admin']), validate(schemas.systemManagement), async (req, res) => {
+    try {
+        const stats = await analytics.systemStats();
+        const driverStatus = await analytics.driverStatusCounts();
+        // Default 5 booking terkini; guna ?limit & ?cursor untuk lebih
+        const recentActivity = await paginate(Booking, {}, { limit: 5, ...req.query });
+
+        res.status(200).json({
+            status: "System Operational",
+            statistics: stats,
+            driverStatus,
+            recentActivity: recentActivity
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] List Customers (?search= nama / email)
+router.get('/customers', authenticate, authorize(['admin']), validate(schemas.adminCustomers), async (req, res) => {
+    try {
+        const { search, ...paging } = req.query;
+        const filter = search
+            ? { $or: [{ name: searchRegex(search) }, { email: searchRegex(search) }] }
+            : {};
+
+        const page = await paginate(Customer, filter, paging);
+        res.status(200).json({ ...page, data: page.data.map(serializeUser) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] List Drivers (?search= nama / email / plate number, ?status=)
+router.get('/drivers', authenticate, authorize(['admin']), validate(schemas.adminDrivers), async (req, res) => {
+    try {
+        const { search, status, ...paging } = req.query;
+        const filter = {};
+        if (status) filter.status = status;
+        if (search) {
+            filter.$or = ['name', 'email', 'plateNumber'].map(field => ({ [field]: searchRegex(search) }));
+        }
+
+        const page = await paginate(Driver, filter, paging);
+        res.status(200).json({ ...page, data: page.data.map(serializeUser) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+
+// [GET] List Bookings (filter status / tarikh / fare / customer / driver)
+router.get('/bookings', authenticate, authorize(['admin']), validate(schemas.adminBookings), async (req, res) => {
+    try {
+        const page = await listAdminBookings(req.query);
+        res.status(200).json(page);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] Audit Log (?actorId, ?actorRole, ?entityType, ?entityId, ?from, ?to)
+router.get('/audit-logs', authenticate, authorize(['admin']), validate(schemas.auditLogs), async (req, res) => {
+    try {
+        const { actorId, actorRole, entityType, entityId, from, to, ...paging } = req.query;
+        const filter = {};
+        if (actorId) filter['actor.userId'] = actorId;
+        if (actorRole) filter['actor.role'] = actorRole;
+        if (entityType) filter.entityType = entityType;
+        if (entityId) filter.entityId = entityId;
+        if (from || to) {
+            filter.at = {};
+            if (from) filter.at.$gte = new Date(from);
+            if (to) filter.at.$lte = new Date(to);
+        }
+
+        const page = await paginate(AuditLog, filter, { sort: 'at', ...paging });
+        res.status(200).json(page);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] List Fare Tariffs (database + default)
+router.get('/tariffs', authenticate, authorize(['admin']), async (req, res) => {
+    try {
+        const saved = await Tariff.find().lean();
+        const savedClasses = saved.map(t => t.vehicleClass);
+
+        const defaults = Object.entries(DEFAULT_TARIFFS)
+            .filter(([vehicleClass]) => !savedClasses.includes(vehicleClass))
+            .map(([vehicleClass, tariff]) => ({ vehicleClass, ...tariff, isDefault: true }));
+
+        res.status(200).json([...saved, ...defaults]);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PUT] Create / Update Tariff for a Vehicle Class
+router.put('/tariffs/:vehicleClass', authenticate, authorize(['admin']), validate(schemas.tariff), auditTariff, async (req, res) => {
+    try {
+        const { baseFare, perKm, perMinute, minimumFare } = req.body;
+
+        const tariff = await Tariff.findOneAndUpdate(
+            { vehicleClass: req.params.vehicleClass.toLowerCase() },
+            { baseFare, perKm, perMinute, minimumFare, updatedBy: req.user.userId },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(200).json({ message: "Tariff saved", tariff });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [DELETE] Remove Tariff (kelas default akan guna nilai asal semula)
+router.delete('/tariffs/:vehicleClass', authenticate, authorize(['admin']), validate(schemas.tariffParams), auditTariff, async (req, res) => {
+    try {
+        const tariff = await Tariff.findOneAndDelete({ vehicleClass: req.params.vehicleClass.toLowerCase() });
+        if (!tariff) return res.status(404).json({ error: "Tariff not found" });
+        res.status(200).json({ message: "Tariff deleted" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Review Driver (approve / reject / suspend dengan sebab)
+router.patch('/drivers/:id/verification', authenticate, authorize(['admin']), validate(schemas.verifyDriver), auditDriver, async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+
+        if (['rejected', 'suspended'].includes(status) && !reason) {
+            return res.status(400).json({ error: `A reason is required to mark a driver as ${status}` });
+        }
+
+        if (status === 'approved') {
+            const problems = await driverVerification.missingOrExpiredDocuments(req.params.id);
+            if (problems.length > 0) {
+                return res.status(409).json({ error: "Driver documents are missing or expired", documents: problems });
+            }
+        }
+
+        const driver = await driverVerification.setVerificationStatus(req.params.id, status, {
+            reason,
+            by: req.user.userId
+        });
+        if (!driver) return res.status(404).json({ error: "Driver not found" });
+
+        res.status(200).json({ message: `Driver ${status}`, driver: serializeUser(driver) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Low-Rated Drivers (ditanda automatik bila average bawah threshold)
+router.get('/drivers/low-rated', authenticate, authorize(['admin']), async (req, res) => {
+    try {
+        const drivers = await Driver.find({ lowRatingFlaggedAt: { $ne: null } })
+            .sort({ averageRating: 1, totalRatings: -1 });
+        res.status(200).json(drivers.map(serializeUser));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Review Moderation Queue (default: flagged)
+router.get('/reviews', authenticate, authorize(['admin']), validate(schemas.adminReviews), async (req, res) => {
+    try {
+        const { status = 'flagged', ...paging } = req.query;
+        const page = await paginate(Rating, { moderationStatus: status }, { sort: 'updatedAt', ...paging });
+        res.status(200).json(page);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [PATCH] Moderate Review (approve = papar semula, remove = sembunyi teks review)
+router.patch('/reviews/:id', authenticate, authorize(['admin']), validate(schemas.moderateReview), auditRating, async (req, res) => {
+    try {
+        const rating = await moderateRating(req.params.id, req.body.action, {
+            by: req.user.userId,
+            note: req.body.note
+        });
+        if (!rating) return res.status(404).json({ error: "Review not found" });
+
+        res.status(200).json({ message: `Review ${rating.moderationStatus}`, rating });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Driver Cancellation Rates (tertinggi dahulu)
+router.get('/drivers/cancellation-rates', authenticate, authorize(['admin']), async (req, res) => {
+    try {
+        const rates = await Driver.aggregate([
+            { $match: { totalAccepted: { $gt: 0 } } },
+            {
+                $project: {
+                    name: 1,
+                    email: 1,
+                    plateNumber: 1,
+                    totalAccepted: 1,
+                    totalCancellations: 1,
+                    cancellationRate: {
+                        $round: [{ $divide: ['$totalCancellations', '$totalAccepted'] }, 3]
+                    }
+                }
+            },
+            { $sort: { cancellationRate: -1, totalCancellations: -1 } }
+        ]);
+
+        res.status(200).json(rates);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Create Promotion
+router.post('/promotions', authenticate, authorize(['admin']), validate(schemas.createPromotion), auditPromotion, async (req, res) => {
+    try {
+        const promotion = await Promotion.create({ ...req.body, createdBy: req.user.userId });
+        res.locals.auditId = promotion._id;
+        res.status(201).json({ message: "Promotion created", promotion });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] List Promotions
+router.get('/promotions', authenticate, authorize(['admin']), async (req, res) => {
+    try {
+        const promotions = await Promotion.find().sort({ createdAt: -1 });
+        res.status(200).json(promotions);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Update Promotion (contoh: tukar tarikh tamat, nyahaktif)
+router.patch('/promotions/:id', authenticate, authorize(['admin']), validate(schemas.updatePromotion), auditPromotion, async (req, res) => {
+    try {
+        const promotion = await Promotion.findByIdAndUpdate(
+            req.params.id,
+            req.body,
+            { new: true, runValidators: true }
+        );
+        if (!promotion) return res.status(404).json({ error: "Promotion not found" });
+        res.status(200).json({ message: "Promotion updated", promotion });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [DELETE] Deactivate Promotion (rekod redemption dikekalkan untuk analytics)
+router.delete('/promotions/:id', authenticate, authorize(['admin']), validate({ params: schemas.idParams }), auditPromotion, async (req, res) => {
+    try {
+        const promotion = await Promotion.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+        if (!promotion) return res.status(404).json({ error: "Promotion not found" });
+        res.status(200).json({ message: "Promotion deactivated", promotion });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Refund a Paid Booking (penuh atau sebahagian, boleh beberapa kali sehingga tambang penuh)
+router.post('/bookings/:id/refund', authenticate, authorize(['admin']), validate(schemas.refundBooking), auditBooking, async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+        if (!['paid', 'partially_refunded'].includes(booking.paymentStatus)) {
+            return res.status(409).json({ error: `Booking payment is ${booking.paymentStatus}, nothing to refund` });
+        }
+
+        const txn = await refundRide(booking, req.body.amount, req.body.reason);
+        res.status(200).json({ message: "Refund processed", transaction: txn });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] All Notifications (?status=failed untuk semak yang gagal)
+router.get('/notifications', authenticate, authorize(['admin']), validate(schemas.adminNotifications), async (req, res) => {
+    try {
+        const { status, channel, template, recipient, ...paging } = req.query;
+        const filter = {};
+        if (status) filter.status = status;
+        if (channel) filter.channel = channel;
+        if (template) filter.template = template;
+        if (recipient) filter.recipient = recipient;
+
+        const page = await paginate(Notification, filter, paging);
+        res.status(200).json(page);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [POST] Retry a Failed Notification (hantar semula sekarang)
+router.post('/notifications/:id/retry', authenticate, authorize(['admin']), validate({ params: schemas.idParams }), auditNotification, async (req, res) => {
+    try {
+        // Email akaun (sensitive) tiada kandungan asal untuk dihantar semula; user perlu minta email baru
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, status: 'failed', sensitive: { $ne: true } },
+            { status: 'pending', attempts: 0 },
+            { new: true }
+        );
+        if (!notification) return res.status(404).json({ error: "Failed notification not found" });
+
+        await notifications.deliver(notification);
+        res.status(200).json({ message: `Notification ${notification.status}`, notification });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// Analytics: laporan admin (JSON atau CSV)
+// Mount: /api/v1/analytics
+
+const express = require('express');
+
+const PromotionRedemption = require('../models/PromotionRedemption');
+
+const analytics = require('../utils/analytics');
+const { toCsv } = require('../utils/csv');
+const { authenticate, authorize } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// Hantar laporan analytics sebagai JSON (default) atau CSV (?format=csv)
+const sendReport = (req, res, rows, name) => {
+    if (req.query.format === 'csv') {
+        res.attachment(`${name}.csv`);
+        return res.type('text/csv').send(toCsv(rows));
+    }
+    res.status(200).json(rows);
+};
+
+// [GET] Passenger Stats
+router.get('/passengers', authenticate, authorize(['admin']), validate(schemas.analyticsQuery), async (req, res) => {
+    try {
+        const stats = await analytics.passengerStats(req.query);
+        sendReport(req, res, stats, 'passengers');
+
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Revenue (hasil & bilangan ride ikut ?interval=day|week|month)
+router.get('/revenue', authenticate, authorize(['admin']), validate(schemas.analyticsRevenue), async (req, res) => {
+    try {
+        const series = await analytics.revenueSeries(req.query, req.query.interval);
+        sendReport(req, res, series, `revenue-${req.query.interval || 'day'}`);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Driver Leaderboard (trip, rating, kadar penerimaan, siap & pembatalan)
+router.get('/drivers', authenticate, authorize(['admin']), validate(schemas.analyticsTop), async (req, res) => {
+    try {
+        const leaderboard = await analytics.driverLeaderboard(req.query, req.query.limit);
+        sendReport(req, res, leaderboard, 'drivers');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Busiest Pickup Locations
+router.get('/pickups', authenticate, authorize(['admin']), validate(schemas.analyticsTop), async (req, res) => {
+    try {
+        const pickups = await analytics.busiestPickups(req.query, req.query.limit);
+        sendReport(req, res, pickups, 'pickups');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Busiest Hours (waktu tempatan)
+router.get('/hours', authenticate, authorize(['admin']), validate(schemas.analyticsQuery), async (req, res) => {
+    try {
+        const hours = await analytics.busiestHours(req.query);
+        sendReport(req, res, hours, 'hours');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Cancellation Funnel (funnel booking & pecahan pembatalan ikut peringkat)
+router.get('/cancellations', authenticate, authorize(['admin']), validate(schemas.analyticsQuery), async (req, res) => {
+    try {
+        const funnel = await analytics.cancellationFunnel(req.query);
+
+        if (req.query.format === 'csv') {
+            const rows = [
+                ...Object.entries(funnel.stages).map(([stage, count]) => ({ type: 'stage', stage, count })),
+                ...funnel.cancellations.map(c => ({ type: 'cancellation', stage: c.fromStatus, cancelledBy: c.cancelledBy, count: c.count, fees: c.fees }))
+            ];
+            return sendReport(req, res, rows, 'cancellations');
+        }
+        res.status(200).json(funnel);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Promotion Usage (redemption, jumlah diskaun & ride yang selesai)
+router.get('/promotions', authenticate, authorize(['admin']), validate(schemas.analyticsQuery), async (req, res) => {
+    try {
+        const stats = await PromotionRedemption.aggregate([
+            { $match: { ...analytics.dateMatch(req.query), status: 'redeemed' } },
+            {
+                $lookup: {
+                    from: 'bookings',
+                    localField: 'booking',
+                    foreignField: '_id',
+                    as: 'bookingData'
+                }
+            },
+            { $unwind: '$bookingData' },
+            {
+                $group: {
+                    _id: "$promotion",
+                    code: { $first: "$code" },
+                    redemptions: { $sum: 1 },
+                    uniqueCustomers: { $addToSet: "$customer" },
+                    totalDiscount: { $sum: "$discount" },
+                    completedRides: {
+                        $sum: { $cond: [{ $eq: ["$bookingData.status", "completed"] }, 1, 0] }
+                    },
+                    revenueAfterDiscount: {
+                        $sum: { $cond: [{ $eq: ["$bookingData.status", "completed"] }, "$bookingData.fare", 0] }
+                    }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    promotionId: "$_id",
+                    code: 1,
+                    redemptions: 1,
+                    uniqueCustomers: { $size: "$uniqueCustomers" },
+                    totalDiscount: { $round: ["$totalDiscount", 2] },
+                    completedRides: 1,
+                    revenueAfterDiscount: { $round: ["$revenueAfterDiscount", 2] }
+                }
+            },
+            { $sort: { redemptions: -1 } }
+        ]);
+
+        sendReport(req, res, stats, 'promotions');
+
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+// Auth: login, refresh / logout token, reset password & verifikasi email
+// Mount: /api/v1/auth
+
+const express = require('express');
+
+const loginLockout = require('../utils/loginLockout');
+const notifications = require('../utils/notifications');
+const { issueToken, consumeToken } = require('../utils/authTokens');
+const {
+    getUserModel,
+    issueTokens,
+    revokeAllSessions,
+    rotateRefreshToken,
+    revokeRefreshToken
+} = require('../utils/auth');
+const { hashPassword, checkCredentials, sendVerificationEmail } = require('../utils/credentials');
+const { authenticate, limits } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [POST] Login (Returns JWT)
+router.post('/login', limits.login, validate(schemas.login), async (req, res) => {
+    const { email, password, type } = req.body;
+    try {
+        const { user, status, body } = await checkCredentials(type, email, password);
+        if (!user) return res.status(status).json(body);
+
+        const tokens = await issueTokens(user);
+
+        res.status(200).json(tokens);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Refresh Access Token (rotate refresh token)
+router.post('/refresh', limits.refresh, validate(schemas.refreshToken), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const tokens = await rotateRefreshToken(refreshToken);
+        res.status(200).json(tokens);
+    } catch (err) {
+        res.status(401).json({ error: err.message });
+    }
+});
+
+// [POST] Logout (revoke refresh token semasa)
+router.post('/logout', validate(schemas.refreshToken), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        await revokeRefreshToken(refreshToken);
+        res.status(200).json({ message: "Logged out" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Logout from All Devices (matikan semua access & refresh token)
+router.post('/logout-all', authenticate, async (req, res) => {
+    try {
+        await revokeAllSessions(req.user.userId, req.user.role);
+        res.status(200).json({ message: "Logged out from all devices" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Forgot Password (sentiasa 200 supaya tak dedah email mana yang berdaftar)
+router.post('/forgot-password', limits.accountEmail, validate(schemas.forgotPassword), async (req, res) => {
+    try {
+        const { email, type = 'customer' } = req.body;
+        const user = await getUserModel(type).findOne({ email });
+
+        if (user && user.accountStatus !== 'deleted') {
+            const token = await issueToken(user, 'reset_password');
+            const link = process.env.PASSWORD_RESET_URL
+                ? `${process.env.PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`
+                : null;
+
+            await notifications.sendAccountEmail(type, user, 'password_reset', {
+                token,
+                link,
+                ttlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+            });
+        }
+
+        res.status(200).json({ message: "If the account exists, a password reset email has been sent" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Reset Password (token sekali guna daripada email)
+router.post('/reset-password', limits.accountEmail, validate(schemas.resetPassword), async (req, res) => {
+    try {
+        const { userId, role } = await consumeToken(req.body.token, 'reset_password');
+        const hashedPassword = await hashPassword(req.body.password);
+
+        // Token datang melalui email, jadi email juga terbukti milik user
+        const user = await getUserModel(role).findByIdAndUpdate(userId, {
+            password: hashedPassword,
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        }, { new: true });
+        if (!user) return res.status(400).json({ error: "Invalid or expired token" });
+
+        await revokeAllSessions(userId, role);
+        await loginLockout.recordSuccess(role, user.email);
+
+        res.status(200).json({ message: "Password has been reset, please log in again" });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] Verify Email (link daripada email)
+router.get('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+    try {
+        const { userId, role } = await consumeToken(req.query.token, 'verify_email');
+
+        const user = await getUserModel(role).findByIdAndUpdate(userId, {
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+        if (!user) return res.status(400).json({ error: "Invalid or expired token" });
+
+        res.status(200).json({ message: "Email verified. Terima kasih!" });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [POST] Resend Verification Email
+router.post('/resend-verification', authenticate, limits.accountEmail, async (req, res) => {
+    try {
+        const user = await getUserModel(req.user.role).findById(req.user.userId);
+        if (user.emailVerified !== false) {
+            return res.status(409).json({ error: "Email is already verified" });
+        }
+
+        await sendVerificationEmail(user);
+        res.status(200).json({ message: "Verification email sent" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,548 @@
+// Bookings: buat booking, job feed driver, lifecycle trip, pembatalan, history, scheduled ride & rating
+// Mount: /api/v1/bookings
+
+const express = require('express');
+
+const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+const Promotion = require('../models/Promotion');
+const RidePool = require('../models/RidePool');
+const Vehicle = require('../models/Vehicle');
+const Rating = require('../models/Rating');
+
+const { SEARCH_RADIUS_KM } = require('../utils/geo');
+const { canTransition, statusesBefore, historyEntry } = require('../utils/bookingStatus');
+const events = require('../utils/events');
+const dispatcher = require('../utils/dispatcher');
+const { releaseDriver, recordOffers, recordAcceptance } = require('../utils/drivers');
+const pooling = require('../utils/pooling');
+const { evaluateCancellation } = require('../utils/cancellationPolicy');
+const { findApplicablePromotion, redeemPromotion, updateRedemptionDiscount, voidRedemption } = require('../utils/promotions');
+const {
+    afterCursor,
+    sortSpec,
+    normalizeLimit,
+    buildPage,
+    paginate,
+    bookingFilters
+} = require('../utils/pagination');
+const { requestContext } = require('../utils/audit');
+const { createRating, editRating } = require('../utils/ratings');
+const { settleRide, chargeCancellationFee } = require('../utils/ledger');
+const {
+    checkPoolRequest,
+    priceTrip,
+    applyDiscount,
+    applyPoolFare,
+    hasWalletBalance
+} = require('../utils/bookings');
+const {
+    authenticate,
+    authorize,
+    requireApprovedDriver,
+    requireVerifiedEmail,
+    limits
+} = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [POST] Create New Booking (Customer Only, segera atau scheduled)
+router.post('/', authenticate, authorize(['customer']), requireVerifiedEmail, limits.createBooking, validate(schemas.createBooking), async (req, res) => {
+    try {
+        const { pickupLocation, dropoffLocation, paymentMethod = 'cash', promoCode, rideType = 'private', seats = 1 } = req.body;
+        const isPool = rideType === 'pool';
+        checkPoolRequest(req.body);
+
+        let trip = await priceTrip(req.body);
+        const scheduledAt = req.body.scheduledAt && dispatcher.checkScheduledAt(req.body.scheduledAt);
+        const status = scheduledAt ? 'scheduled' : 'pending';
+
+        const promo = promoCode && await findApplicablePromotion(promoCode, req.user.userId, trip.fare);
+        if (promo) trip = applyDiscount(trip, promo);
+        if (isPool) trip = applyPoolFare(trip);
+
+        if (paymentMethod === 'wallet' && !(await hasWalletBalance(req.user.userId, trip.fare))) {
+            return res.status(402).json({ error: "Insufficient wallet balance", fare: trip.fare });
+        }
+
+        const newBooking = new Booking({
+            customer: req.user.userId,
+            pickupLocation,
+            dropoffLocation,
+            ...trip,
+            rideType,
+            seats: isPool ? seats : 1,
+            paymentMethod,
+            scheduledAt,
+            promotion: promo ? promo._id : undefined,
+            promoCode: promo ? promo.code : undefined,
+            status,
+            statusHistory: [{ status, changedBy: req.user.userId, role: req.user.role }]
+        });
+
+        if (promo) await redeemPromotion(promo, newBooking);
+
+        try {
+            // Pool: gabung dengan penumpang sehala (tambang mungkin turun), atau buka pool baru.
+            // Booking disimpan terus bersama pool supaya tidak boleh di-accept sebagai private ride.
+            await (isPool ? pooling.joinPool(newBooking) : newBooking.save());
+        } catch (err) {
+            if (promo) await voidRedemption(newBooking._id); // Pulangkan kuota promo
+            throw err;
+        }
+
+        const booking = isPool ? await Booking.findById(newBooking._id) : newBooking;
+        events.emit('booking:created', booking, requestContext(req));
+
+        res.status(201).json({ 
+            message: scheduledAt 
+                ? "Scheduled ride berjaya dibuat!" 
+                : isPool
+                    ? "Pooled ride berjaya dibuat! Menunggu driver..."
+                    : "Booking berjaya dibuat! Menunggu driver...", 
+            booking 
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] View Nearby Pending Bookings (Driver Only, sorted by distance)
+router.get('/pending', authenticate, authorize(['driver']), requireApprovedDriver, requireVerifiedEmail, validate(schemas.pendingBookings), async (req, res) => {
+    // Default: paling dekat dahulu
+    const sort = !req.query.sort || req.query.sort === 'distance' ? 'distanceFromDriver' : req.query.sort;
+    const order = req.query.order || (sort === 'distanceFromDriver' ? 'asc' : 'desc');
+    const limit = normalizeLimit(req.query.limit);
+
+    try {
+        const driver = await Driver.findById(req.user.userId);
+        if (!driver) return res.status(404).json({ error: "Driver not found" });
+
+        if (!driver.currentLocation) {
+            return res.status(400).json({ error: "Please update your location first (PATCH /drivers/:id/location)" });
+        }
+        if (!driver.activeVehicle) {
+            return res.status(400).json({ error: "Please choose an active vehicle first (PUT /drivers/:id/active-vehicle)" });
+        }
+
+        // Driver boleh kecilkan radius melalui ?radius=km, tapi tak boleh lebih dari had sistem
+        const radiusKm = Math.min(req.query.radius || SEARCH_RADIUS_KM, SEARCH_RADIUS_KM);
+
+        const { minFare, maxFare } = req.query;
+
+        const nearby = await Booking.aggregate([
+            {
+                $geoNear: {
+                    near: driver.currentLocation.toObject(),
+                    key: 'pickupPoint',
+                    distanceField: 'distanceFromDriver', // dalam meter
+                    maxDistance: radiusKm * 1000,
+                    spherical: true,
+                    // Hanya job untuk kategori kenderaan aktif driver
+                    query: { ...bookingFilters({ minFare, maxFare }), status: 'pending', vehicleClass: driver.vehicleClass }
+                }
+            },
+            { $match: afterCursor(req.query.cursor, sort, order) },
+            { $sort: sortSpec(sort, order) },
+            { $limit: limit + 1 }
+        ]);
+
+        const bookings = await Booking.populate(nearby, { path: 'customer', select: 'name email phone' });
+
+        // Job yang dipaparkan dikira sebagai offer (acceptance rate dalam analytics)
+        await recordOffers(bookings.slice(0, limit).map(booking => booking._id), [driver._id])
+            .catch(err => console.error('❌ Job offer tracking failed:', err.message));
+
+        res.status(200).json(buildPage(bookings, { limit, sort, order }));
+    } catch (err) {
+        res.status(err.message === 'Invalid cursor' ? 400 : 500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Driver Accept Booking (atomic: hanya seorang driver boleh menang)
+router.patch('/:id/accept', authenticate, authorize(['driver']), requireApprovedDriver, requireVerifiedEmail, validate(schemas.bookingAction), async (req, res) => {
+    try {
+        const bookingId = req.params.id;
+        const driverId = req.user.userId;
+
+        // 1. Claim driver dulu: mesti 'online' (bukan offline / dah ada trip)
+        const driver = await Driver.findOneAndUpdate(
+            { _id: driverId, status: 'online', verificationStatus: 'approved' },
+            { status: 'busy', $inc: { totalAccepted: 1 } },
+            { new: true }
+        );
+        if (!driver) {
+            return res.status(409).json({ error: "You must be online and not on another trip to accept jobs" });
+        }
+
+        // Job tidak dapat diambil -> pulangkan claim driver
+        const unclaim = async () => {
+            await releaseDriver(driverId);
+            await Driver.updateOne({ _id: driverId }, { $inc: { totalAccepted: -1 } });
+        };
+
+        // Kategori & seat ikut kenderaan aktif driver
+        const vehicle = driver.activeVehicle && await Vehicle.findOne({ _id: driver.activeVehicle, retired: false });
+        if (!vehicle) {
+            await unclaim();
+            return res.status(409).json({ error: "Please choose an active vehicle first (PUT /drivers/:id/active-vehicle)" });
+        }
+
+        // Pooled ride: driver ambil keseluruhan pool (semua penumpang sekali)
+        const pooled = await Booking.findOne({ _id: bookingId, pool: { $ne: null } }).select('pool');
+        if (pooled) {
+            const accepted = await pooling.acceptPool(pooled.pool, req.user, vehicle);
+            if (!accepted) {
+                await unclaim();
+
+                const pool = await RidePool.findById(pooled.pool).select('status vehicleClass seatsTaken');
+                if (!pool || pool.status !== 'open') {
+                    return res.status(409).json({ error: "Ride pool already taken by other driver" });
+                }
+                return res.status(409).json({
+                    error: pool.vehicleClass !== vehicle.category
+                        ? `This job requires a '${pool.vehicleClass}' vehicle`
+                        : `This pool needs ${pool.seatsTaken} passenger seats`
+                });
+            }
+
+            // totalAccepted dikira per penumpang (sama seperti totalCancellations)
+            await Driver.updateOne({ _id: driverId }, { $inc: { totalAccepted: accepted.bookings.length - 1 } });
+            await recordAcceptance(accepted.bookings.map(booking => booking._id), driverId)
+                .catch(err => console.error('❌ Job offer tracking failed:', err.message));
+            accepted.bookings.forEach(booking => events.emit('booking:status', booking, requestContext(req)));
+
+            return res.status(200).json({
+                message: "Pool Accepted! Ikut senarai hentian.",
+                pool: accepted.pool,
+                bookings: accepted.bookings
+            });
+        }
+
+        // 2. Claim booking dalam satu update bersyarat
+        const booking = await Booking.findOneAndUpdate(
+            { _id: bookingId, status: { $in: statusesBefore('accepted') }, vehicleClass: vehicle.category },
+            {
+                $set: { driver: driverId, vehicle: vehicle._id, status: 'accepted' },
+                $push: { statusHistory: historyEntry('accepted', req.user) }
+            },
+            { new: true }
+        );
+
+        if (!booking) {
+            await unclaim();
+
+            const existing = await Booking.findById(bookingId).select('vehicleClass');
+            if (!existing) return res.status(404).json({ error: "Booking not found" });
+            if (existing.vehicleClass !== vehicle.category) {
+                return res.status(409).json({ error: `This job requires a '${existing.vehicleClass}' vehicle` });
+            }
+            return res.status(409).json({ error: "Booking already taken by other driver" });
+        }
+
+        await recordAcceptance([booking._id], driverId)
+            .catch(err => console.error('❌ Job offer tracking failed:', err.message));
+        events.emit('booking:status', booking, requestContext(req));
+
+        res.status(200).json({ message: "Job Accepted! Sila jemput customer.", booking });
+
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Handler untuk langkah trip oleh driver yang ditugaskan (arrived -> start -> complete)
+const driverTripStep = (nextStatus, message) => async (req, res) => {
+    try {
+        const booking = await Booking.findOne({ 
+            _id: req.params.id, 
+            driver: req.user.userId 
+        });
+
+        if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+        if (booking.pool) {
+            return res.status(409).json({ error: "Pooled rides are progressed stop by stop (PATCH /pools/:id/stops/next)" });
+        }
+
+        if (!canTransition(booking.status, nextStatus)) {
+            return res.status(409).json({ 
+                error: `Cannot change booking status from '${booking.status}' to '${nextStatus}'` 
+            });
+        }
+
+        // Claim langkah ini dalam satu update bersyarat pada status semasa (elak double tap:
+        // hanya satu request /complete yang selesaikan bayaran)
+        const updated = await Booking.findOneAndUpdate(
+            { _id: booking._id, driver: req.user.userId, status: booking.status },
+            {
+                $set: { status: nextStatus },
+                $push: { statusHistory: historyEntry(nextStatus, req.user) }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ error: "Booking status was changed by another request" });
+        }
+
+        if (nextStatus === 'completed') {
+            await releaseDriver(updated.driver);
+
+            // Trip tetap 'completed' walaupun bayaran gagal; paymentStatus = 'failed' untuk admin semak
+            await settleRide(updated).catch(err => console.error('❌ Settlement failed:', err.message));
+        }
+        events.emit('booking:status', updated, requestContext(req));
+
+        res.status(200).json({ message, booking: updated });
+
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// [PATCH] Driver Arrived at Pickup
+router.patch('/:id/arrived', authenticate, authorize(['driver']), validate(schemas.bookingAction),
+    driverTripStep('arrived', "Driver dah sampai di lokasi pickup."));
+
+// [PATCH] Driver Start Trip
+router.patch('/:id/start', authenticate, authorize(['driver']), validate(schemas.bookingAction),
+    driverTripStep('in_progress', "Trip started."));
+
+// [PATCH] Driver Complete Trip
+router.patch('/:id/complete', authenticate, authorize(['driver']), validate(schemas.bookingAction),
+    driverTripStep('completed', "Trip completed. Terima kasih!"));
+
+// [PATCH] Driver Reached Next Intermediate Stop (multi-stop ride, ikut urutan)
+router.patch('/:id/stops/next', authenticate, authorize(['driver']), validate(schemas.bookingAction), async (req, res) => {
+    try {
+        const booking = await Booking.findOne({ _id: req.params.id, driver: req.user.userId });
+        if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+        if (booking.status !== 'in_progress') {
+            return res.status(409).json({ error: "Intermediate stops can only be reached while the trip is in progress" });
+        }
+
+        const index = booking.stops.findIndex(stop => !stop.arrivedAt);
+        if (index < 0) {
+            return res.status(409).json({ error: "All stops have been reached, complete the trip at the dropoff" });
+        }
+
+        const updated = await Booking.findOneAndUpdate(
+            { _id: booking._id, [`stops.${index}.arrivedAt`]: null },
+            { $set: { [`stops.${index}.arrivedAt`]: new Date() } },
+            { new: true }
+        );
+        if (!updated) return res.status(409).json({ error: "Stop already marked as reached" });
+
+        events.emit('booking:stop', updated, index);
+
+        res.status(200).json({ message: `Sampai di hentian ${index + 1}: ${updated.stops[index].location}`, booking: updated });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Cancel Booking (Customer pemilik booking, atau Driver yang ditugaskan)
+router.patch('/:id/cancel', authenticate, authorize(['customer', 'driver']), validate(schemas.cancelBooking), async (req, res) => {
+    try {
+        const { role, userId } = req.user;
+        const booking = await Booking.findOne({ 
+            _id: req.params.id, 
+            [role]: userId 
+        });
+
+        if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+        if (!canTransition(booking.status, 'cancelled')) {
+            return res.status(409).json({ error: `Booking is already ${booking.status} and cannot be cancelled` });
+        }
+
+        const policy = evaluateCancellation(booking, role);
+
+        // Claim pembatalan dalam satu update bersyarat pada status semasa: kalau /accept (atau langkah
+        // trip lain) menukar booking dahulu, request ini kalah dan polisi tidak dikira daripada data lama
+        const cancelled = await Booking.findOneAndUpdate(
+            { _id: booking._id, [role]: userId, status: booking.status },
+            {
+                $set: { status: 'cancelled', cancelledBy: role, cancellationReason: req.body.reason || policy.reason },
+                $push: { statusHistory: historyEntry('cancelled', req.user) }
+            },
+            { new: true }
+        );
+        if (!cancelled) {
+            return res.status(409).json({ error: "Booking status was changed by another request" });
+        }
+
+        // Pooled ride: driver dilepaskan oleh utils/pooling.js bila pool tiada hentian lagi
+        if (cancelled.driver && !cancelled.pool) await releaseDriver(cancelled.driver);
+
+        // Pembatalan oleh driver direkod untuk kadar pembatalan driver
+        if (role === 'driver') {
+            await Driver.updateOne({ _id: userId }, { $inc: { totalCancellations: 1 } });
+        }
+
+        if (policy.fee > 0) {
+            await chargeCancellationFee(cancelled, policy.fee)
+                .then(() => Booking.updateOne({ _id: cancelled._id }, { cancellationFee: policy.fee }))
+                .then(() => { cancelled.cancellationFee = policy.fee; })
+                .catch(err => console.error('❌ Cancellation fee failed:', err.message));
+        }
+        events.emit('booking:status', cancelled, requestContext(req));
+
+        res.status(200).json({ 
+            message: "Booking cancelled", 
+            cancellationFee: cancelled.cancellationFee, 
+            policy: policy.reason, 
+            booking: cancelled
+        });
+
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Customer View My Bookings (History)
+router.get('/my-history', authenticate, authorize(['customer']), validate(schemas.bookingHistory), async (req, res) => {
+    try {
+        const { limit, cursor, sort, order, ...filters } = req.query;
+
+        // Scheduled ride yang belum dilepaskan dipaparkan di /bookings/scheduled
+        const filter = {
+            $and: [
+                { customer: req.user.userId, status: { $ne: 'scheduled' } },
+                bookingFilters(filters)
+            ]
+        };
+
+        const page = await paginate(Booking, filter, {
+            limit, cursor, sort, order,
+            populate: ['driver', 'name vehicleType']
+        });
+
+        res.status(200).json(page);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] Customer View Upcoming Scheduled Rides
+router.get('/scheduled', authenticate, authorize(['customer']), validate(schemas.scheduledBookings), async (req, res) => {
+    try {
+        const upcoming = await paginate(Booking, {
+            customer: req.user.userId,
+            scheduledAt: { $gte: new Date() },
+            status: { $in: ['scheduled', 'pending', 'accepted'] }
+        }, {
+            sort: 'scheduledAt',
+            order: 'asc', // Paling dekat dahulu
+            ...req.query,
+            populate: ['driver', 'name vehicleType']
+        });
+
+        res.status(200).json(upcoming);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [PATCH] Customer Edit Scheduled Ride (hanya sebelum dilepaskan oleh dispatcher)
+router.patch('/:id/schedule', authenticate, authorize(['customer']), validate(schemas.updateScheduledBooking), async (req, res) => {
+    try {
+        const booking = await Booking.findOne({ 
+            _id: req.params.id, 
+            customer: req.user.userId 
+        });
+
+        if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+        if (booking.status !== 'scheduled') {
+            return res.status(409).json({ error: "Only scheduled rides that have not been released can be edited" });
+        }
+
+        const { pickupLocation, dropoffLocation, paymentMethod, scheduledAt } = req.body;
+
+        if (pickupLocation) booking.pickupLocation = pickupLocation;
+        if (dropoffLocation) booking.dropoffLocation = dropoffLocation;
+        if (paymentMethod) booking.paymentMethod = paymentMethod;
+        if (scheduledAt) {
+            booking.scheduledAt = dispatcher.checkScheduledAt(scheduledAt);
+            booking.reminderSentAt = undefined;
+        }
+
+        // Lokasi / hentian / kelas kenderaan bertukar -> kira semula tambang
+        const { pickupCoordinates, dropoffCoordinates, stops, vehicleClass } = req.body;
+        if (pickupCoordinates || dropoffCoordinates || stops || vehicleClass) {
+            const toCoordinates = ({ coordinates: [lng, lat] }) => ({ lat, lng });
+
+            let trip = await priceTrip({
+                pickupCoordinates: pickupCoordinates || toCoordinates(booking.pickupPoint),
+                dropoffCoordinates: dropoffCoordinates || toCoordinates(booking.dropoffPoint),
+                stops: stops || booking.stops.map(stop => ({ location: stop.location, coordinates: toCoordinates(stop.point) })),
+                vehicleClass: vehicleClass || booking.vehicleClass
+            });
+
+            // Promo yang dah digunakan kekal, diskaun dikira semula ikut tambang baru
+            const promo = booking.promotion && await Promotion.findById(booking.promotion);
+            if (promo) trip = applyDiscount(trip, promo);
+
+            Object.assign(booking, trip);
+        }
+
+        if (booking.paymentMethod === 'wallet' && !(await hasWalletBalance(req.user.userId, booking.fare))) {
+            return res.status(402).json({ error: "Insufficient wallet balance", fare: booking.fare });
+        }
+
+        await booking.save();
+        if (booking.promotion) await updateRedemptionDiscount(booking._id, booking.discount);
+
+        res.status(200).json({ message: "Scheduled ride updated", booking });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [POST] Rate Booking (customer -> driver, driver -> customer; boleh diubah dalam edit window)
+router.post('/:id/rate', authenticate, authorize(['customer', 'driver']), validate(schemas.rateBooking), async (req, res) => {
+    try {
+        const { rating: stars, review } = req.body;
+        const { role, userId } = req.user;
+
+        const booking = await Booking.findOne({ 
+            _id: req.params.id, 
+            [role]: userId 
+        });
+
+        if (!booking) return res.status(404).json({ error: "Booking not found" });
+        
+        if (booking.status !== 'completed') {
+            return res.status(400).json({ error: "Ride belum selesai, tak boleh rate lagi." });
+        }
+
+        const existing = await Rating.findOne({ booking: booking._id, raterRole: role }).select('_id');
+
+        const result = existing
+            ? await editRating(existing._id, stars, review)
+            : await createRating(booking, role, stars, review);
+
+        if (!result) {
+            return res.status(409).json({ error: "Rating can no longer be edited" });
+        }
+
+        if (!existing) events.emit('booking:rated', booking, result.rating);
+
+        res.status(existing ? 200 : 201).json({ 
+            message: existing ? "Rating updated" : "Terima kasih atas rating anda!", 
+            rating: result.rating,
+            [role === 'customer' ? 'newDriverAverage' : 'newCustomerAverage']: result.ratee && result.ratee.averageRating
+        });
+
+    } catch (err) {
+        // Unique index (booking, raterRole): dua request serentak untuk rating yang sama
+        if (err.code === 11000) return res.status(409).json({ error: "Booking already rated" });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// Customer: profil customer (self atau admin)
+// Mount: /api/v1/customer
+
+const express = require('express');
+
+const Customer = require('../models/Customer');
+
+const { revokeAllSessions } = require('../utils/auth');
+const { hashPassword, sendVerificationEmail, emailChanged } = require('../utils/credentials');
+const { authenticate, auditCustomer } = require('../utils/middleware');
+const { isAdmin, isSelf, allow } = require('../utils/policies');
+const { serializeUser } = require('../utils/serializers');
+const { validate, validateByRole } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [GET] Customer Profile
+router.get('/:id', authenticate, allow(isSelf('customer'), isAdmin), validate({ params: schemas.idParams }), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) return res.status(404).json({ message: 'Customer Not Found' });
+        res.status(200).json(serializeUser(customer));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Update Customer Profile
+router.patch('/:id', authenticate, allow(isSelf('customer'), isAdmin), validateByRole(schemas.updateCustomer), auditCustomer, async (req, res) => {
+    try {
+        if (req.body.password) {
+            req.body.password = await hashPassword(req.body.password);
+        }
+
+        const reverify = await emailChanged(Customer, req.params.id, req.body.email);
+        if (reverify) req.body.emailVerified = false;
+
+        const customer = await Customer.findByIdAndUpdate(
+            req.params.id,
+            req.body,
+            { new: true, runValidators: true }
+        );
+
+        if (!customer) return res.status(404).json({ message: "Customer not found" });
+
+        // Password bertukar -> semua sesi lama (termasuk token ini) dimatikan
+        if (req.body.password) await revokeAllSessions(customer._id, 'customer');
+        if (reverify) await sendVerificationEmail(customer);
+
+        res.status(200).json({ 
+            message: "Profile updated successfully", 
+            data: serializeUser(customer) 
+        });
+
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+// Web dashboard admin (HTML + cookie sesi).
+// Bukan sebahagian API versioned: dipasang terus di /dashboard oleh app.js.
+
+const express = require('express');
+
+const jwt = require('jsonwebtoken');
+
+const analytics = require('../utils/analytics');
+const { html } = require('../utils/html');
+const { parseCookies, serializeCookie } = require('../utils/cookies');
+const { renderLogin, renderDashboard } = require('../utils/dashboardView');
+const {
+    REFRESH_TOKEN_TTL_DAYS,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken
+} = require('../utils/auth');
+const { checkCredentials } = require('../utils/credentials');
+const { listAdminBookings } = require('../utils/bookings');
+const { authenticate, authorize, limits } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+const DASHBOARD_COOKIES = { token: 'dashboard_token', refresh: 'dashboard_refresh' };
+const DASHBOARD_CHART_DAYS = 14; // Julat default carta bila ?from tidak diberi
+
+// Simpan token dalam cookie HttpOnly (hanya dihantar ke /dashboard), bukan dalam URL
+const setDashboardCookies = (req, res, tokens) => {
+    const options = { path: '/dashboard', secure: req.secure, maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 };
+    res.set('Set-Cookie', [
+        serializeCookie(DASHBOARD_COOKIES.token, tokens.token, options),
+        serializeCookie(DASHBOARD_COOKIES.refresh, tokens.refreshToken, options)
+    ]);
+};
+
+const clearDashboardCookies = (req, res) => {
+    const options = { path: '/dashboard', secure: req.secure, maxAge: 0 };
+    res.set('Set-Cookie', Object.values(DASHBOARD_COOKIES).map(name => serializeCookie(name, '', options)));
+};
+
+// Tukar cookie sesi dashboard kepada header Authorization (refresh automatik bila access token tamat)
+const dashboardSession = async (req, res, next) => {
+    if (req.headers.authorization) return next();
+
+    const cookies = parseCookies(req.headers.cookie);
+    let token = cookies[DASHBOARD_COOKIES.token];
+
+    try {
+        jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        try {
+            const tokens = await rotateRefreshToken(cookies[DASHBOARD_COOKIES.refresh]);
+            setDashboardCookies(req, res, tokens);
+            token = tokens.token;
+        } catch (refreshErr) {
+            clearDashboardCookies(req, res);
+            return res.redirect('/dashboard/login');
+        }
+    }
+
+    req.headers.authorization = `Bearer ${token}`;
+    next();
+};
+
+// [GET] Login Page
+router.get('/login', (req, res) => {
+    res.send(renderLogin().toString());
+});
+
+// [POST] Login (form) -> set cookie sesi & redirect ke dashboard
+router.post('/login', limits.login, express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            return res.status(400).send(renderLogin({ error: 'Email and password are required' }).toString());
+        }
+
+        const { user, status, body } = await checkCredentials('admin', email.trim(), password);
+        if (!user) return res.status(status).send(renderLogin({ error: body.error }).toString());
+
+        setDashboardCookies(req, res, await issueTokens(user));
+        res.redirect(303, '/dashboard');
+    } catch (err) {
+        res.status(500).send(renderLogin({ error: 'Login failed, please try again' }).toString());
+    }
+});
+
+// [POST] Logout (revoke refresh token & buang cookie)
+router.post('/logout', async (req, res) => {
+    try {
+        const refreshToken = parseCookies(req.headers.cookie)[DASHBOARD_COOKIES.refresh];
+        if (refreshToken) await revokeRefreshToken(refreshToken);
+    } catch (err) {
+        console.error('❌ Dashboard logout error:', err.message);
+    }
+    clearDashboardCookies(req, res);
+    res.redirect(303, '/dashboard/login');
+});
+
+// [GET] Dashboard (statistik, carta ride & hasil, jadual booking dengan filter & pagination)
+router.get('/', dashboardSession, authenticate, authorize(['admin']), validate(schemas.dashboard), async (req, res) => {
+    try {
+        const { interval = 'day', refresh = 30, ...bookingQuery } = req.query;
+        const query = { ...req.query, interval };
+
+        // Carta guna julat tarikh yang sama dengan filter; default 14 hari terakhir
+        const from = bookingQuery.from
+            || new Date(Date.now() - (DASHBOARD_CHART_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const chartRange = { from, to: bookingQuery.to };
+
+        // Query yang sama seperti /admin/system-management, /admin/bookings & /analytics/revenue
+        const [stats, drivers, series, bookings] = await Promise.all([
+            analytics.systemStats(),
+            analytics.driverStatusCounts(),
+            analytics.revenueSeries(chartRange, interval),
+            listAdminBookings(bookingQuery)
+        ]);
+
+        // Link pagination kekalkan filter semasa
+        const pageUrl = (cursor) => {
+            const params = new URLSearchParams();
+            Object.entries(query).forEach(([key, value]) => {
+                if (key !== 'cursor' && value !== undefined) params.set(key, value);
+            });
+            if (cursor) params.set('cursor', cursor);
+            return `/dashboard?${params}`;
+        };
+
+        res.send(renderDashboard({
+            stats,
+            drivers,
+            series,
+            bookings,
+            query,
+            refresh,
+            range: { from, to: bookingQuery.to || 'now' },
+            urls: {
+                first: bookingQuery.cursor ? pageUrl() : null,
+                next: bookings.paging.nextCursor ? pageUrl(bookings.paging.nextCursor) : null
+            }
+        }).toString());
+    } catch (err) {
+        res.status(500).send(html`Error loading dashboard: ${err.message}`.toString());
+    }
+});
+
+module.exports = router;
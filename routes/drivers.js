@@ -0,0 +1,303 @@
+// Drivers: daftar driver, status & lokasi, dokumen, kenderaan dan profil
+// Mount: /api/v1/drivers
+
+const express = require('express');
+
+const Driver = require('../models/Driver');
+const DriverDocument = require('../models/DriverDocument');
+const Vehicle = require('../models/Vehicle');
+
+const events = require('../utils/events');
+const { toPoint } = require('../utils/geo');
+const { checkCategory, setActiveVehicle, syncActiveVehicle } = require('../utils/vehicles');
+const { getStorage } = require('../utils/storage');
+const { revokeAllSessions } = require('../utils/auth');
+const { hashPassword, sendVerificationEmail, emailChanged } = require('../utils/credentials');
+const {
+    authenticate,
+    uploadSingle,
+    limits,
+    auditDriver,
+    auditVehicle
+} = require('../utils/middleware');
+const { isAdmin, isSelf, allow } = require('../utils/policies');
+const { serializeUser } = require('../utils/serializers');
+const { validate, validateByRole } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [POST] Register Driver (bersama kenderaan pertama, terus jadi kenderaan aktif)
+router.post('/', limits.register, validate(schemas.registerDriver), async (req, res) => {
+    try {
+        const { vehicle, ...profile } = req.body;
+
+        const hashedPassword = await hashPassword(profile.password);
+        const driver = new Driver({ ...profile, password: hashedPassword, emailVerified: false });
+        await driver.save();
+
+        try {
+            const firstVehicle = await Vehicle.create({ ...vehicle, driver: driver._id }); // category: 'economy' (default)
+            await setActiveVehicle(driver._id, firstVehicle);
+        } catch (err) {
+            await Driver.deleteOne({ _id: driver._id });
+            if (err.code === 11000) return res.status(409).json({ error: "Plate number is already registered" });
+            throw err;
+        }
+        await sendVerificationEmail(driver);
+        res.status(201).json({ message: "Driver created. Sila sahkan email anda." });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [PATCH] Update Driver Status
+router.patch('/:id/status', authenticate, allow(isSelf('driver'), isAdmin), validate(schemas.updateDriverStatus), auditDriver, async (req, res) => {
+    try {
+        // 'busy' hanya diset oleh sistem bila driver accept job (schema hanya terima online/offline)
+        const { status } = req.body; 
+
+        if (status === 'online') {
+            const current = await Driver.findById(req.params.id).select('verificationStatus accountStatus emailVerified activeVehicle');
+            if (current && current.verificationStatus !== 'approved') {
+                return res.status(403).json({ 
+                    error: "Only approved drivers can go online", 
+                    verificationStatus: current.verificationStatus 
+                });
+            }
+            if (current && (current.accountStatus || 'active') !== 'active') {
+                return res.status(403).json({ error: `Account ${current.accountStatus}` });
+            }
+            if (current && current.emailVerified === false) {
+                return res.status(403).json({ error: "Please verify your email address first" });
+            }
+            if (current && !current.activeVehicle) {
+                return res.status(400).json({ error: "Please choose an active vehicle first (PUT /drivers/:id/active-vehicle)" });
+            }
+        }
+
+        const driver = await Driver.findOneAndUpdate(
+            { _id: req.params.id, status: { $ne: 'busy' } }, 
+            { status: status }, 
+            { new: true }
+        );
+        if (!driver) {
+            const exists = await Driver.exists({ _id: req.params.id });
+            if (!exists) return res.status(404).json({ message: "Driver not found" });
+            return res.status(409).json({ error: "Driver is on an active trip. Complete or cancel it first." });
+        }
+        res.status(200).json(serializeUser(driver));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [POST] Upload Driver Document (multipart: file, type, expiresAt)
+router.post('/:id/documents', authenticate, allow(isSelf('driver')), uploadSingle('file'), validate(schemas.uploadDriverDocument), async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: "file is required" });
+
+        const { type } = req.body;
+        const expiresAt = new Date(req.body.expiresAt);
+        if (expiresAt <= new Date()) {
+            return res.status(400).json({ error: "Document is already expired" });
+        }
+
+        const storageKey = await getStorage().save(req.file.buffer, { originalName: req.file.originalname });
+
+        let document;
+        try {
+            document = await DriverDocument.create({
+                driver: req.params.id,
+                type,
+                storageKey,
+                originalName: req.file.originalname,
+                mimeType: req.file.mimetype,
+                size: req.file.size,
+                expiresAt
+            });
+        } catch (err) {
+            // Rekod gagal disimpan -> buang fail supaya tiada fail yatim dalam storage
+            await getStorage().remove(storageKey).catch(() => {});
+            throw err;
+        }
+
+        // Dokumen lama jenis yang sama diganti. Failnya sengaja disimpan: admin masih boleh
+        // semak dokumen yang pernah diluluskan (sejarah verifikasi).
+        await DriverDocument.updateMany(
+            { driver: req.params.id, type, status: 'current', _id: { $ne: document._id } },
+            { status: 'superseded' }
+        );
+
+        res.status(201).json({ message: "Document uploaded, menunggu semakan admin", document });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] List Driver Documents
+router.get('/:id/documents', authenticate, allow(isSelf('driver'), isAdmin), validate({ params: schemas.idParams }), async (req, res) => {
+    try {
+        const documents = await DriverDocument.find({ driver: req.params.id }).sort({ uploadedAt: -1 });
+        res.status(200).json(documents);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] Download Driver Document File
+router.get('/:id/documents/:docId/file', authenticate, allow(isSelf('driver'), isAdmin), validate(schemas.driverDocumentFile), async (req, res) => {
+    try {
+        const document = await DriverDocument.findOne({ _id: req.params.docId, driver: req.params.id });
+        if (!document) return res.status(404).json({ error: "Document not found" });
+
+        const stream = getStorage().read(document.storageKey);
+        stream.on('error', () => res.status(404).json({ error: "File not found in storage" }));
+
+        res.type(document.mimeType);
+        stream.pipe(res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] List Driver Vehicles
+router.get('/:id/vehicles', authenticate, allow(isSelf('driver'), isAdmin), validate({ params: schemas.idParams }), async (req, res) => {
+    try {
+        const driver = await Driver.findById(req.params.id).select('activeVehicle');
+        if (!driver) return res.status(404).json({ message: "Driver not found" });
+
+        const vehicles = await Vehicle.find({ driver: driver._id, retired: false }).sort({ createdAt: 1 });
+        res.status(200).json({ activeVehicle: driver.activeVehicle, vehicles });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Add Vehicle (kenderaan pertama terus jadi kenderaan aktif)
+router.post('/:id/vehicles', authenticate, allow(isSelf('driver'), isAdmin), validate(schemas.createVehicle), async (req, res) => {
+    try {
+        const driver = await Driver.findById(req.params.id).select('activeVehicle');
+        if (!driver) return res.status(404).json({ message: "Driver not found" });
+
+        // Kategori default 'economy'; admin tukar melalui PATCH /drivers/:id/vehicles/:vehicleId
+        const vehicle = await Vehicle.create({ ...req.body, driver: driver._id });
+
+        const active = !driver.activeVehicle && Boolean(await setActiveVehicle(driver._id, vehicle));
+        res.status(201).json({ message: "Vehicle added", active, vehicle });
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: "Plate number is already registered" });
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [PATCH] Update Vehicle (kategori: admin sahaja)
+router.patch('/:id/vehicles/:vehicleId', authenticate, allow(isSelf('driver'), isAdmin), validateByRole(schemas.updateVehicle), auditVehicle, async (req, res) => {
+    try {
+        if (req.body.category) req.body.category = await checkCategory(req.body.category);
+
+        const vehicle = await Vehicle.findOneAndUpdate(
+            { _id: req.params.vehicleId, driver: req.params.id, retired: false },
+            req.body,
+            { new: true, runValidators: true }
+        );
+        if (!vehicle) return res.status(404).json({ error: "Vehicle not found" });
+
+        await syncActiveVehicle(vehicle);
+        res.status(200).json(vehicle);
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: "Plate number is already registered" });
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [PUT] Choose Active Vehicle (tidak boleh semasa dalam trip)
+router.put('/:id/active-vehicle', authenticate, allow(isSelf('driver')), validate(schemas.setActiveVehicle), auditDriver, async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.body.vehicleId, driver: req.params.id, retired: false });
+        if (!vehicle) return res.status(404).json({ error: "Vehicle not found" });
+
+        const driver = await setActiveVehicle(req.params.id, vehicle);
+        if (!driver) {
+            return res.status(409).json({ error: "Driver is on an active trip. Complete or cancel it first." });
+        }
+        res.status(200).json({ message: "Active vehicle updated", driver: serializeUser(driver), vehicle });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [DELETE] Remove Vehicle (soft delete; tukar kenderaan aktif dahulu)
+router.delete('/:id/vehicles/:vehicleId', authenticate, allow(isSelf('driver'), isAdmin), validate(schemas.vehicleAction), auditVehicle, async (req, res) => {
+    try {
+        const driver = await Driver.findById(req.params.id).select('activeVehicle');
+        if (!driver) return res.status(404).json({ message: "Driver not found" });
+
+        if (String(driver.activeVehicle) === req.params.vehicleId) {
+            return res.status(409).json({ error: "Cannot remove the active vehicle, choose another active vehicle first" });
+        }
+
+        const vehicle = await Vehicle.findOneAndUpdate(
+            { _id: req.params.vehicleId, driver: driver._id, retired: false },
+            { retired: true, retiredAt: new Date() },
+            { new: true }
+        );
+        if (!vehicle) return res.status(404).json({ error: "Vehicle not found" });
+
+        res.status(200).json({ message: "Vehicle removed" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Update Driver Location (Driver report posisi semasa)
+router.patch('/:id/location', authenticate, allow(isSelf('driver')), validate(schemas.updateDriverLocation), async (req, res) => {
+    try {
+        const driver = await Driver.findByIdAndUpdate(
+            req.params.id,
+            {
+                currentLocation: toPoint(req.body, 'location'),
+                locationUpdatedAt: new Date()
+            },
+            { new: true }
+        );
+        if (!driver) return res.status(404).json({ message: "Driver not found" });
+
+        events.emit('driver:location', { driverId: driver._id, location: driver.currentLocation });
+
+        res.status(200).json({ 
+            message: "Location updated", 
+            currentLocation: driver.currentLocation 
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [PATCH] Update Driver Details
+router.patch('/:id', authenticate, allow(isSelf('driver'), isAdmin), validateByRole(schemas.updateDriver), auditDriver, async (req, res) => {
+    try {
+        if (req.body.password) {
+            req.body.password = await hashPassword(req.body.password);
+        }
+
+        const reverify = await emailChanged(Driver, req.params.id, req.body.email);
+        if (reverify) req.body.emailVerified = false;
+
+        const driver = await Driver.findByIdAndUpdate(
+            req.params.id,
+            req.body, 
+            { new: true, runValidators: true }
+        );
+        if (!driver) return res.status(404).json({ message: "Driver not found" });
+
+        if (req.body.password) await revokeAllSessions(driver._id, 'driver');
+        if (reverify) await sendVerificationEmail(driver);
+
+        res.status(200).json(serializeUser(driver));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// Real-time events (Server-Sent Events)
+// Mount: /api/v1/events
+
+const express = require('express');
+
+const realtime = require('../utils/realtime');
+const { authenticate, tokenFromQuery, authorize } = require('../utils/middleware');
+
+const router = express.Router();
+
+// [GET] Subscribe to booking status, new nearby jobs & live driver location
+router.get('/stream', tokenFromQuery, authenticate, authorize(['customer', 'driver']), realtime.subscribe);
+
+module.exports = router;
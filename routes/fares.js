@@ -0,0 +1,38 @@
+// Fares: anggaran tambang sebelum booking
+// Mount: /api/v1/fares
+
+const express = require('express');
+
+const pooling = require('../utils/pooling');
+const { computeDiscount, findApplicablePromotion } = require('../utils/promotions');
+const { checkPoolRequest, priceTrip } = require('../utils/bookings');
+const { authenticate, limits } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [POST] Fare Estimate (sebelum customer buat booking)
+router.post('/estimate', authenticate, limits.fareEstimate, validate(schemas.fareEstimate), async (req, res) => {
+    try {
+        const { rideType, promoCode } = req.body;
+        checkPoolRequest(req.body);
+
+        const { fareBreakdown: quote } = await priceTrip(req.body);
+
+        // Pool: harga maksimum; boleh turun bila penumpang lain join
+        if (rideType === 'pool') quote.poolFare = pooling.maxPoolFare(quote.total);
+
+        if (promoCode) {
+            const promo = await findApplicablePromotion(promoCode, req.user.userId, quote.total);
+            quote.discount = computeDiscount(promo, quote.total);
+            quote.totalAfterDiscount = Math.round((quote.total - quote.discount) * 100) / 100;
+        }
+
+        res.status(200).json(quote);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// API v1: semua feature router dipasang di bawah /api/v1, bersama spec OpenAPI & docs page.
+// Path lama tanpa prefix (contoh: /bookings) masih diterima sebagai alias deprecated:
+// response ada header Deprecation & Link ke path /api/v1 yang sepatutnya digunakan.
+
+const express = require('express');
+
+const { version } = require('../package.json');
+const { buildSpec } = require('../utils/openapi');
+const { renderDocs } = require('../utils/docsView');
+
+const API_PREFIX = '/api/v1';
+
+const feature = (path, tag, name) => ({
+    path,
+    tag,
+    file: require.resolve(`./${name}`), // Dibaca oleh utils/openapi.js untuk summary route
+    router: require(`./${name}`)
+});
+
+// Urutan di sini = urutan tag dalam spec & docs page
+const FEATURES = [
+    feature('/auth', 'Auth', 'auth'),
+    feature('/users', 'Users', 'users'),
+    feature('/customer', 'Customers', 'customers'),
+    feature('/drivers', 'Drivers', 'drivers'),
+    feature('/fares', 'Fares', 'fares'),
+    feature('/bookings', 'Bookings', 'bookings'),
+    feature('/pools', 'Pools', 'pools'),
+    feature('/ratings', 'Ratings', 'ratings'),
+    feature('/wallet', 'Wallet', 'wallet'),
+    feature('/notifications', 'Notifications', 'notifications'),
+    feature('/events', 'Events', 'events'),
+    feature('/analytics', 'Analytics', 'analytics'),
+    feature('/admin', 'Admin', 'admin')
+];
+
+// Spec dijana sekali (route tidak berubah selepas server start)
+let spec;
+const getSpec = () => {
+    spec = spec || buildSpec(FEATURES, {
+        serverUrl: API_PREFIX,
+        title: 'Ride Hailing API',
+        version,
+        description: 'Generated from the route validation schemas. '
+            + 'Unversioned paths (without /api/v1) still work but are deprecated.'
+    });
+    return spec;
+};
+
+const apiV1 = express.Router();
+FEATURES.forEach(({ path, router }) => apiV1.use(path, router));
+
+// [GET] OpenAPI 3 Spec (JSON)
+apiV1.get('/openapi.json', (req, res) => {
+    try {
+        res.status(200).json(getSpec());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [GET] API Docs Page (HTML)
+apiV1.get('/docs', (req, res) => {
+    try {
+        res.send(renderDocs(getSpec()).toString());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Alias lama: router yang sama, ditambah header deprecation
+const deprecated = (req, res, next) => {
+    res.set({
+        Deprecation: 'true',
+        Link: `<${API_PREFIX}${req.originalUrl}>; rel="successor-version"`
+    });
+    next();
+};
+
+const legacyRoutes = express.Router();
+FEATURES.forEach(({ path, router }) => legacyRoutes.use(path, deprecated, router));
+
+module.exports = { API_PREFIX, FEATURES, apiV1, legacyRoutes };
@@ -0,0 +1,61 @@
+// Notifications: senarai notifikasi & pilihan channel user
+// Mount: /api/v1/notifications
+
+const express = require('express');
+
+const Notification = require('../models/Notification');
+
+const { getUserModel } = require('../utils/auth');
+const { paginate } = require('../utils/pagination');
+const { authenticate, authorize } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [GET] My Notifications (dengan delivery status)
+router.get('/', authenticate, authorize(['customer', 'driver']), validate(schemas.myNotifications), async (req, res) => {
+    try {
+        const { status, channel, ...paging } = req.query;
+        const filter = { recipient: req.user.userId };
+        if (status) filter.status = status;
+        if (channel) filter.channel = channel;
+
+        const page = await paginate(Notification, filter, paging);
+        res.status(200).json(page);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// [GET] My Notification Preferences
+router.get('/preferences', authenticate, authorize(['customer', 'driver']), async (req, res) => {
+    try {
+        const user = await getUserModel(req.user.role).findById(req.user.userId).select('notificationPreferences');
+        res.status(200).json(user.notificationPreferences);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Update Notification Preferences (contoh: { "sms": true, "email": false })
+router.patch('/preferences', authenticate, authorize(['customer', 'driver']), validate(schemas.notificationPreferences), async (req, res) => {
+    try {
+        const update = {};
+        Object.entries(req.body).forEach(([channel, enabled]) => {
+            update[`notificationPreferences.${channel}`] = enabled;
+        });
+
+        const user = await getUserModel(req.user.role).findByIdAndUpdate(
+            req.user.userId,
+            { $set: update },
+            { new: true }
+        ).select('notificationPreferences');
+
+        res.status(200).json({ message: "Notification preferences updated", preferences: user.notificationPreferences });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+module.exports = router;
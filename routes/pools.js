@@ -0,0 +1,98 @@
+// Pools: pooled ride & senarai hentian driver
+// Mount: /api/v1/pools
+
+const express = require('express');
+
+const Booking = require('../models/Booking');
+const RidePool = require('../models/RidePool');
+
+const { canTransition, transition } = require('../utils/bookingStatus');
+const events = require('../utils/events');
+const pooling = require('../utils/pooling');
+const { requestContext } = require('../utils/audit');
+const { settleRide } = require('../utils/ledger');
+const { authenticate, authorize } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [GET] View Ride Pool & Stop List (driver yang ditugaskan, penumpang dalam pool, atau admin)
+router.get('/:id', authenticate, validate(schemas.poolAction), async (req, res) => {
+    try {
+        const { role, userId } = req.user;
+        const pool = await RidePool.findById(req.params.id);
+
+        const allowed = pool && (role === 'admin'
+            || (role === 'driver' && String(pool.driver) === String(userId))
+            || (role === 'customer' && await Booking.exists({ _id: { $in: pool.bookings }, customer: userId })));
+        if (!allowed) return res.status(404).json({ error: "Ride pool not found" });
+
+        res.status(200).json(pool);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [PATCH] Driver Works Through Pool Stops (pickup: arrived -> penumpang naik, dropoff: trip penumpang selesai)
+router.patch('/:id/stops/next', authenticate, authorize(['driver']), validate(schemas.poolAction), async (req, res) => {
+    try {
+        const pool = await RidePool.findOne({
+            _id: req.params.id,
+            driver: req.user.userId,
+            status: { $in: ['assigned', 'in_progress'] }
+        });
+        if (!pool) return res.status(404).json({ error: "Ride pool not found" });
+
+        const index = pool.stops.findIndex(stop => !stop.completedAt);
+        if (index < 0) return res.status(409).json({ error: "All stops have been completed" });
+
+        const stop = pool.stops[index];
+        const booking = await Booking.findOne({ _id: stop.booking, pool: pool._id });
+        if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+        // Pickup perlu dua langkah (sampai, kemudian penumpang naik); dropoff satu langkah
+        const nextStatus = stop.type === 'dropoff'
+            ? 'completed'
+            : booking.status === 'accepted' ? 'arrived' : 'in_progress';
+
+        if (!canTransition(booking.status, nextStatus)) {
+            return res.status(409).json({ 
+                error: `Cannot change booking status from '${booking.status}' to '${nextStatus}'` 
+            });
+        }
+
+        // Claim langkah ini secara atomik (elak double tap / pool berubah serentak)
+        const stopDone = nextStatus !== 'arrived';
+        const claimed = await RidePool.findOneAndUpdate(
+            { _id: pool._id, version: pool.version },
+            {
+                $set: { status: 'in_progress', ...(stopDone && { [`stops.${index}.completedAt`]: new Date() }) },
+                $inc: { version: 1 }
+            },
+            { new: true }
+        );
+        if (!claimed) return res.status(409).json({ error: "Ride pool was updated, please try again" });
+
+        transition(booking, nextStatus, req.user);
+        await booking.save();
+        if (nextStatus === 'completed') {
+            await settleRide(booking).catch(err => console.error('❌ Settlement failed:', err.message));
+        }
+        events.emit('booking:status', booking, requestContext(req));
+
+        // Hentian terakhir -> pool selesai, driver kembali online
+        const finished = claimed.stops.every(s => s.completedAt) && await pooling.finishPool(claimed);
+
+        const messages = {
+            arrived: "Sampai di lokasi pickup penumpang.",
+            in_progress: "Penumpang dah naik.",
+            completed: "Penumpang diturunkan. Terima kasih!"
+        };
+        res.status(200).json({ message: messages[nextStatus], booking, pool: finished || claimed });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// Ratings: flag review untuk moderation
+// Mount: /api/v1/ratings
+
+const express = require('express');
+
+const Rating = require('../models/Rating');
+
+const { authenticate, authorize } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [POST] Flag a Review about Me (masuk queue moderation admin)
+router.post('/:id/flag', authenticate, authorize(['customer', 'driver']), validate(schemas.flagRating), async (req, res) => {
+    try {
+        const rating = await Rating.findOneAndUpdate(
+            { _id: req.params.id, ratee: req.user.userId, moderationStatus: 'visible' },
+            { moderationStatus: 'flagged', flagReason: req.body.reason, flaggedBy: req.user.role },
+            { new: true }
+        );
+        if (!rating) return res.status(404).json({ error: "Review not found or already under moderation" });
+
+        res.status(200).json({ message: "Review flagged for moderation" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// Users: daftar customer / admin & padam akaun customer sendiri
+// Mount: /api/v1/users
+
+const express = require('express');
+
+const Customer = require('../models/Customer');
+const Admin = require('../models/Admin');
+
+const { anonymiseUser } = require('../utils/accounts');
+const { hashPassword, sendVerificationEmail } = require('../utils/credentials');
+const { authenticate, optionalAuthenticate, limits, auditCustomer } = require('../utils/middleware');
+const { isAdmin, isSelf, allow } = require('../utils/policies');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [POST] Register User (Customer or Admin)
+router.post('/', limits.register, optionalAuthenticate, validate(schemas.registerUser), async (req, res) => {
+    try {
+        const { role, password } = req.body;
+
+        // Admin baru hanya boleh dicipta oleh admin sedia ada (admin pertama: node scripts/create-admin.js)
+        if (role === 'admin' && !(req.user && req.user.role === 'admin')) {
+            return res.status(403).json({ error: "Only an existing admin can create admin accounts" });
+        }
+
+        const hashedPassword = await hashPassword(password);
+
+        if (role === 'admin') {
+            const admin = new Admin({ ...req.body, password: hashedPassword, emailVerified: false });
+            await admin.save();
+            await sendVerificationEmail(admin);
+            res.status(201).json({ message: "Admin created in admin collection" });
+        } else {
+            const customer = new Customer({ ...req.body, role: 'customer', password: hashedPassword, emailVerified: false });
+            await customer.save();
+            await sendVerificationEmail(customer);
+            res.status(201).json({ message: "User created in customer collection. Sila sahkan email anda." });
+        }
+    } catch (err) {
+        res.status(400).json({ error: "Registration failed" });
+    }
+});
+
+// [DELETE] Delete Customer Account (soft delete)
+router.delete('/:id', authenticate, allow(isSelf('customer'), isAdmin), validate({ params: schemas.idParams }), auditCustomer, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // ✅ FIX: Guna 'Customer' bukan 'User'
+    // Soft delete: data peribadi dianonimkan, booking history kekal
+    const deletedUser = await anonymiseUser('customer', id);
+    
+    if (!deletedUser) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({ message: "User account deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// Wallet & payments
+// Mount: /api/v1/wallet
+
+const express = require('express');
+
+const LedgerTransaction = require('../models/LedgerTransaction');
+
+const { getWallet, topUp } = require('../utils/ledger');
+const { authenticate, authorize, limits } = require('../utils/middleware');
+const { validate } = require('../utils/validate');
+const schemas = require('../utils/schemas');
+
+const router = express.Router();
+
+// [GET] My Wallet (baki + transaksi terkini)
+router.get('/', authenticate, authorize(['customer', 'driver']), async (req, res) => {
+    try {
+        const wallet = await getWallet(req.user.role, req.user.userId);
+        const transactions = await LedgerTransaction.find({ 'entries.wallet': wallet._id })
+            .sort({ createdAt: -1 })
+            .limit(20);
+
+        res.status(200).json({ wallet, transactions });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [POST] Top Up Wallet (Customer, melalui payment provider)
+router.post('/topup', authenticate, authorize(['customer']), limits.topUp, validate(schemas.walletTopUp), async (req, res) => {
+    try {
+        const txn = await topUp(req.user.userId, req.body.amount);
+        const wallet = await getWallet('customer', req.user.userId);
+
+        res.status(201).json({ message: "Top-up successful", balance: wallet.balance, transaction: txn });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// Cipta admin pertama sistem (API hanya benarkan admin sedia ada mencipta admin baru).
+// Password dibaca dari ADMIN_PASSWORD supaya tidak tersimpan dalam shell history.
+// Guna: ADMIN_PASSWORD=... node scripts/create-admin.js <email> "<nama>"
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const Admin = require('../models/Admin');
+const { hashPassword } = require('../utils/credentials');
+
+const MIN_PASSWORD_LENGTH = 6; // Sama seperti utils/schemas.js
+
+const main = async () => {
+    const [email, name] = process.argv.slice(2);
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email || !name) throw new Error('Usage: ADMIN_PASSWORD=... node scripts/create-admin.js <email> "<name>"');
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Admin seterusnya dicipta oleh admin melalui POST /api/v1/users
+    if (await Admin.exists({})) throw new Error('An admin already exists; sign in and use POST /api/v1/users instead');
+
+    const admin = await Admin.create({
+        name,
+        email,
+        password: await hashPassword(password),
+        emailVerified: true, // Dicipta oleh operator server, tiada email pengesahan
+        emailVerifiedAt: new Date()
+    });
+
+    console.log(`✅ Admin created: ${admin.email} (${admin._id})`);
+};
+
+main()
+    .catch(err => {
+        console.error('❌ Create admin failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
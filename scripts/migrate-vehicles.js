@@ -0,0 +1,62 @@
+// Migrasi sekali: driver lama (vehicleType / plateNumber dalam dokumen Driver) -> dokumen Vehicle + activeVehicle.
+// Selamat diulang: driver yang dah ada activeVehicle dilangkau.
+// Guna: node scripts/migrate-vehicles.js [--dry-run]
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const { seatCapacity } = require('../utils/pooling');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const main = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const drivers = await Driver.find({
+        activeVehicle: null,
+        plateNumber: { $nin: [null, '', 'DELETED'] }
+    }).select('vehicleType plateNumber vehicleClass');
+
+    let created = 0;
+    let failed = 0;
+
+    for (const driver of drivers) {
+        const category = driver.vehicleClass || 'economy';
+        const fields = {
+            driver: driver._id,
+            make: driver.vehicleType || 'Unknown',
+            model: 'Unknown',
+            seats: seatCapacity(category),
+            category,
+            plateNumber: driver.plateNumber
+        };
+
+        if (dryRun) {
+            console.log(`[dry-run] ${driver._id}: ${fields.plateNumber} (${category})`);
+            continue;
+        }
+
+        try {
+            const vehicle = await Vehicle.create(fields);
+            await Driver.updateOne({ _id: driver._id }, { activeVehicle: vehicle._id });
+            created++;
+        } catch (err) {
+            // Contoh: plate number sama dengan kenderaan driver lain
+            console.error(`❌ ${driver._id} (${fields.plateNumber}):`, err.code === 11000 ? 'Plate number already registered' : err.message);
+            failed++;
+        }
+    }
+
+    console.log(`✅ ${drivers.length} driver(s) found, ${created} vehicle(s) created, ${failed} failed`);
+};
+
+main()
+    .catch(err => {
+        console.error('❌ Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+// Client SSE ringkas untuk test push channel secara lokal.
+// Guna: node scripts/sse-client.js <JWT token> [baseUrl]
+
+const token = process.argv[2];
+const baseUrl = process.argv[3] || `http://localhost:${process.env.PORT || 3001}`;
+
+if (!token) {
+    console.error('Usage: node scripts/sse-client.js <token> [baseUrl]');
+    process.exit(1);
+}
+
+const main = async () => {
+    const res = await fetch(`${baseUrl}/api/v1/events/stream`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+
+    if (!res.ok) {
+        console.error(`❌ ${res.status}:`, await res.text());
+        process.exit(1);
+    }
+
+    console.log('✅ Connected, waiting for events...');
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        // Setiap event SSE dipisahkan dengan baris kosong
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const raw = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const event = (raw.match(/^event: (.*)$/m) || [])[1];
+            const data = (raw.match(/^data: (.*)$/m) || [])[1];
+            if (event) console.log(`📨 ${event}`, data ? JSON.parse(data) : '');
+        }
+    }
+};
+
+main().catch((err) => {
+    console.error('❌ SSE client error:', err.message);
+    process.exit(1);
+});
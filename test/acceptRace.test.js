@@ -0,0 +1,107 @@
+// Race condition semasa accept job: hanya SATU request serentak boleh menang, yang lain mesti 409.
+// Accept serentak dengan cancel tidak boleh meninggalkan driver 'busy' tanpa trip.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const {
+    start,
+    stop,
+    clearDatabase,
+    request,
+    createCustomer,
+    createDriver,
+    createBooking
+} = require('./helpers');
+
+const PARALLEL = 10;
+const ACTIVE_TRIP_STATUSES = ['accepted', 'arrived', 'in_progress'];
+
+const accept = (bookingId, token) => request('PATCH', `/api/v1/bookings/${bookingId}/accept`, { token });
+const cancel = (bookingId, token) => request('PATCH', `/api/v1/bookings/${bookingId}/cancel`, { token, body: { reason: 'Tukar plan' } });
+
+const countStatuses = (results) => ({
+    ok: results.filter(res => res.status === 200).length,
+    conflict: results.filter(res => res.status === 409).length
+});
+
+describe('PATCH /bookings/:id/accept (parallel)', () => {
+    before(start);
+    after(stop);
+    beforeEach(clearDatabase);
+
+    it('gives the booking to exactly one of many drivers', async () => {
+        const { user: customer } = await createCustomer();
+        const booking = await createBooking(customer);
+        const drivers = [];
+        for (let i = 0; i < PARALLEL; i++) drivers.push(await createDriver());
+
+        const results = await Promise.all(drivers.map(driver => accept(booking._id, driver.token)));
+
+        assert.deepEqual(countStatuses(results), { ok: 1, conflict: PARALLEL - 1 });
+
+        const winner = drivers[results.findIndex(res => res.status === 200)];
+        const saved = await Booking.findById(booking._id);
+        assert.equal(saved.status, 'accepted');
+        assert.equal(String(saved.driver), String(winner.user._id));
+        assert.equal(saved.statusHistory.filter(entry => entry.status === 'accepted').length, 1);
+
+        // Driver yang kalah dilepaskan semula (boleh ambil job lain)
+        const busy = await Driver.find({ status: 'busy' });
+        assert.deepEqual(busy.map(driver => String(driver._id)), [String(winner.user._id)]);
+    });
+
+    it('lets one driver hold only one active trip when accepting many bookings at once', async () => {
+        const { user: customer } = await createCustomer();
+        const driver = await createDriver();
+        const bookings = [];
+        for (let i = 0; i < PARALLEL; i++) bookings.push(await createBooking(customer));
+
+        const results = await Promise.all(bookings.map(booking => accept(booking._id, driver.token)));
+
+        assert.deepEqual(countStatuses(results), { ok: 1, conflict: PARALLEL - 1 });
+
+        const activeTrips = await Booking.countDocuments({ driver: driver.user._id, status: { $in: ACTIVE_TRIP_STATUSES } });
+        assert.equal(activeTrips, 1);
+        assert.equal(await Booking.countDocuments({ status: 'pending' }), PARALLEL - 1);
+
+        const saved = await Driver.findById(driver.user._id);
+        assert.equal(saved.status, 'busy');
+        assert.equal(saved.totalAccepted, 1);
+    });
+
+    it('keeps booking and driver consistent when the customer cancels while a driver accepts', async () => {
+        for (let round = 0; round < PARALLEL; round++) {
+            await clearDatabase();
+            const customer = await createCustomer();
+            const driver = await createDriver();
+            const booking = await createBooking(customer.user);
+
+            const [accepted, cancelled] = await Promise.all([
+                accept(booking._id, driver.token),
+                cancel(booking._id, customer.token)
+            ]);
+
+            // Kedua-dua 200 juga sah (accept dulu, kemudian cancel booking accepted), tetapi tidak boleh kedua-dua gagal
+            assert.ok([200, 409].includes(accepted.status), `accept: ${accepted.status}`);
+            assert.ok([200, 409].includes(cancelled.status), `cancel: ${cancelled.status}`);
+            assert.ok(accepted.status === 200 || cancelled.status === 200);
+
+            const saved = await Booking.findById(booking._id);
+            const savedDriver = await Driver.findById(driver.user._id);
+            const history = saved.statusHistory.map(entry => entry.status);
+
+            assert.equal(history[history.length - 1], saved.status);
+            if (cancelled.status === 200) {
+                assert.equal(saved.status, 'cancelled');
+                assert.equal(savedDriver.status, 'online'); // Tidak tersangkut 'busy'
+            } else {
+                assert.equal(saved.status, 'accepted');
+                assert.equal(String(saved.driver), String(driver.user._id));
+                assert.equal(savedDriver.status, 'busy');
+            }
+        }
+    });
+});
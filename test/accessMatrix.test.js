@@ -0,0 +1,638 @@
+// Access matrix: setiap route dipanggil sebagai anonymous, customer, driver & admin (self / pemilik dan
+// akaun lain), dan status HTTP mesti sama seperti yang dijangka (2xx, 401, 403, atau 404 bila pemilikan
+// disemak dalam query). Setiap panggilan guna fixture baru supaya satu kes tidak menjejaskan kes lain.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Customer = require('../models/Customer');
+const Driver = require('../models/Driver');
+const Admin = require('../models/Admin');
+const Vehicle = require('../models/Vehicle');
+const DriverDocument = require('../models/DriverDocument');
+const RidePool = require('../models/RidePool');
+const Tariff = require('../models/Tariff');
+const Promotion = require('../models/Promotion');
+const Notification = require('../models/Notification');
+const { API_PREFIX, FEATURES } = require('../routes');
+const dashboardRoutes = require('../routes/dashboard');
+const { issueTokens } = require('../utils/auth');
+const { issueToken } = require('../utils/authTokens');
+const { createRating } = require('../utils/ratings');
+const { settleRide } = require('../utils/ledger');
+const { getStorage } = require('../utils/storage');
+const {
+    PASSWORD,
+    MELAKA,
+    start,
+    stop,
+    clearDatabase,
+    request,
+    createCustomer,
+    createDriver,
+    createAdmin,
+    createBooking
+} = require('./helpers');
+
+const OK = '2xx';
+const ACTORS = ['anonymous', 'customer', 'otherCustomer', 'driver', 'otherDriver', 'admin'];
+
+// --- Jangkaan ---
+
+const everyone = (status = OK) => Object.fromEntries(ACTORS.map(actor => [actor, status]));
+const loggedIn = { ...everyone(), anonymous: 401 };
+
+// Hanya actor yang disenaraikan dibenarkan; selain itu 403 (anonymous: 401)
+const only = (allowed) => ({ ...everyone(403), anonymous: 401, ...allowed });
+
+const customers = { customer: OK, otherCustomer: OK };
+const drivers = { driver: OK, otherDriver: OK };
+const customerSelfOrAdmin = only({ customer: OK, admin: OK });
+const driverSelfOrAdmin = only({ driver: OK, admin: OK });
+const driverSelf = only({ driver: OK });
+const adminOnly = only({ admin: OK });
+
+// --- Fixture ---
+
+const MELAKA_COORDINATES = { lat: MELAKA[1], lng: MELAKA[0] };
+const AYER_KEROH_COORDINATES = { lat: 2.27, lng: 102.28 };
+const FUTURE = () => new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+// customer & driver ialah pemilik resource; otherCustomer & otherDriver akaun lain dengan role sama
+const createActors = async () => ({
+    customer: await createCustomer(),
+    otherCustomer: await createCustomer(),
+    driver: await createDriver(),
+    otherDriver: await createDriver(),
+    admin: await createAdmin()
+});
+
+// Booking milik ctx.customer yang ditugaskan kepada ctx.driver
+const assignedBooking = async (ctx, status, fields = {}) => {
+    await Driver.updateOne({ _id: ctx.driver.user._id }, { status: 'busy' });
+    return createBooking(ctx.customer.user, {
+        driver: ctx.driver.user._id,
+        vehicle: ctx.driver.vehicle._id,
+        status,
+        ...fields
+    });
+};
+
+const completedBooking = async (ctx) => {
+    const booking = await assignedBooking(ctx, 'completed');
+    await Driver.updateOne({ _id: ctx.driver.user._id }, { status: 'online' });
+    return booking;
+};
+
+const addVehicle = (ctx) => Vehicle.create({
+    driver: ctx.driver.user._id,
+    make: 'Proton',
+    model: 'Saga',
+    seats: 4,
+    plateNumber: 'MCA 2024'
+});
+
+// Pool yang sudah diambil ctx.driver dengan satu penumpang (ctx.customer)
+const assignedPool = async (ctx) => {
+    const booking = await assignedBooking(ctx, 'accepted', { rideType: 'pool' });
+    const dropoffPoint = { type: 'Point', coordinates: [102.28, 2.27] };
+    const pool = await RidePool.create({
+        driver: ctx.driver.user._id,
+        vehicleClass: 'economy',
+        capacity: 4,
+        seatsTaken: 1,
+        status: 'assigned',
+        bookings: [booking._id],
+        origin: booking.pickupPoint,
+        destination: dropoffPoint,
+        stops: [
+            { booking: booking._id, type: 'pickup', location: booking.pickupLocation, point: booking.pickupPoint },
+            { booking: booking._id, type: 'dropoff', location: booking.dropoffLocation, point: dropoffPoint }
+        ]
+    });
+    booking.pool = pool._id;
+    await booking.save();
+    return pool;
+};
+
+const createPromotion = (ctx) => Promotion.create({ code: 'MERDEKA', discountType: 'fixed', discountValue: 5, createdBy: ctx.admin.user._id });
+
+const tripBody = {
+    pickupLocation: 'Bandar Hilir',
+    dropoffLocation: 'Ayer Keroh',
+    pickupCoordinates: MELAKA_COORDINATES,
+    dropoffCoordinates: AYER_KEROH_COORDINATES
+};
+
+// --- Kes: satu atau lebih bagi setiap route (route = 'METHOD /path' seperti dalam router) ---
+// request(ctx) -> { url, body } (url relatif kepada base; default base = API_PREFIX)
+
+const CASES = [
+    // Auth
+    {
+        route: 'POST /auth/login',
+        request: (ctx) => ({ url: '/auth/login', body: { email: ctx.customer.user.email, password: PASSWORD, type: 'customer' } }),
+        expect: everyone()
+    },
+    {
+        route: 'POST /auth/refresh',
+        setup: async (ctx) => { ctx.refreshToken = (await issueTokens(ctx.customer.user)).refreshToken; },
+        request: (ctx) => ({ url: '/auth/refresh', body: { refreshToken: ctx.refreshToken } }),
+        expect: everyone()
+    },
+    {
+        route: 'POST /auth/logout',
+        setup: async (ctx) => { ctx.refreshToken = (await issueTokens(ctx.customer.user)).refreshToken; },
+        request: (ctx) => ({ url: '/auth/logout', body: { refreshToken: ctx.refreshToken } }),
+        expect: everyone()
+    },
+    {
+        route: 'POST /auth/logout-all',
+        request: () => ({ url: '/auth/logout-all' }),
+        expect: loggedIn
+    },
+    {
+        route: 'POST /auth/forgot-password',
+        request: (ctx) => ({ url: '/auth/forgot-password', body: { email: ctx.customer.user.email, type: 'customer' } }),
+        expect: everyone()
+    },
+    {
+        route: 'POST /auth/reset-password',
+        setup: async (ctx) => { ctx.authToken = await issueToken(ctx.customer.user, 'reset_password'); },
+        request: (ctx) => ({ url: '/auth/reset-password', body: { token: ctx.authToken, password: 'NewPassword123!' } }),
+        expect: everyone()
+    },
+    {
+        route: 'GET /auth/verify-email',
+        setup: async (ctx) => { ctx.authToken = await issueToken(ctx.customer.user, 'verify_email'); },
+        request: (ctx) => ({ url: `/auth/verify-email?token=${encodeURIComponent(ctx.authToken)}` }),
+        expect: everyone()
+    },
+    {
+        route: 'POST /auth/resend-verification',
+        setup: async () => {
+            await Promise.all([Customer, Driver, Admin].map(Model => Model.updateMany({}, { emailVerified: false })));
+        },
+        request: () => ({ url: '/auth/resend-verification' }),
+        expect: loggedIn
+    },
+
+    // Users
+    {
+        name: 'POST /users (customer)',
+        route: 'POST /users',
+        request: () => ({ url: '/users', body: { name: 'Pelanggan Baru', email: 'baru@test.local', password: PASSWORD } }),
+        expect: everyone()
+    },
+    {
+        name: 'POST /users (admin)',
+        route: 'POST /users',
+        request: () => ({ url: '/users', body: { name: 'Admin Baru', email: 'admin.baru@test.local', password: PASSWORD, role: 'admin' } }),
+        expect: { ...everyone(403), admin: OK }
+    },
+    {
+        route: 'DELETE /users/:id',
+        request: (ctx) => ({ url: `/users/${ctx.customer.user._id}` }),
+        expect: customerSelfOrAdmin
+    },
+
+    // Customers
+    {
+        route: 'GET /customer/:id',
+        request: (ctx) => ({ url: `/customer/${ctx.customer.user._id}` }),
+        expect: customerSelfOrAdmin
+    },
+    {
+        route: 'PATCH /customer/:id',
+        request: (ctx) => ({ url: `/customer/${ctx.customer.user._id}`, body: { name: 'Nama Baru' } }),
+        expect: customerSelfOrAdmin
+    },
+
+    // Drivers
+    {
+        route: 'POST /drivers',
+        request: () => ({
+            url: '/drivers',
+            body: {
+                name: 'Driver Baru',
+                email: 'driver.baru@test.local',
+                password: PASSWORD,
+                phoneNumber: '+60123456789',
+                vehicle: { make: 'Perodua', model: 'Axia', seats: 4, plateNumber: 'JKL 4321' }
+            }
+        }),
+        expect: everyone()
+    },
+    {
+        route: 'PATCH /drivers/:id/status',
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/status`, body: { status: 'offline' } }),
+        expect: driverSelfOrAdmin
+    },
+    {
+        route: 'POST /drivers/:id/documents',
+        request: (ctx) => {
+            const body = new FormData();
+            body.append('type', 'licence');
+            body.append('expiresAt', FUTURE().toISOString());
+            body.append('file', new Blob(['%PDF-1.4 lesen'], { type: 'application/pdf' }), 'lesen.pdf');
+            return { url: `/drivers/${ctx.driver.user._id}/documents`, body };
+        },
+        expect: driverSelf
+    },
+    {
+        route: 'GET /drivers/:id/documents',
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/documents` }),
+        expect: driverSelfOrAdmin
+    },
+    {
+        route: 'GET /drivers/:id/documents/:docId/file',
+        setup: async (ctx) => {
+            const content = Buffer.from('%PDF-1.4 lesen');
+            ctx.document = await DriverDocument.create({
+                driver: ctx.driver.user._id,
+                type: 'licence',
+                storageKey: await getStorage().save(content, { originalName: 'lesen.pdf' }),
+                originalName: 'lesen.pdf',
+                mimeType: 'application/pdf',
+                size: content.length,
+                expiresAt: FUTURE()
+            });
+        },
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/documents/${ctx.document._id}/file` }),
+        expect: driverSelfOrAdmin
+    },
+    {
+        route: 'GET /drivers/:id/vehicles',
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/vehicles` }),
+        expect: driverSelfOrAdmin
+    },
+    {
+        route: 'POST /drivers/:id/vehicles',
+        request: (ctx) => ({
+            url: `/drivers/${ctx.driver.user._id}/vehicles`,
+            body: { make: 'Proton', model: 'Saga', seats: 4, plateNumber: 'MCA 2024' }
+        }),
+        expect: driverSelfOrAdmin
+    },
+    {
+        route: 'PATCH /drivers/:id/vehicles/:vehicleId',
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/vehicles/${ctx.driver.vehicle._id}`, body: { colour: 'Putih' } }),
+        expect: driverSelfOrAdmin
+    },
+    {
+        route: 'PUT /drivers/:id/active-vehicle',
+        setup: async (ctx) => { ctx.vehicle = await addVehicle(ctx); },
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/active-vehicle`, body: { vehicleId: String(ctx.vehicle._id) } }),
+        expect: driverSelf
+    },
+    {
+        route: 'DELETE /drivers/:id/vehicles/:vehicleId',
+        setup: async (ctx) => { ctx.vehicle = await addVehicle(ctx); },
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/vehicles/${ctx.vehicle._id}` }),
+        expect: driverSelfOrAdmin
+    },
+    {
+        route: 'PATCH /drivers/:id/location',
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}/location`, body: MELAKA_COORDINATES }),
+        expect: driverSelf
+    },
+    {
+        route: 'PATCH /drivers/:id',
+        request: (ctx) => ({ url: `/drivers/${ctx.driver.user._id}`, body: { name: 'Nama Baru' } }),
+        expect: driverSelfOrAdmin
+    },
+
+    // Fares
+    {
+        route: 'POST /fares/estimate',
+        request: () => ({ url: '/fares/estimate', body: { pickupCoordinates: MELAKA_COORDINATES, dropoffCoordinates: AYER_KEROH_COORDINATES } }),
+        expect: loggedIn
+    },
+
+    // Bookings
+    {
+        route: 'POST /bookings',
+        request: () => ({ url: '/bookings', body: tripBody }),
+        expect: only(customers)
+    },
+    {
+        route: 'GET /bookings/pending',
+        setup: async (ctx) => { await createBooking(ctx.customer.user); },
+        request: () => ({ url: '/bookings/pending' }),
+        expect: only(drivers)
+    },
+    {
+        route: 'PATCH /bookings/:id/accept',
+        setup: async (ctx) => { ctx.booking = await createBooking(ctx.customer.user); },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/accept` }),
+        expect: only(drivers)
+    },
+    {
+        route: 'PATCH /bookings/:id/arrived',
+        setup: async (ctx) => { ctx.booking = await assignedBooking(ctx, 'accepted'); },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/arrived` }),
+        expect: only({ driver: OK, otherDriver: 404 })
+    },
+    {
+        route: 'PATCH /bookings/:id/start',
+        setup: async (ctx) => { ctx.booking = await assignedBooking(ctx, 'arrived'); },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/start` }),
+        expect: only({ driver: OK, otherDriver: 404 })
+    },
+    {
+        route: 'PATCH /bookings/:id/complete',
+        setup: async (ctx) => { ctx.booking = await assignedBooking(ctx, 'in_progress'); },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/complete` }),
+        expect: only({ driver: OK, otherDriver: 404 })
+    },
+    {
+        route: 'PATCH /bookings/:id/stops/next',
+        setup: async (ctx) => {
+            ctx.booking = await assignedBooking(ctx, 'in_progress', {
+                stops: [{ location: 'Jonker Street', point: { type: 'Point', coordinates: [102.2469, 2.1960] } }]
+            });
+        },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/stops/next` }),
+        expect: only({ driver: OK, otherDriver: 404 })
+    },
+    {
+        route: 'PATCH /bookings/:id/cancel',
+        setup: async (ctx) => { ctx.booking = await assignedBooking(ctx, 'accepted'); },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/cancel`, body: { reason: 'Tukar plan' } }),
+        expect: only({ customer: OK, driver: OK, otherCustomer: 404, otherDriver: 404 })
+    },
+    {
+        route: 'GET /bookings/my-history',
+        request: () => ({ url: '/bookings/my-history' }),
+        expect: only(customers)
+    },
+    {
+        route: 'GET /bookings/scheduled',
+        request: () => ({ url: '/bookings/scheduled' }),
+        expect: only(customers)
+    },
+    {
+        route: 'PATCH /bookings/:id/schedule',
+        setup: async (ctx) => { ctx.booking = await createBooking(ctx.customer.user, { status: 'scheduled', scheduledAt: FUTURE() }); },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/schedule`, body: { pickupLocation: 'Jonker Street' } }),
+        expect: only({ customer: OK, otherCustomer: 404 })
+    },
+    {
+        route: 'POST /bookings/:id/rate',
+        setup: async (ctx) => { ctx.booking = await completedBooking(ctx); },
+        request: (ctx) => ({ url: `/bookings/${ctx.booking._id}/rate`, body: { rating: 5, review: 'Terbaik' } }),
+        expect: only({ customer: OK, driver: OK, otherCustomer: 404, otherDriver: 404 })
+    },
+
+    // Pools
+    {
+        route: 'GET /pools/:id',
+        setup: async (ctx) => { ctx.pool = await assignedPool(ctx); },
+        request: (ctx) => ({ url: `/pools/${ctx.pool._id}` }),
+        expect: { ...loggedIn, otherCustomer: 404, otherDriver: 404 }
+    },
+    {
+        route: 'PATCH /pools/:id/stops/next',
+        setup: async (ctx) => { ctx.pool = await assignedPool(ctx); },
+        request: (ctx) => ({ url: `/pools/${ctx.pool._id}/stops/next` }),
+        expect: only({ driver: OK, otherDriver: 404 })
+    },
+
+    // Ratings: hanya orang yang dinilai (ratee) boleh flag
+    {
+        route: 'POST /ratings/:id/flag',
+        setup: async (ctx) => {
+            const booking = await completedBooking(ctx);
+            ctx.rating = (await createRating(booking, 'driver', 2, 'Lambat')).rating;
+        },
+        request: (ctx) => ({ url: `/ratings/${ctx.rating._id}/flag`, body: { reason: 'Tidak adil' } }),
+        expect: only({ customer: OK, otherCustomer: 404, driver: 404, otherDriver: 404 })
+    },
+
+    // Wallet
+    {
+        route: 'GET /wallet',
+        request: () => ({ url: '/wallet' }),
+        expect: only({ ...customers, ...drivers })
+    },
+    {
+        route: 'POST /wallet/topup',
+        request: () => ({ url: '/wallet/topup', body: { amount: 50 } }),
+        expect: only(customers)
+    },
+
+    // Notifications & events
+    {
+        route: 'GET /notifications',
+        request: () => ({ url: '/notifications' }),
+        expect: only({ ...customers, ...drivers })
+    },
+    {
+        route: 'GET /notifications/preferences',
+        request: () => ({ url: '/notifications/preferences' }),
+        expect: only({ ...customers, ...drivers })
+    },
+    {
+        route: 'PATCH /notifications/preferences',
+        request: () => ({ url: '/notifications/preferences', body: { sms: true } }),
+        expect: only({ ...customers, ...drivers })
+    },
+    {
+        route: 'GET /events/stream',
+        request: () => ({ url: '/events/stream' }),
+        expect: only({ ...customers, ...drivers })
+    },
+
+    // Analytics
+    ...['passengers', 'revenue', 'drivers', 'pickups', 'hours', 'cancellations', 'promotions'].map(name => ({
+        route: `GET /analytics/${name}`,
+        request: () => ({ url: `/analytics/${name}` }),
+        expect: adminOnly
+    })),
+
+    // Admin (senarai)
+    ...['users', 'system-management', 'customers', 'drivers', 'bookings', 'audit-logs', 'tariffs', 'drivers/low-rated',
+        'reviews', 'drivers/cancellation-rates', 'promotions', 'notifications'].map(name => ({
+        route: `GET /admin/${name}`,
+        request: () => ({ url: `/admin/${name}` }),
+        expect: adminOnly
+    })),
+
+    // Admin (tindakan)
+    {
+        route: 'PATCH /admin/users/:id/status',
+        request: (ctx) => ({ url: `/admin/users/${ctx.customer.user._id}/status`, body: { status: 'suspended', reason: 'Ujian' } }),
+        expect: adminOnly
+    },
+    {
+        route: 'DELETE /admin/users/:id',
+        request: (ctx) => ({ url: `/admin/users/${ctx.customer.user._id}` }),
+        expect: adminOnly
+    },
+    {
+        route: 'PUT /admin/tariffs/:vehicleClass',
+        request: () => ({ url: '/admin/tariffs/economy', body: { baseFare: 3, perKm: 1, perMinute: 0.2, minimumFare: 6 } }),
+        expect: adminOnly
+    },
+    {
+        route: 'DELETE /admin/tariffs/:vehicleClass',
+        setup: async () => { await Tariff.create({ vehicleClass: 'premium', baseFare: 5, perKm: 1.5, perMinute: 0.3, minimumFare: 10 }); },
+        request: () => ({ url: '/admin/tariffs/premium' }),
+        expect: adminOnly
+    },
+    {
+        route: 'PATCH /admin/drivers/:id/verification',
+        request: (ctx) => ({ url: `/admin/drivers/${ctx.driver.user._id}/verification`, body: { status: 'suspended', reason: 'Ujian' } }),
+        expect: adminOnly
+    },
+    {
+        route: 'PATCH /admin/reviews/:id',
+        setup: async (ctx) => {
+            const booking = await completedBooking(ctx);
+            ctx.rating = (await createRating(booking, 'customer', 1, 'Teruk')).rating;
+        },
+        request: (ctx) => ({ url: `/admin/reviews/${ctx.rating._id}`, body: { action: 'remove' } }),
+        expect: adminOnly
+    },
+    {
+        route: 'POST /admin/promotions',
+        request: () => ({ url: '/admin/promotions', body: { code: 'RAYA10', discountType: 'percentage', discountValue: 10 } }),
+        expect: adminOnly
+    },
+    {
+        route: 'PATCH /admin/promotions/:id',
+        setup: async (ctx) => { ctx.promotion = await createPromotion(ctx); },
+        request: (ctx) => ({ url: `/admin/promotions/${ctx.promotion._id}`, body: { active: false } }),
+        expect: adminOnly
+    },
+    {
+        route: 'DELETE /admin/promotions/:id',
+        setup: async (ctx) => { ctx.promotion = await createPromotion(ctx); },
+        request: (ctx) => ({ url: `/admin/promotions/${ctx.promotion._id}` }),
+        expect: adminOnly
+    },
+    {
+        route: 'POST /admin/bookings/:id/refund',
+        setup: async (ctx) => {
+            ctx.booking = await completedBooking(ctx);
+            await settleRide(ctx.booking);
+        },
+        request: (ctx) => ({ url: `/admin/bookings/${ctx.booking._id}/refund`, body: { amount: 5, reason: 'Ujian' } }),
+        expect: adminOnly
+    },
+    {
+        route: 'POST /admin/notifications/:id/retry',
+        setup: async (ctx) => {
+            ctx.notification = await Notification.create({
+                recipient: ctx.customer.user._id,
+                recipientRole: 'customer',
+                template: 'booking_accepted',
+                channel: 'email',
+                to: ctx.customer.user.email,
+                subject: 'Driver dalam perjalanan',
+                body: 'Driver anda dalam perjalanan.',
+                status: 'failed',
+                attempts: 5
+            });
+        },
+        request: (ctx) => ({ url: `/admin/notifications/${ctx.notification._id}/retry` }),
+        expect: adminOnly
+    },
+
+    // Web dashboard (bukan di bawah API_PREFIX; sesi melalui cookie atau header Authorization)
+    {
+        route: 'GET /dashboard',
+        base: '',
+        request: () => ({ url: '/dashboard' }),
+        expect: { ...everyone(403), anonymous: 302, admin: OK }
+    },
+    {
+        route: 'GET /dashboard/login',
+        base: '',
+        request: () => ({ url: '/dashboard/login' }),
+        expect: everyone()
+    },
+    {
+        name: 'POST /dashboard/login (admin)',
+        route: 'POST /dashboard/login',
+        base: '',
+        request: (ctx) => ({ url: '/dashboard/login', body: new URLSearchParams({ email: ctx.admin.user.email, password: PASSWORD }) }),
+        expect: everyone(303)
+    },
+    {
+        name: 'POST /dashboard/login (customer)',
+        route: 'POST /dashboard/login',
+        base: '',
+        request: (ctx) => ({ url: '/dashboard/login', body: new URLSearchParams({ email: ctx.customer.user.email, password: PASSWORD }) }),
+        expect: everyone(401)
+    },
+    {
+        route: 'POST /dashboard/logout',
+        base: '',
+        request: () => ({ url: '/dashboard/logout' }),
+        expect: everyone(303)
+    }
+];
+
+// 'METHOD /path' bagi setiap route yang dipasang (tanpa '/' di hujung)
+const routeKeys = (prefix, router) => router.stack
+    .filter(layer => layer.route)
+    .map(layer => `${Object.keys(layer.route.methods)[0].toUpperCase()} ${`${prefix}${layer.route.path}`.replace(/\/$/, '')}`);
+
+const assertStatus = (res, expected, label) => {
+    const message = `${label}: expected ${expected}, got ${res.status} ${JSON.stringify(res.body).slice(0, 200)}`;
+    if (expected === OK) {
+        assert.ok(res.status >= 200 && res.status < 300, message);
+    } else {
+        assert.equal(res.status, expected, message);
+    }
+};
+
+// Route baru tanpa kes di atas -> gagal (tidak perlu DB)
+it('has a case for every route', () => {
+    const routes = [
+        ...FEATURES.flatMap(({ path, router }) => routeKeys(path, router)),
+        ...routeKeys('/dashboard', dashboardRoutes)
+    ];
+    const covered = new Set(CASES.map(c => c.route));
+    assert.deepEqual(routes.filter(route => !covered.has(route)), []);
+});
+
+describe('access matrix', () => {
+    before(start);
+    after(stop);
+
+    CASES.forEach(c => {
+        const [method] = c.route.split(' ');
+        const base = c.base === undefined ? API_PREFIX : c.base;
+
+        describe(c.name || c.route, () => {
+            ACTORS.forEach(actor => {
+                const expected = c.expect[actor];
+
+                it(`${actor} -> ${expected}`, async () => {
+                    await clearDatabase();
+                    const ctx = await createActors();
+                    if (c.setup) await c.setup(ctx);
+
+                    const { url, body } = c.request(ctx);
+                    const token = actor === 'anonymous' ? undefined : ctx[actor].token;
+                    const res = await request(method, `${base}${url}`, { token, body });
+
+                    assertStatus(res, expected, `${c.route} as ${actor}`);
+                });
+            });
+        });
+    });
+
+    // Admin pertama dicipta dengan scripts/create-admin.js, bukan melalui API
+    it('refuses an anonymous admin sign-up when no admin exists yet', async () => {
+        await clearDatabase();
+        const res = await request('POST', `${API_PREFIX}/users`, {
+            body: { name: 'Admin Pertama', email: 'admin.pertama@test.local', password: PASSWORD, role: 'admin' }
+        });
+
+        assert.equal(res.status, 403);
+        assert.equal(await Admin.countDocuments(), 0);
+    });
+});
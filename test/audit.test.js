@@ -0,0 +1,58 @@
+// Audit log tidak boleh simpan data peribadi: akaun yang dianonimkan tidak meninggalkan jejak dalam log append-only.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AuditLog = require('../models/AuditLog');
+const {
+    start,
+    stop,
+    clearDatabase,
+    request,
+    waitFor,
+    createCustomer,
+    createDriver,
+    createAdmin
+} = require('./helpers');
+
+const auditEntries = (entityId) => waitFor(async () => {
+    const entries = await AuditLog.find({ entityId: String(entityId) }).lean();
+    return entries.length > 0 && entries;
+});
+
+const assertNoPersonalData = (entries, values) => {
+    const logged = JSON.stringify(entries);
+    values.forEach(value => assert.ok(!logged.includes(value), `audit log contains '${value}'`));
+};
+
+describe('audit log personal data', () => {
+    before(start);
+    after(stop);
+    beforeEach(clearDatabase);
+
+    it('does not keep the old name, email or phone when a customer deletes their account', async () => {
+        const customer = await createCustomer({ name: 'Siti Aminah', phone: '+60133334444' });
+
+        const res = await request('DELETE', `/api/v1/users/${customer.user._id}`, { token: customer.token });
+        assert.equal(res.status, 200);
+
+        const entries = await auditEntries(customer.user._id);
+        assertNoPersonalData(entries, ['Siti Aminah', customer.user.email, '+60133334444']);
+
+        // Field yang bertukar masih direkod (nama field sahaja untuk PII)
+        const changes = entries.flatMap(entry => entry.changes);
+        assert.deepEqual(changes.find(change => change.field === 'email'), { field: 'email', before: '[redacted]', after: '[redacted]' });
+        assert.equal(changes.find(change => change.field === 'accountStatus').after, 'deleted');
+    });
+
+    it('does not keep the old driver details when an admin deletes a driver', async () => {
+        const admin = await createAdmin();
+        const driver = await createDriver({ name: 'Ahmad Kamal', phoneNumber: '+60177778888' });
+
+        const res = await request('DELETE', `/api/v1/admin/users/${driver.user._id}`, { token: admin.token });
+        assert.equal(res.status, 200);
+
+        const entries = await auditEntries(driver.user._id);
+        assertNoPersonalData(entries, ['Ahmad Kamal', driver.user.email, '+60177778888', String(driver.user.currentLocation.coordinates[0])]);
+    });
+});
@@ -0,0 +1,89 @@
+// Sesi (utils/auth.js): refresh token berputar, guna semula token lama mematikan semua sesi,
+// dan kenaikan tokenVersion (tv) membatalkan access token yang sedia ada.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Customer = require('../models/Customer');
+const RefreshToken = require('../models/RefreshToken');
+const { PASSWORD, start, stop, clearDatabase, request, createCustomer } = require('./helpers');
+
+const login = (email) => request('POST', '/api/v1/auth/login', { body: { email, password: PASSWORD, type: 'customer' } });
+const refresh = (refreshToken) => request('POST', '/api/v1/auth/refresh', { body: { refreshToken } });
+const profile = (customer, token) => request('GET', `/api/v1/customer/${customer._id}`, { token });
+
+describe('auth sessions', () => {
+    let customer;
+
+    before(start);
+    after(stop);
+    beforeEach(async () => {
+        await clearDatabase();
+        ({ user: customer } = await createCustomer());
+    });
+
+    it('rotates the refresh token and rejects the rotated one', async () => {
+        const { body: session } = await login(customer.email);
+
+        const rotated = await refresh(session.refreshToken);
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.refreshToken, session.refreshToken);
+        assert.equal((await profile(customer, rotated.body.token)).status, 200);
+
+        const replayed = await refresh(session.refreshToken);
+        assert.equal(replayed.status, 401);
+    });
+
+    it('revokes the whole token family when an old refresh token is reused', async () => {
+        const { body: session } = await login(customer.email);
+        const { body: otherDevice } = await login(customer.email);
+        const { body: rotated } = await refresh(session.refreshToken);
+
+        // Token lama digunakan semula (dicuri) -> semua sesi user dimatikan
+        const reused = await refresh(session.refreshToken);
+        assert.equal(reused.status, 401);
+        assert.match(reused.body.error, /reuse detected/);
+
+        assert.equal((await refresh(rotated.refreshToken)).status, 401);
+        assert.equal((await refresh(otherDevice.refreshToken)).status, 401);
+        assert.equal(await RefreshToken.countDocuments({ userId: customer._id, revokedAt: null }), 0);
+
+        // Access token yang dikeluarkan sebelum itu turut mati (tokenVersion naik)
+        assert.equal((await profile(customer, rotated.token)).status, 401);
+        assert.equal((await profile(customer, otherDevice.token)).status, 401);
+    });
+
+    it('lets only one of many parallel refreshes with the same token succeed', async () => {
+        const { body: session } = await login(customer.email);
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => refresh(session.refreshToken)));
+
+        assert.equal(results.filter(res => res.status === 200).length, 1);
+        assert.ok(results.every(res => [200, 401].includes(res.status)));
+    });
+
+    it('invalidates existing access tokens when tokenVersion is bumped', async () => {
+        const { body: session } = await login(customer.email);
+        assert.equal((await profile(customer, session.token)).status, 200);
+
+        await Customer.updateOne({ _id: customer._id }, { $inc: { tokenVersion: 1 } });
+
+        const res = await profile(customer, session.token);
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error, 'Session expired or revoked');
+
+        // Login semula dapat token dengan tv baru
+        const { body: fresh } = await login(customer.email);
+        assert.equal((await profile(customer, fresh.token)).status, 200);
+    });
+
+    it('ends every session on logout-all', async () => {
+        const { body: session } = await login(customer.email);
+
+        const res = await request('POST', '/api/v1/auth/logout-all', { token: session.token });
+        assert.equal(res.status, 200);
+
+        assert.equal((await profile(customer, session.token)).status, 401);
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+    });
+});
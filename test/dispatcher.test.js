@@ -0,0 +1,210 @@
+// Background dispatcher (utils/dispatcher.js): satu kitaran dipanggil terus dengan booking yang
+// dibuat "ke belakang" masa, supaya setiap peralihan boleh disemak tanpa menunggu timer.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const RidePool = require('../models/RidePool');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const dispatcher = require('../utils/dispatcher');
+const events = require('../utils/events');
+const { redeemPromotion } = require('../utils/promotions');
+const pooling = require('../utils/pooling');
+const {
+    MELAKA,
+    start,
+    stop,
+    clearDatabase,
+    request,
+    waitFor,
+    createCustomer,
+    createDriver,
+    createBooking
+} = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// Nilai lalai .env (SCHEDULE_*)
+const LEAD_MINUTES = 15;
+const REMINDER_MINUTES = 30;
+const AUTO_CANCEL_MINUTES = 10;
+const PENDING_TIMEOUT_MINUTES = 10; // Nilai lalai .env
+
+// Kumpul id booking bagi setiap emit event sepanjang test
+const capture = (t, name) => {
+    const seen = [];
+    const listener = (booking) => seen.push(String(booking._id));
+    events.on(name, listener);
+    t.after(() => events.off(name, listener));
+    return seen;
+};
+
+// Booking dengan promo yang dah di-redeem (kuota diambil)
+const withPromotion = async (booking) => {
+    const promo = await Promotion.create({ code: `P${booking._id}`.slice(0, 20), discountType: 'fixed', discountValue: 2 });
+    await Booking.updateOne({ _id: booking._id }, { promotion: promo._id, promoCode: promo.code, discount: 2 });
+    await redeemPromotion(promo, await Booking.findById(booking._id));
+    return promo;
+};
+
+const promoVoided = async (promo) => (await PromotionRedemption.exists({ promotion: promo._id, status: 'void' }))
+    && (await Promotion.findById(promo._id)).usageCount === 0;
+
+// Driver cuba ambil booking yang dah ditutup oleh dispatcher: mesti gagal dan driver tidak tersangkut 'busy'
+const assertDriverNotHeld = async (booking) => {
+    const driver = await createDriver();
+    const res = await request('PATCH', `/api/v1/bookings/${booking._id}/accept`, { token: driver.token });
+
+    assert.equal(res.status, 409);
+    assert.equal((await Driver.findById(driver.user._id)).status, 'online');
+};
+
+const lastHistory = (booking) => booking.statusHistory[booking.statusHistory.length - 1];
+
+describe('dispatcher.runOnce', () => {
+    let customer;
+    let now;
+
+    const scheduled = (minutesFromNow, fields = {}) => createBooking(customer, {
+        status: 'scheduled',
+        scheduledAt: new Date(now + minutesFromNow * MINUTE),
+        statusHistory: [{ status: 'scheduled', changedBy: customer._id, role: 'customer' }],
+        ...fields
+    });
+
+    before(start);
+    after(stop);
+    beforeEach(async () => {
+        await clearDatabase();
+        ({ user: customer } = await createCustomer());
+        now = Date.now();
+    });
+
+    it('releases scheduled rides that are within the lead time', async (t) => {
+        const released = capture(t, 'booking:released');
+        const due = await scheduled(LEAD_MINUTES - 1);
+        const later = await scheduled(LEAD_MINUTES + 30);
+
+        await dispatcher.runOnce(now);
+
+        const saved = await Booking.findById(due._id);
+        assert.equal(saved.status, 'pending');
+        assert.equal(lastHistory(saved).status, 'pending');
+        assert.equal(lastHistory(saved).role, 'system');
+        assert.equal((await Booking.findById(later._id)).status, 'scheduled');
+        assert.deepEqual(released, [String(due._id)]);
+    });
+
+    it('reminds the customer once before pickup', async (t) => {
+        const reminded = capture(t, 'booking:reminder');
+        const soon = await scheduled(REMINDER_MINUTES - 5);
+        await scheduled(REMINDER_MINUTES + 30);
+
+        await dispatcher.runOnce(now);
+        await dispatcher.runOnce(now + MINUTE);
+
+        assert.deepEqual(reminded, [String(soon._id)]);
+        assert.ok((await Booking.findById(soon._id)).reminderSentAt);
+    });
+
+    it('escalates a released ride that still has no driver at pickup time', async (t) => {
+        const escalated = capture(t, 'booking:escalated');
+        const late = await scheduled(-2, { status: 'pending' });
+        const accepted = await scheduled(-2, { status: 'accepted' });
+
+        await dispatcher.runOnce(now);
+        await dispatcher.runOnce(now + MINUTE);
+
+        assert.deepEqual(escalated, [String(late._id)]);
+        assert.ok((await Booking.findById(late._id)).escalatedAt);
+        assert.equal((await Booking.findById(accepted._id)).escalatedAt, undefined);
+    });
+
+    it('auto-cancels an unaccepted scheduled ride, voids its promo and holds no driver', async () => {
+        const stale = await scheduled(-(AUTO_CANCEL_MINUTES + 1), { status: 'pending', escalatedAt: new Date(now) });
+        const recent = await scheduled(-(AUTO_CANCEL_MINUTES - 1), { status: 'pending', escalatedAt: new Date(now) });
+        const promo = await withPromotion(stale);
+
+        await dispatcher.runOnce(now);
+
+        const saved = await Booking.findById(stale._id);
+        assert.equal(saved.status, 'cancelled');
+        assert.equal(saved.cancelledBy, 'system');
+        assert.equal(saved.cancellationReason, 'No driver accepted the scheduled ride');
+        assert.equal(lastHistory(saved).status, 'cancelled');
+        assert.equal((await Booking.findById(recent._id)).status, 'pending');
+
+        await waitFor(() => promoVoided(promo));
+        await assertDriverNotHeld(saved);
+    });
+
+    it('runs each transition only once when cycles overlap', async (t) => {
+        const released = capture(t, 'booking:released');
+        await scheduled(LEAD_MINUTES - 1);
+
+        await Promise.all([dispatcher.runOnce(now), dispatcher.runOnce(now), dispatcher.runOnce(now)]);
+
+        assert.equal(released.length, 1);
+    });
+
+    it('expires immediate bookings nobody accepted in time', async (t) => {
+        const statuses = capture(t, 'booking:status');
+        const stale = await createBooking(customer, { createdAt: new Date(now - (PENDING_TIMEOUT_MINUTES + 1) * MINUTE) });
+        const fresh = await createBooking(customer, { createdAt: new Date(now - (PENDING_TIMEOUT_MINUTES - 1) * MINUTE) });
+        // Scheduled ride yang dah dilepaskan guna escalate / auto-cancel, bukan expiry
+        const released = await scheduled(REMINDER_MINUTES + 30, {
+            status: 'pending',
+            createdAt: new Date(now - 60 * MINUTE)
+        });
+
+        await dispatcher.runOnce(now);
+
+        const saved = await Booking.findById(stale._id);
+        assert.equal(saved.status, 'expired');
+        assert.equal(lastHistory(saved).status, 'expired');
+        assert.equal(lastHistory(saved).role, 'system');
+        assert.equal((await Booking.findById(fresh._id)).status, 'pending');
+        assert.equal((await Booking.findById(released._id)).status, 'pending');
+        assert.deepEqual(statuses, [String(stale._id)]);
+    });
+
+    it('voids the promo of an expired booking and holds no driver', async () => {
+        const stale = await createBooking(customer, { createdAt: new Date(now - (PENDING_TIMEOUT_MINUTES + 1) * MINUTE) });
+        const promo = await withPromotion(stale);
+
+        await dispatcher.runOnce(now);
+
+        await waitFor(() => promoVoided(promo));
+        await assertDriverNotHeld(await Booking.findById(stale._id));
+    });
+
+    it('takes an expired pooled booking out of its pool', async () => {
+        const pool = await pooling.joinPool(new Booking({
+            customer: customer._id,
+            pickupLocation: 'Bandar Hilir',
+            dropoffLocation: 'Ayer Keroh',
+            pickupPoint: { type: 'Point', coordinates: MELAKA },
+            dropoffPoint: { type: 'Point', coordinates: [102.2800, 2.2700] },
+            distance: 9.5,
+            fare: 14,
+            fareBreakdown: { total: 14, soloTotal: 20, surgeMultiplier: 1 },
+            rideType: 'pool',
+            seats: 1,
+            status: 'pending',
+            statusHistory: [{ status: 'pending', changedBy: customer._id, role: 'customer' }],
+            createdAt: new Date(now - (PENDING_TIMEOUT_MINUTES + 1) * MINUTE)
+        }));
+
+        await dispatcher.runOnce(now);
+
+        const emptied = await waitFor(async () => {
+            const saved = await RidePool.findById(pool._id);
+            return saved.bookings.length === 0 && saved;
+        });
+        assert.equal(emptied.status, 'cancelled');
+        assert.equal(emptied.seatsTaken, 0);
+    });
+});
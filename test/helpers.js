@@ -0,0 +1,239 @@
+// Helper untuk test integrasi (node:test): MongoDB ujian, server HTTP sebenar & fixture akaun / booking.
+// Guna MONGO_TEST_URI kalau ada; jika tidak, mongodb-memory-server mulakan mongod sementara.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Config mesti diset sebelum app di-require (ada yang dibaca masa module load)
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ehailing-test-'));
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.NOTIFICATION_TRANSPORT = 'file';
+process.env.NOTIFICATION_OUTBOX_FILE = path.join(TMP_DIR, 'notifications.log');
+process.env.UPLOAD_DIR = path.join(TMP_DIR, 'uploads');
+['LOGIN', 'REGISTER', 'ACCOUNT_EMAIL', 'REFRESH', 'CREATE_BOOKING', 'FARE_ESTIMATE', 'WALLET_TOPUP']
+    .forEach(name => { process.env[`RATE_LIMIT_${name}`] = '10000/60'; });
+
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+
+const app = require('../app');
+const { issueTokens } = require('../utils/auth');
+const { setActiveVehicle } = require('../utils/vehicles');
+const Customer = require('../models/Customer');
+const Driver = require('../models/Driver');
+const Admin = require('../models/Admin');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+
+const PASSWORD = 'Password123!';
+const MELAKA = [102.2501, 2.1896]; // [lng, lat]
+
+let mongod;
+let server;
+let baseUrl;
+let passwordHash;
+
+// Mulakan DB & server (panggil dalam before())
+const start = async () => {
+    let uri = process.env.MONGO_TEST_URI;
+    if (!uri) {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        mongod = await MongoMemoryServer.create();
+        uri = mongod.getUri();
+    }
+
+    await mongoose.connect(uri, { dbName: `ehailing_test_${crypto.randomBytes(4).toString('hex')}` });
+    // Unique & 2dsphere index mesti wujud sebelum test (race & carian lokasi bergantung padanya)
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+// Tutup server & DB (panggil dalam after())
+const stop = async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    if (mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+    }
+    if (mongod) await mongod.stop();
+    fs.rmSync(TMP_DIR, { recursive: true, force: true });
+};
+
+const clearDatabase = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+// Panggil API. body: objek (JSON), FormData atau URLSearchParams (form). Pulangkan { status, headers, body }.
+const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const options = { method, headers: { ...headers }, redirect: 'manual' };
+    if (token) options.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData || body instanceof URLSearchParams) {
+        options.body = body;
+    } else if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(`${baseUrl}${url}`, options);
+    const type = res.headers.get('content-type') || '';
+
+    // Stream SSE tidak pernah tamat: cukup semak status
+    if (type.includes('text/event-stream')) {
+        await res.body.cancel();
+        return { status: res.status, headers: res.headers, body: null };
+    }
+
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: type.includes('application/json') ? JSON.parse(text) : text };
+};
+
+// Buka stream SSE (GET /events/stream) dan baca event satu demi satu. Panggil close() selepas selesai.
+const openStream = async (url, { token } = {}) => {
+    const controller = new AbortController();
+    const res = await fetch(`${baseUrl}${url}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: controller.signal
+    });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Event seterusnya { event, data }; baris komen (heartbeat) & 'retry:' diabaikan
+    const nextEvent = async () => {
+        for (;;) {
+            const end = buffer.indexOf('\n\n');
+            if (end !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const field = (name) => block.split('\n').find(line => line.startsWith(`${name}: `));
+                const event = field('event');
+                const data = field('data');
+                if (event) return { event: event.slice(7), data: data && JSON.parse(data.slice(6)) };
+                continue;
+            }
+            const { value, done } = await reader.read();
+            if (done) throw new Error('SSE stream closed');
+            buffer += decoder.decode(value, { stream: true });
+        }
+    };
+
+    // Baca sehingga event bernama 'name' sampai (event lain dilangkau)
+    const waitForEvent = (name, { timeoutMs = 2000 } = {}) => {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`openStream: no '${name}' event`)), timeoutMs);
+        });
+        const read = async () => {
+            for (;;) {
+                const message = await nextEvent();
+                if (message.event === name) return message.data;
+            }
+        };
+        const reading = read();
+        reading.catch(() => {}); // Bacaan yang tertunggak gagal bila stream ditutup selepas timeout
+        return Promise.race([reading, timeout]).finally(() => clearTimeout(timer));
+    };
+
+    const close = () => controller.abort();
+
+    return { status: res.status, waitForEvent, close };
+};
+
+// Tunggu sehingga check() pulangkan nilai truthy (kerja async selepas response, contoh: audit log)
+const waitFor = async (check, { timeoutMs = 2000, intervalMs = 20 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('waitFor: timed out');
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+};
+
+const uniqueEmail = (prefix) => `${prefix}.${crypto.randomBytes(4).toString('hex')}@test.local`;
+
+// Akaun dengan token akses sedia guna: { user, token }
+const withToken = async (user) => ({ user, token: (await issueTokens(user)).token });
+
+const createCustomer = async (fields = {}) => withToken(await Customer.create({
+    name: 'Test Customer',
+    email: uniqueEmail('customer'),
+    password: passwordHash,
+    phone: '0123456789',
+    emailVerified: true,
+    ...fields
+}));
+
+const createAdmin = async (fields = {}) => withToken(await Admin.create({
+    name: 'Test Admin',
+    email: uniqueEmail('admin'),
+    password: passwordHash,
+    emailVerified: true,
+    ...fields
+}));
+
+// Driver yang sudah diluluskan, online & ada kenderaan aktif (sedia untuk accept job)
+const createDriver = async (fields = {}, vehicleFields = {}) => {
+    const driver = await Driver.create({
+        name: 'Test Driver',
+        email: uniqueEmail('driver'),
+        password: passwordHash,
+        phoneNumber: '0198765432',
+        verificationStatus: 'approved',
+        status: 'online',
+        emailVerified: true,
+        currentLocation: { type: 'Point', coordinates: MELAKA },
+        locationUpdatedAt: new Date(),
+        ...fields
+    });
+
+    const vehicle = await Vehicle.create({
+        driver: driver._id,
+        make: 'Perodua',
+        model: 'Myvi',
+        seats: 4,
+        plateNumber: `T${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        ...vehicleFields
+    });
+
+    const user = await setActiveVehicle(driver._id, vehicle) || driver;
+    return { ...(await withToken(user)), vehicle };
+};
+
+const createBooking = (customer, fields = {}) => Booking.create({
+    customer: customer._id,
+    pickupLocation: 'Bandar Hilir',
+    dropoffLocation: 'Ayer Keroh',
+    pickupPoint: { type: 'Point', coordinates: MELAKA },
+    dropoffPoint: { type: 'Point', coordinates: [102.2800, 2.2700] },
+    fare: 15,
+    distance: 9.5,
+    duration: 18,
+    vehicleClass: 'economy',
+    status: 'pending',
+    statusHistory: [{ status: 'pending', changedBy: customer._id, role: 'customer' }],
+    ...fields
+});
+
+module.exports = {
+    PASSWORD,
+    MELAKA,
+    start,
+    stop,
+    clearDatabase,
+    request,
+    openStream,
+    waitFor,
+    createCustomer,
+    createDriver,
+    createAdmin,
+    createBooking
+};
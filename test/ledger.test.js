@@ -0,0 +1,109 @@
+// Ledger double-entry (utils/ledger.js): setiap transaction seimbang, idempotencyKey tidak dipos dua kali,
+// dan refund tidak boleh melebihi jumlah yang dah dibayar.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const Wallet = require('../models/Wallet');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const ledger = require('../utils/ledger');
+const { start, stop, clearDatabase, request, createCustomer, createDriver, createAdmin, createBooking } = require('./helpers');
+
+const PARALLEL = 5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const sum = (amounts) => round2(amounts.reduce((total, amount) => total + amount, 0));
+
+const balanceOf = async (ownerType, owner = null) => {
+    const wallet = await Wallet.findOne({ ownerType, owner });
+    return wallet ? wallet.balance : 0;
+};
+
+// Booking yang dah selesai dan sedia untuk settlement
+const completedBooking = async (customer, driver, fields = {}) => createBooking(customer, {
+    driver: driver._id,
+    status: 'completed',
+    fare: 20,
+    ...fields
+});
+
+describe('ledger', () => {
+    let customer;
+    let driver;
+
+    before(start);
+    after(stop);
+    beforeEach(async () => {
+        await clearDatabase();
+        ({ user: customer } = await createCustomer());
+        ({ user: driver } = await createDriver());
+    });
+
+    it('keeps debits equal to credits in every transaction and across all wallets', async () => {
+        await ledger.topUp(customer._id, 50);
+        await ledger.settleRide(await completedBooking(customer, driver, { paymentMethod: 'wallet' }));
+        await ledger.settleRide(await completedBooking(customer, driver, { paymentMethod: 'card' }));
+        await ledger.settleRide(await completedBooking(customer, driver, { paymentMethod: 'cash' }));
+        await ledger.chargeCancellationFee(await completedBooking(customer, driver, { status: 'cancelled' }), 3);
+        await ledger.refundRide(await Booking.findOne({ paymentMethod: 'card' }), 5, 'Laluan jauh');
+
+        const transactions = await LedgerTransaction.find();
+        assert.equal(transactions.length, 6);
+        transactions.forEach(txn => {
+            const debits = sum(txn.entries.filter(e => e.amount < 0).map(e => -e.amount));
+            const credits = sum(txn.entries.filter(e => e.amount > 0).map(e => e.amount));
+            assert.ok(debits > 0, `${txn.type} moves money`);
+            assert.equal(debits, credits, `${txn.type} balances`);
+        });
+
+        // Duit hanya berpindah antara wallet: jumlah semua baki (termasuk gateway) sentiasa sifar
+        const wallets = await Wallet.find();
+        assert.equal(sum(wallets.map(wallet => wallet.balance)), 0);
+        assert.equal(await balanceOf('customer', customer._id), round2(50 - 20 - 3));
+    });
+
+    it('posts a ride payment only once when the same idempotency key is replayed', async () => {
+        await ledger.topUp(customer._id, 50);
+        const booking = await completedBooking(customer, driver, { paymentMethod: 'wallet' });
+
+        const first = await ledger.settleRide(booking);
+        const replayed = await Promise.all(Array.from({ length: PARALLEL }, () => ledger.settleRide(booking)));
+
+        replayed.forEach(txn => assert.equal(String(txn._id), String(first._id)));
+        assert.equal(await LedgerTransaction.countDocuments({ idempotencyKey: `ride:${booking._id}` }), 1);
+        assert.equal(await balanceOf('customer', customer._id), 30);
+        assert.equal(await balanceOf('driver', driver._id), round2(20 * (1 - ledger.COMMISSION_RATE)));
+    });
+
+    it('rejects a refund larger than the settled amount', async () => {
+        const booking = await completedBooking(customer, driver, { paymentMethod: 'card' });
+        await ledger.settleRide(booking);
+
+        await assert.rejects(ledger.refundRide(booking, 25), /cannot exceed the remaining RM20\.00/);
+
+        await ledger.refundRide(booking, 15);
+        await assert.rejects(ledger.refundRide(booking, 6), /cannot exceed the remaining RM5\.00/);
+        await ledger.refundRide(booking, 5);
+        await assert.rejects(ledger.refundRide(booking, 1), /already been fully refunded/);
+
+        const refunds = await LedgerTransaction.find({ booking: booking._id, type: 'refund' });
+        assert.equal(sum(refunds.map(txn => sum(txn.entries.filter(e => e.amount > 0).map(e => e.amount)))), 20);
+        assert.equal((await Booking.findById(booking._id)).paymentStatus, 'refunded');
+    });
+
+    it('answers an over-large refund with 400 through the admin API', async () => {
+        const admin = await createAdmin();
+        const booking = await completedBooking(customer, driver, { paymentMethod: 'card' });
+        await ledger.settleRide(booking);
+
+        const res = await request('POST', `/api/v1/admin/bookings/${booking._id}/refund`, {
+            token: admin.token,
+            body: { amount: 25, reason: 'Terlebih' }
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(await LedgerTransaction.countDocuments({ type: 'refund' }), 0);
+        assert.equal((await Booking.findById(booking._id)).paymentStatus, 'paid');
+    });
+});
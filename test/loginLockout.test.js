@@ -0,0 +1,97 @@
+// Progressive login lockout (utils/loginLockout.js) dengan had rendah & memory counter store. Tidak perlu DB.
+
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.LOGIN_FAILURE_WINDOW_MINUTES = '15';
+process.env.LOGIN_LOCKOUT_MINUTES = '5';
+process.env.LOGIN_LOCKOUT_MAX_MINUTES = '15';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lockedUntil, recordFailure, recordSuccess } = require('../utils/loginLockout');
+const { memoryStore, setCounterStore } = require('../utils/counterStore');
+
+const MINUTE = 60 * 1000;
+const EMAIL = 'ali@test.local';
+
+let clock;
+
+// Login gagal berturut-turut; pulangkan tarikh kunci daripada percubaan terakhir
+const failTimes = async (times, role = 'customer', email = EMAIL) => {
+    let until = null;
+    for (let i = 0; i < times; i++) until = await recordFailure(role, email);
+    return until;
+};
+
+describe('login lockout', () => {
+    beforeEach(() => {
+        clock = 1_700_000_000_000;
+        mock.method(Date, 'now', () => clock);
+        setCounterStore(memoryStore());
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('locks the account after the maximum number of failures', async () => {
+        assert.equal(await failTimes(2), null);
+        assert.equal(await lockedUntil('customer', EMAIL), null);
+
+        const until = await recordFailure('customer', EMAIL);
+        assert.equal(until.getTime(), clock + 5 * MINUTE);
+        assert.equal((await lockedUntil('customer', EMAIL)).getTime(), until.getTime());
+    });
+
+    it('unlocks once the lockout has passed', async () => {
+        const until = await failTimes(3);
+
+        clock = until.getTime() - 1;
+        assert.ok(await lockedUntil('customer', EMAIL));
+
+        clock = until.getTime();
+        assert.equal(await lockedUntil('customer', EMAIL), null);
+    });
+
+    it('doubles the lockout on each repeat up to the maximum', async () => {
+        const durations = [];
+        for (let i = 0; i < 4; i++) {
+            const until = await failTimes(3);
+            durations.push((until.getTime() - clock) / MINUTE);
+            clock = until.getTime(); // Tunggu sehingga kunci dibuka, kemudian gagal lagi
+        }
+
+        assert.deepEqual(durations, [5, 10, 15, 15]);
+    });
+
+    it('starts again from the first level after 24 hours', async () => {
+        await failTimes(3);
+        clock += 5 * MINUTE;
+        await failTimes(3);
+
+        clock += 24 * 60 * MINUTE;
+        const until = await failTimes(3);
+        assert.equal(until.getTime(), clock + 5 * MINUTE);
+    });
+
+    it('forgets failures outside the failure window', async () => {
+        await failTimes(2);
+        clock += 15 * MINUTE;
+
+        assert.equal(await failTimes(2), null);
+        assert.equal(await lockedUntil('customer', EMAIL), null);
+    });
+
+    it('clears the failure count on a successful login', async () => {
+        await failTimes(2);
+        await recordSuccess('customer', EMAIL);
+
+        assert.equal(await failTimes(2), null);
+        assert.ok(await recordFailure('customer', EMAIL));
+    });
+
+    it('tracks each role and email separately, ignoring email case', async () => {
+        await failTimes(3, 'customer', 'Ali@Test.Local');
+
+        assert.ok(await lockedUntil('customer', EMAIL));
+        assert.equal(await lockedUntil('driver', EMAIL), null);
+        assert.equal(await lockedUntil('customer', 'abu@test.local'), null);
+    });
+});
@@ -0,0 +1,207 @@
+// Pooled ride (utils/pooling.js): gabung penumpang, had seat, version pool, accept, keluar & tamat pool.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const RidePool = require('../models/RidePool');
+const pooling = require('../utils/pooling');
+const { routeDistanceKm } = require('../utils/geo');
+const {
+    MELAKA,
+    start,
+    stop,
+    clearDatabase,
+    request,
+    createCustomer,
+    createDriver
+} = require('./helpers');
+
+const AYER_KEROH = [102.2800, 2.2700];
+const NEAR_MELAKA = [102.2550, 2.1950]; // ~0.8 km dari MELAKA, arah sama
+const PARALLEL = 6;
+
+const point = (coordinates) => ({ type: 'Point', coordinates });
+
+// Booking 'pool' baru yang belum disimpan (seperti dalam POST /bookings)
+const poolBooking = (customer, { pickup = MELAKA, dropoff = AYER_KEROH, seats = 1 } = {}) => {
+    const distance = routeDistanceKm([point(pickup), point(dropoff)]);
+    return new Booking({
+        customer: customer._id,
+        pickupLocation: 'Bandar Hilir',
+        dropoffLocation: 'Ayer Keroh',
+        pickupPoint: point(pickup),
+        dropoffPoint: point(dropoff),
+        distance,
+        fare: 14,
+        fareBreakdown: { total: 14, soloTotal: 20, surgeMultiplier: 1 },
+        vehicleClass: 'economy',
+        rideType: 'pool',
+        seats,
+        status: 'pending',
+        statusHistory: [{ status: 'pending', changedBy: customer._id, role: 'customer' }]
+    });
+};
+
+const join = (customer, options) => pooling.joinPool(poolBooking(customer, options));
+
+const ids = (list) => list.map(String).sort();
+
+describe('ride pooling', () => {
+    let customer;
+
+    before(start);
+    after(stop);
+    beforeEach(async () => {
+        await clearDatabase();
+        ({ user: customer } = await createCustomer());
+    });
+
+    it('saves a new pooled booking already attached to its pool', async () => {
+        const booking = poolBooking(customer);
+        assert.equal(await Booking.exists({ _id: booking._id }), null);
+
+        const pool = await pooling.joinPool(booking);
+
+        const saved = await Booking.findById(booking._id);
+        assert.equal(String(saved.pool), String(pool._id));
+        assert.equal(await Booking.countDocuments({ rideType: 'pool', pool: null }), 0);
+    });
+
+    it('creates pooled bookings through the API with their pool set', async () => {
+        const { token } = await createCustomer();
+        const res = await request('POST', '/api/v1/bookings', {
+            token,
+            body: {
+                pickupLocation: 'Bandar Hilir',
+                dropoffLocation: 'Ayer Keroh',
+                pickupCoordinates: { lng: MELAKA[0], lat: MELAKA[1] },
+                dropoffCoordinates: { lng: AYER_KEROH[0], lat: AYER_KEROH[1] },
+                rideType: 'pool'
+            }
+        });
+
+        assert.equal(res.status, 201);
+        assert.ok(res.body.booking.pool);
+        const pool = await RidePool.findById(res.body.booking.pool);
+        assert.deepEqual(ids(pool.bookings), [res.body.booking._id]);
+    });
+
+    it('puts compatible bookings in the same pool and reprices them', async () => {
+        const first = await join(customer);
+        const second = await join(customer, { pickup: NEAR_MELAKA });
+
+        assert.equal(String(second._id), String(first._id));
+
+        const pool = await RidePool.findById(first._id);
+        assert.equal(pool.bookings.length, 2);
+        assert.equal(pool.seatsTaken, 2);
+        assert.equal(pool.stops.length, 4);
+        assert.deepEqual(pool.stops.map(s => s.type), ['pickup', 'pickup', 'dropoff', 'dropoff']);
+        assert.ok(pool.routeFare > 0);
+
+        // Tambang tidak melebihi harga pool yang dijanjikan
+        const members = await Booking.find({ _id: { $in: pool.bookings } });
+        members.forEach(member => {
+            assert.ok(member.fare <= member.fareBreakdown.total);
+            assert.ok(member.fareBreakdown.poolShare > 0);
+        });
+    });
+
+    it('opens a new pool when the seats would exceed its capacity', async () => {
+        const first = await join(customer, { seats: 2 });
+        const second = await join(customer, { pickup: NEAR_MELAKA, seats: 2 });
+
+        assert.notEqual(String(second._id), String(first._id));
+        assert.equal(first.capacity, pooling.seatCapacity('economy'));
+        assert.equal((await RidePool.findById(first._id)).seatsTaken, 2);
+        assert.equal((await RidePool.findById(second._id)).seatsTaken, 2);
+    });
+
+    it('never overfills or loses stops when bookings join in parallel', async () => {
+        await Promise.all(Array.from({ length: PARALLEL }, () => join(customer)));
+
+        const pools = await RidePool.find();
+        const bookings = await Booking.find({ rideType: 'pool' });
+        assert.equal(bookings.length, PARALLEL);
+        assert.equal(pools.reduce((sum, pool) => sum + pool.bookings.length, 0), PARALLEL);
+
+        // Setiap update pool semak version: tiada seat atau hentian ahli lain yang tertindih
+        pools.forEach(pool => {
+            const members = bookings.filter(b => String(b.pool) === String(pool._id));
+            assert.deepEqual(ids(pool.bookings), ids(members.map(b => b._id)));
+            assert.equal(pool.seatsTaken, members.reduce((sum, b) => sum + b.seats, 0));
+            assert.ok(pool.seatsTaken <= pool.capacity);
+            assert.equal(pool.stops.length, members.length * 2);
+            assert.equal(pool.version, members.length - 1);
+        });
+    });
+
+    it('lets one driver accept the whole pool and only once', async () => {
+        const pool = await join(customer);
+        await join(customer, { pickup: NEAR_MELAKA });
+
+        const driver = await createDriver();
+        const actor = { userId: driver.user._id, role: 'driver' };
+        const accepted = await pooling.acceptPool(pool._id, actor, driver.vehicle);
+
+        assert.equal(accepted.pool.status, 'assigned');
+        assert.equal(String(accepted.pool.driver), String(driver.user._id));
+        assert.equal(accepted.bookings.length, 2);
+        accepted.bookings.forEach(booking => {
+            assert.equal(booking.status, 'accepted');
+            assert.equal(String(booking.driver), String(driver.user._id));
+        });
+
+        const other = await createDriver();
+        assert.equal(await pooling.acceptPool(pool._id, { userId: other.user._id, role: 'driver' }, other.vehicle), null);
+    });
+
+    it('refuses a pool when the vehicle has fewer seats than booked', async () => {
+        const pool = await join(customer, { seats: 2 });
+        const driver = await createDriver({}, { seats: 1 });
+
+        assert.equal(await pooling.acceptPool(pool._id, { userId: driver.user._id, role: 'driver' }, driver.vehicle), null);
+        assert.equal((await RidePool.findById(pool._id)).status, 'open');
+        assert.equal((await Booking.findOne({ pool: pool._id })).status, 'pending');
+    });
+
+    it('removes a leaving booking and cancels the pool when the last one leaves', async () => {
+        const pool = await join(customer);
+        await join(customer, { pickup: NEAR_MELAKA });
+        const [first, second] = await Booking.find({ pool: pool._id }).sort({ _id: 1 });
+
+        const remaining = await pooling.leavePool(first);
+        assert.deepEqual(ids(remaining.bookings), ids([second._id]));
+        assert.equal(remaining.seatsTaken, 1);
+        assert.equal(remaining.stops.length, 2);
+        assert.ok(remaining.stops.every(s => String(s.booking) === String(second._id)));
+        assert.equal(remaining.status, 'open');
+
+        const emptied = await pooling.leavePool(second);
+        assert.equal(emptied.status, 'cancelled');
+        assert.equal(emptied.seatsTaken, 0);
+    });
+
+    it('completes the pool and releases the driver only once', async () => {
+        const pool = await join(customer);
+        const driver = await createDriver({ status: 'busy' });
+        await RidePool.updateOne(
+            { _id: pool._id },
+            { $set: { driver: driver.user._id, status: 'in_progress', 'stops.$[].completedAt': new Date() } }
+        );
+
+        const finished = await pooling.finishPool(await RidePool.findById(pool._id));
+        assert.equal(finished.status, 'completed');
+        assert.equal((await Driver.findById(driver.user._id)).status, 'online');
+
+        assert.equal(await pooling.finishPool(finished), null);
+    });
+
+    it('cancels a pool with no completed stops when it finishes', async () => {
+        const pool = await join(customer);
+        const finished = await pooling.finishPool(pool);
+        assert.equal(finished.status, 'cancelled');
+    });
+});
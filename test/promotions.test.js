@@ -0,0 +1,105 @@
+// Promo code: had per-customer & keseluruhan mesti kekal walaupun banyak booking dibuat serentak.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { MELAKA, start, stop, clearDatabase, request, waitFor, createCustomer } = require('./helpers');
+
+const PARALLEL = 8;
+const MELAKA_COORDINATES = { lng: MELAKA[0], lat: MELAKA[1] };
+const AYER_KEROH_COORDINATES = { lng: 102.2800, lat: 2.2700 };
+const ALOR_GAJAH_COORDINATES = { lng: 102.2090, lat: 2.3810 };
+
+const book = (token, body = {}) => request('POST', '/api/v1/bookings', {
+    token,
+    body: {
+        pickupLocation: 'Bandar Hilir',
+        dropoffLocation: 'Ayer Keroh',
+        pickupCoordinates: MELAKA_COORDINATES,
+        dropoffCoordinates: AYER_KEROH_COORDINATES,
+        promoCode: 'JIMAT',
+        ...body
+    }
+});
+
+const createPromotion = (fields = {}) => Promotion.create({
+    code: 'JIMAT',
+    discountType: 'percentage',
+    discountValue: 50,
+    ...fields
+});
+
+const redeemedCount = (promotion) => PromotionRedemption.countDocuments({ promotion: promotion._id, status: 'redeemed' });
+
+describe('promo code limits', () => {
+    before(start);
+    after(stop);
+    beforeEach(clearDatabase);
+
+    it('lets a customer redeem a single-use promo only once when booking in parallel', async () => {
+        const promotion = await createPromotion();
+        const { token } = await createCustomer();
+
+        const results = await Promise.all(Array.from({ length: PARALLEL }, () => book(token)));
+
+        assert.equal(results.filter(res => res.status === 201).length, 1);
+        results.filter(res => res.status !== 201).forEach(res => {
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'You have already used this promo code');
+        });
+        assert.equal(await redeemedCount(promotion), 1);
+        assert.equal((await Promotion.findById(promotion._id)).usageCount, 1);
+    });
+
+    it('frees a per-customer slot again when the booking is cancelled', async () => {
+        const promotion = await createPromotion({ perCustomerLimit: 2 });
+        const { token } = await createCustomer();
+
+        const results = await Promise.all(Array.from({ length: PARALLEL }, () => book(token)));
+        const created = results.filter(res => res.status === 201);
+        assert.equal(created.length, 2);
+        assert.equal(await redeemedCount(promotion), 2);
+
+        const cancelled = await request('PATCH', `/api/v1/bookings/${created[0].body.booking._id}/cancel`, { token });
+        assert.equal(cancelled.status, 200);
+        await waitFor(async () => (await redeemedCount(promotion)) === 1);
+
+        assert.equal((await book(token)).status, 201);
+        assert.equal((await book(token)).status, 400);
+        assert.equal((await Promotion.findById(promotion._id)).usageCount, 2);
+    });
+
+    it('keeps the total usage limit across customers', async () => {
+        const promotion = await createPromotion({ totalUsageLimit: 3 });
+        const customers = [];
+        for (let i = 0; i < PARALLEL; i++) customers.push(await createCustomer());
+
+        const results = await Promise.all(customers.map(customer => book(customer.token)));
+
+        assert.equal(results.filter(res => res.status === 201).length, 3);
+        assert.equal(await redeemedCount(promotion), 3);
+        assert.equal((await Promotion.findById(promotion._id)).usageCount, 3);
+    });
+
+    it('updates the redeemed discount when a scheduled ride is repriced', async () => {
+        await createPromotion();
+        const { token } = await createCustomer();
+        const scheduledAt = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+
+        const created = await book(token, { scheduledAt });
+        assert.equal(created.status, 201);
+        const { booking } = created.body;
+
+        const edited = await request('PATCH', `/api/v1/bookings/${booking._id}/schedule`, {
+            token,
+            body: { dropoffLocation: 'Alor Gajah', dropoffCoordinates: ALOR_GAJAH_COORDINATES }
+        });
+        assert.equal(edited.status, 200);
+        assert.notEqual(edited.body.booking.discount, booking.discount);
+
+        const redemption = await PromotionRedemption.findOne({ booking: booking._id });
+        assert.equal(redemption.discount, edited.body.booking.discount);
+    });
+});
@@ -0,0 +1,138 @@
+// Rate limit (utils/rateLimit.js) & memory counter store dengan had rendah. Tidak perlu DB:
+// app Express kecil dengan satu route, dan masa dikawal melalui mock Date.now().
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { rateLimit } = require('../utils/rateLimit');
+const { memoryStore, setCounterStore } = require('../utils/counterStore');
+
+const WINDOW_SECONDS = 60;
+
+let clock;
+let server;
+let baseUrl;
+
+// Setiap route: had 2 request / 60 saat; ?user= meniru req.user selepas authenticate
+const app = express();
+app.use((req, res, next) => {
+    if (req.query.user) req.user = { userId: req.query.user };
+    next();
+});
+app.get('/ip', rateLimit({ name: 'test_ip', max: 2, windowSeconds: WINDOW_SECONDS }), (req, res) => res.json({ ok: true }));
+app.get('/user', rateLimit({ name: 'test_user', max: 2, windowSeconds: WINDOW_SECONDS, by: 'user' }), (req, res) => res.json({ ok: true }));
+
+const get = async (path) => {
+    const res = await fetch(`${baseUrl}${path}`);
+    await res.text();
+    return res;
+};
+
+describe('rateLimit', () => {
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        clock = 1_700_000_000_000;
+        mock.method(Date, 'now', () => clock);
+        setCounterStore(memoryStore());
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('answers 429 with Retry-After once the limit is used up', async () => {
+        const first = await get('/ip');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('ratelimit-limit'), '2');
+        assert.equal(first.headers.get('ratelimit-remaining'), '1');
+        assert.equal(first.headers.get('ratelimit-reset'), String(WINDOW_SECONDS));
+
+        assert.equal((await get('/ip')).status, 200);
+
+        clock += 15 * 1000;
+        const blocked = await get('/ip');
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.headers.get('retry-after'), String(WINDOW_SECONDS - 15));
+        assert.equal(blocked.headers.get('ratelimit-remaining'), '0');
+    });
+
+    it('starts a new window after the old one resets', async () => {
+        await get('/ip');
+        await get('/ip');
+        assert.equal((await get('/ip')).status, 429);
+
+        clock += (WINDOW_SECONDS - 1) * 1000;
+        assert.equal((await get('/ip')).status, 429);
+
+        clock += 1000;
+        const reopened = await get('/ip');
+        assert.equal(reopened.status, 200);
+        assert.equal(reopened.headers.get('ratelimit-remaining'), '1');
+        assert.equal(reopened.headers.get('retry-after'), null);
+    });
+
+    it('counts each user separately on per-user limits', async () => {
+        await get('/user?user=a');
+        await get('/user?user=a');
+        assert.equal((await get('/user?user=a')).status, 429);
+        assert.equal((await get('/user?user=b')).status, 200);
+    });
+
+    it('lets traffic through when the counter store fails', async (t) => {
+        setCounterStore({ incr: async () => { throw new Error('store down'); } });
+        t.mock.method(console, 'error', () => {});
+
+        for (let i = 0; i < 5; i++) assert.equal((await get('/ip')).status, 200);
+    });
+
+    it('reads RATE_LIMIT_<NAME> overrides', () => {
+        process.env.RATE_LIMIT_TEST_ENV = '3/10';
+        try {
+            const middleware = rateLimit({ name: 'test_env', max: 100, windowSeconds: 60 });
+            assert.deepEqual(middleware.rateLimit, { name: 'test_env', by: 'ip', max: 3, windowSeconds: 10 });
+        } finally {
+            delete process.env.RATE_LIMIT_TEST_ENV;
+        }
+    });
+});
+
+describe('memoryStore', () => {
+    beforeEach(() => {
+        clock = 1_700_000_000_000;
+        mock.method(Date, 'now', () => clock);
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('keeps one window per key from the first incr', async () => {
+        const store = memoryStore();
+
+        assert.deepEqual(await store.incr('k', 1000), { count: 1, resetAt: clock + 1000 });
+        const resetAt = clock + 1000;
+        clock += 400;
+        assert.deepEqual(await store.incr('k', 1000), { count: 2, resetAt });
+        assert.deepEqual(await store.get('k'), { count: 2, resetAt });
+        assert.deepEqual(await store.incr('other', 1000), { count: 1, resetAt: clock + 1000 });
+    });
+
+    it('forgets a key once its window has passed', async () => {
+        const store = memoryStore();
+        await store.incr('k', 1000);
+        await store.incr('k', 1000);
+
+        clock += 1000;
+        assert.equal(await store.get('k'), null);
+        assert.deepEqual(await store.incr('k', 1000), { count: 1, resetAt: clock + 1000 });
+    });
+
+    it('clears a key on reset', async () => {
+        const store = memoryStore();
+        await store.incr('k', 1000);
+        await store.reset('k');
+
+        assert.equal(await store.get('k'), null);
+    });
+});
@@ -0,0 +1,78 @@
+// Push channel SSE (GET /events/stream): job baru sampai kepada driver berdekatan dengan data offer yang ringkas.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const { MELAKA, start, stop, clearDatabase, request, openStream, createCustomer, createDriver } = require('./helpers');
+
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000; // PENDING_TIMEOUT_MINUTES lalai
+const OFFER_FIELDS = [
+    'bookingId',
+    'pickupLocation',
+    'pickupPoint',
+    'dropoffLocation',
+    'dropoffPoint',
+    'fare',
+    'distance',
+    'vehicleClass',
+    'expiresAt'
+];
+
+const createBooking = (token) => request('POST', '/api/v1/bookings', {
+    token,
+    body: {
+        pickupLocation: 'Bandar Hilir',
+        dropoffLocation: 'Ayer Keroh',
+        pickupCoordinates: { lng: MELAKA[0], lat: MELAKA[1] },
+        dropoffCoordinates: { lng: 102.2800, lat: 2.2700 }
+    }
+});
+
+describe('GET /events/stream', () => {
+    before(start);
+    after(stop);
+    beforeEach(clearDatabase);
+
+    it('pushes a trimmed job offer to a nearby driver', async (t) => {
+        const driver = await createDriver();
+        const customer = await createCustomer();
+
+        const stream = await openStream('/api/v1/events/stream', { token: driver.token });
+        t.after(() => stream.close());
+        assert.equal(stream.status, 200);
+        await stream.waitForEvent('connected');
+
+        const created = await createBooking(customer.token);
+        assert.equal(created.status, 201);
+
+        const offer = await stream.waitForEvent('booking.new');
+        const booking = await Booking.findById(created.body.booking._id);
+
+        assert.deepEqual(Object.keys(offer).sort(), [...OFFER_FIELDS].sort());
+        assert.equal(offer.bookingId, String(booking._id));
+        assert.equal(offer.pickupLocation, 'Bandar Hilir');
+        assert.deepEqual(offer.pickupPoint.coordinates, MELAKA);
+        assert.equal(offer.fare, booking.fare);
+        assert.equal(offer.vehicleClass, 'economy');
+        assert.equal(new Date(offer.expiresAt).getTime(), booking.createdAt.getTime() + PENDING_TIMEOUT_MS);
+        assert.equal(offer.customer, undefined);
+    });
+
+    it('tells the customer when a driver accepts the booking', async (t) => {
+        const driver = await createDriver();
+        const customer = await createCustomer();
+        const { body } = await createBooking(customer.token);
+
+        const stream = await openStream('/api/v1/events/stream', { token: customer.token });
+        t.after(() => stream.close());
+        await stream.waitForEvent('connected');
+
+        const accepted = await request('PATCH', `/api/v1/bookings/${body.booking._id}/accept`, { token: driver.token });
+        assert.equal(accepted.status, 200);
+
+        const update = await stream.waitForEvent('booking.status');
+        assert.equal(update.bookingId, body.booking._id);
+        assert.equal(update.status, 'accepted');
+    });
+});
@@ -0,0 +1,139 @@
+// Pengurusan akaun oleh admin: suspend / ban / reactivate / soft delete (anonymise).
+// Akaun yang tidak 'active' disekat di authenticate dan /auth/login.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const { ACCOUNT_STATUSES } = require('../models/accountStatus');
+const { getUserModel, revokeAllSessions } = require('./auth');
+const { normalizeLimit, searchRegex } = require('./pagination');
+
+const ROLES = ['customer', 'driver', 'admin'];
+
+// Cari user dalam ketiga-tiga collection (id unik merentasi collection)
+const findUserById = async (id) => {
+    for (const role of ROLES) {
+        const user = await getUserModel(role).findById(id);
+        if (user) return { role, user };
+    }
+    return null;
+};
+
+// Pulangkan sebab akaun disekat, atau null kalau boleh guna.
+// Suspension yang dah tamat tempoh diaktifkan semula secara automatik.
+const checkAccount = async (role, user) => {
+    const status = user.accountStatus || 'active';
+    if (status === 'active') return null;
+
+    if (status === 'suspended' && user.suspendedUntil && user.suspendedUntil <= new Date()) {
+        await getUserModel(role).updateOne(
+            { _id: user._id, accountStatus: 'suspended' },
+            { accountStatus: 'active', accountStatusChangedAt: new Date(), $unset: { accountStatusReason: 1, suspendedUntil: 1 } }
+        );
+        return null;
+    }
+
+    return {
+        error: status === 'deleted' ? "Account deleted" : `Account ${status}`,
+        accountStatus: status,
+        reason: user.accountStatusReason,
+        until: user.suspendedUntil
+    };
+};
+
+// Tukar status akaun. Selain 'active', semua sesi dimatikan & driver dipaksa offline.
+const setAccountStatus = async (role, id, status, { reason, until } = {}) => {
+    const update = status === 'active'
+        ? { $set: { accountStatus: 'active', accountStatusChangedAt: new Date() }, $unset: { accountStatusReason: 1, suspendedUntil: 1 } }
+        : { $set: { accountStatus: status, accountStatusReason: reason, accountStatusChangedAt: new Date() } };
+
+    if (status === 'suspended' && until) update.$set.suspendedUntil = until;
+    else if (status !== 'active') update.$unset = { suspendedUntil: 1 };
+
+    const user = await getUserModel(role).findByIdAndUpdate(id, update, { new: true });
+    if (!user || status === 'active') return user;
+
+    await revokeAllSessions(id, role);
+    if (role === 'driver') {
+        // Trip semasa (busy) dibiarkan selesai; selepas itu releaseDriver set 'offline'
+        await Driver.updateOne({ _id: id, status: 'online' }, { status: 'offline' });
+    }
+    return user;
+};
+
+// Soft delete: buang data peribadi tapi kekalkan dokumen supaya booking & analytics tetap konsisten
+const anonymiseUser = async (role, id) => {
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    const set = {
+        name: 'Deleted User',
+        email: `deleted-${id}@anonymised.invalid`,
+        password,
+        accountStatus: 'deleted',
+        accountStatusChangedAt: new Date(),
+        deletedAt: new Date()
+    };
+    const unset = { phone: 1, accountStatusReason: 1, suspendedUntil: 1 };
+
+    if (role === 'driver') {
+        Object.assign(set, { phoneNumber: '-', plateNumber: 'DELETED', status: 'offline' });
+        Object.assign(unset, { currentLocation: 1, locationUpdatedAt: 1, activeVehicle: 1 });
+    }
+
+    const user = await getUserModel(role).findByIdAndUpdate(id, { $set: set, $unset: unset }, { new: true });
+    if (user) await revokeAllSessions(id, role);
+    if (user && role === 'driver') {
+        await Vehicle.updateMany(
+            { driver: id, retired: false },
+            { retired: true, retiredAt: new Date(), plateNumber: 'DELETED' }
+        );
+    }
+    return user;
+};
+
+// Cari user merentasi Customer, Driver & Admin (terbaru dahulu).
+// Cursor ialah _id terakhir; ObjectId tersusun ikut masa jadi susunan stabil merentasi collection.
+const searchUsers = async ({ search, role, accountStatus, limit, cursor } = {}) => {
+    limit = normalizeLimit(limit);
+
+    const filter = {};
+    if (search) filter.$or = ['name', 'email'].map(field => ({ [field]: searchRegex(search) }));
+    if (accountStatus === 'active') filter.accountStatus = { $in: ['active', null] }; // Akaun lama tiada field
+    else if (accountStatus) filter.accountStatus = accountStatus;
+    if (cursor) {
+        if (!mongoose.isValidObjectId(cursor)) throw new Error('Invalid cursor');
+        filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+    }
+
+    const roles = role ? [role] : ROLES;
+    const results = await Promise.all(roles.map(r =>
+        getUserModel(r).find(filter).sort({ _id: -1 }).limit(limit + 1)
+    ));
+
+    const docs = results.flat().sort((a, b) => String(b._id).localeCompare(String(a._id)));
+    const hasMore = docs.length > limit;
+    const data = docs.slice(0, limit);
+
+    return {
+        data,
+        paging: {
+            limit,
+            sort: '_id',
+            order: 'desc',
+            hasMore,
+            nextCursor: hasMore ? String(data[data.length - 1]._id) : null
+        }
+    };
+};
+
+module.exports = {
+    ACCOUNT_STATUSES,
+    findUserById,
+    checkAccount,
+    setAccountStatus,
+    anonymiseUser,
+    searchUsers
+};
@@ -0,0 +1,264 @@
+// Query analytics (aggregation pipeline) yang dikongsi oleh route /analytics/* dan dashboard.
+// Semua function terima range { from, to } dan tapis ikut Booking.createdAt (job offer ikut offeredAt).
+
+const Admin = require('../models/Admin');
+const Customer = require('../models/Customer');
+const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Asia/Kuala_Lumpur';
+const FUNNEL_STAGES = ['accepted', 'arrived', 'in_progress', 'completed'];
+
+// $match untuk julat tarikh (from/to pilihan)
+const dateMatch = ({ from, to } = {}, field = 'createdAt') => {
+    if (!from && !to) return {};
+    const match = {};
+    if (from) match.$gte = new Date(from);
+    if (to) match.$lte = new Date(to);
+    return { [field]: match };
+};
+
+const round = (expr) => ({ $round: [expr, 2] });
+
+// Statistik penumpang, dikumpul ikut _id customer (bukan nama)
+const passengerStats = (range) => Booking.aggregate([
+    { $match: dateMatch(range) },
+    {
+        $group: {
+            _id: "$customer",
+            totalRides: { $sum: 1 },
+            totalFare: { $sum: "$fare" },
+            avgDistance: { $avg: "$distance" }
+        }
+    },
+    {
+        $lookup: {
+            from: 'customers',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'customer'
+        }
+    },
+    { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } },
+    {
+        $project: {
+            _id: 0,
+            customerId: "$_id",
+            name: "$customer.name",
+            email: "$customer.email",
+            totalRides: 1,
+            totalFare: round("$totalFare"),
+            avgDistance: round("$avgDistance")
+        }
+    },
+    { $sort: { totalRides: -1 } }
+]);
+
+// Hasil & bilangan ride selesai ikut day / week / month
+const revenueSeries = (range, interval = 'day') => Booking.aggregate([
+    { $match: { ...dateMatch(range), status: 'completed' } },
+    {
+        $group: {
+            _id: { $dateTrunc: { date: "$createdAt", unit: interval, timezone: TIMEZONE } },
+            rides: { $sum: 1 },
+            revenue: { $sum: "$fare" },
+            discount: { $sum: "$discount" },
+            avgFare: { $avg: "$fare" }
+        }
+    },
+    { $sort: { _id: 1 } },
+    {
+        $project: {
+            _id: 0,
+            period: "$_id",
+            rides: 1,
+            revenue: round("$revenue"),
+            discount: round("$discount"),
+            avgFare: round("$avgFare")
+        }
+    }
+]);
+
+// Leaderboard driver: trip, rating, kadar penerimaan job, kadar siap & kadar pembatalan oleh driver
+// acceptanceRate = job offer yang diterima / job offer yang dilihat driver (models/JobOffer.js)
+const driverLeaderboard = (range, limit = 10) => Booking.aggregate([
+    { $match: { ...dateMatch(range), driver: { $ne: null } } },
+    {
+        $group: {
+            _id: "$driver",
+            acceptedJobs: { $sum: 1 },
+            completedTrips: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+            driverCancellations: { $sum: { $cond: [{ $eq: ["$cancelledBy", "driver"] }, 1, 0] } },
+            avgRating: { $avg: "$rating" },
+            ratings: { $sum: { $cond: [{ $isNumber: "$rating" }, 1, 0] } },
+            revenue: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$fare", 0] } }
+        }
+    },
+    {
+        $lookup: {
+            from: 'drivers',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'driver'
+        }
+    },
+    { $unwind: { path: '$driver', preserveNullAndEmptyArrays: true } },
+    {
+        $lookup: {
+            from: 'joboffers',
+            let: { driverId: '$_id' },
+            pipeline: [
+                { $match: { ...dateMatch(range, 'offeredAt'), $expr: { $eq: ['$driver', '$$driverId'] } } },
+                {
+                    $group: {
+                        _id: null,
+                        offered: { $sum: 1 },
+                        accepted: { $sum: { $cond: [{ $ifNull: ['$acceptedAt', false] }, 1, 0] } }
+                    }
+                }
+            ],
+            as: 'offers'
+        }
+    },
+    { $unwind: { path: '$offers', preserveNullAndEmptyArrays: true } },
+    {
+        $project: {
+            _id: 0,
+            driverId: "$_id",
+            name: "$driver.name",
+            plateNumber: "$driver.plateNumber",
+            jobsOffered: { $ifNull: ["$offers.offered", 0] },
+            acceptedJobs: 1,
+            acceptanceRate: { $cond: [
+                { $gt: ["$offers.offered", 0] },
+                round({ $divide: ["$offers.accepted", "$offers.offered"] }),
+                null
+            ] },
+            completedTrips: 1,
+            driverCancellations: 1,
+            completionRate: round({ $divide: ["$completedTrips", "$acceptedJobs"] }),
+            cancellationRate: round({ $divide: ["$driverCancellations", "$acceptedJobs"] }),
+            avgRating: round({ $ifNull: ["$avgRating", 0] }),
+            ratings: 1,
+            revenue: round("$revenue")
+        }
+    },
+    { $sort: { completedTrips: -1, avgRating: -1 } },
+    { $limit: limit }
+]);
+
+// Lokasi pickup paling sibuk (ikut label alamat)
+const busiestPickups = (range, limit = 10) => Booking.aggregate([
+    { $match: dateMatch(range) },
+    {
+        $group: {
+            _id: "$pickupLocation",
+            bookings: { $sum: 1 },
+            avgFare: { $avg: "$fare" }
+        }
+    },
+    { $sort: { bookings: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, pickupLocation: "$_id", bookings: 1, avgFare: round("$avgFare") } }
+]);
+
+// Jam paling sibuk (0-23, waktu tempatan)
+const busiestHours = (range) => Booking.aggregate([
+    { $match: dateMatch(range) },
+    {
+        $group: {
+            _id: { $hour: { date: "$createdAt", timezone: TIMEZONE } },
+            bookings: { $sum: 1 }
+        }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, hour: "$_id", bookings: 1 } }
+]);
+
+// Funnel: berapa booking sampai setiap peringkat, dan di peringkat mana ia dibatalkan
+const cancellationFunnel = async (range) => {
+    const [result] = await Booking.aggregate([
+        { $match: dateMatch(range) },
+        {
+            $facet: {
+                stages: [
+                    {
+                        $group: {
+                            _id: null,
+                            created: { $sum: 1 },
+                            ...Object.fromEntries(FUNNEL_STAGES.map(stage => [
+                                stage,
+                                { $sum: { $cond: [{ $in: [stage, { $ifNull: ["$statusHistory.status", []] }] }, 1, 0] } }
+                            ])),
+                            cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+                            expired: { $sum: { $cond: [{ $eq: ["$status", "expired"] }, 1, 0] } }
+                        }
+                    },
+                    { $project: { _id: 0 } }
+                ],
+                cancellations: [
+                    { $match: { status: 'cancelled' } },
+                    {
+                        $group: {
+                            _id: {
+                                cancelledBy: { $ifNull: ["$cancelledBy", "customer"] },
+                                // Status sebelum 'cancelled' dalam history
+                                fromStatus: { $arrayElemAt: ["$statusHistory.status", -2] }
+                            },
+                            count: { $sum: 1 },
+                            fees: { $sum: "$cancellationFee" }
+                        }
+                    },
+                    { $sort: { count: -1 } },
+                    {
+                        $project: {
+                            _id: 0,
+                            cancelledBy: "$_id.cancelledBy",
+                            fromStatus: "$_id.fromStatus",
+                            count: 1,
+                            fees: round("$fees")
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        stages: result.stages[0] || { created: 0 },
+        cancellations: result.cancellations
+    };
+};
+
+// Jumlah akaun & booking (dipakai oleh /admin/system-management & dashboard)
+const systemStats = async () => {
+    const [totalAdmins, totalCustomers, totalDrivers, totalBookings] = await Promise.all([
+        Admin.countDocuments(),
+        Customer.countDocuments(),
+        Driver.countDocuments(),
+        Booking.countDocuments()
+    ]);
+    return { totalAdmins, totalCustomers, totalDrivers, totalBookings };
+};
+
+// Bilangan driver ikut status semasa: { online, busy, offline }
+const driverStatusCounts = async () => {
+    const rows = await Driver.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]);
+    const counts = { online: 0, busy: 0, offline: 0 };
+    rows.forEach(row => {
+        counts[row._id || 'offline'] = row.count;
+    });
+    return counts;
+};
+
+module.exports = {
+    dateMatch,
+    systemStats,
+    driverStatusCounts,
+    passengerStats,
+    revenueSeries,
+    driverLeaderboard,
+    busiestPickups,
+    busiestHours,
+    cancellationFunnel
+};
@@ -0,0 +1,111 @@
+// Audit trail: siapa buat apa, bila & dari mana.
+//
+// - audit(entityType, load) : middleware untuk route admin / profile. Ambil snapshot entity
+//   sebelum handler, dan selepas response berjaya (2xx) rekod field yang bertukar.
+// - 'booking:status' / 'booking:created' : setiap perubahan status booking direkod
+//   (actor diambil daripada entry statusHistory terakhir).
+
+const events = require('./events');
+const AuditLog = require('../models/AuditLog');
+
+// Field yang tidak direkod dalam diff (password hanya ditanda sebagai bertukar)
+const IGNORED_FIELDS = ['_id', '__v', 'password', 'tokenVersion', 'updatedAt'];
+// Data peribadi: hanya nama field direkod. Audit log append-only, jadi nilai lama tidak boleh dipadam
+// kemudian (contoh: bila akaun dianonimkan, lihat utils/accounts.js anonymiseUser).
+const PII_FIELDS = ['name', 'email', 'phone', 'phoneNumber', 'currentLocation'];
+const REDACTED = '[redacted]';
+
+const plain = (doc) => {
+    if (!doc) return {};
+    return JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+};
+
+// Senarai { field, before, after } untuk field top-level yang berbeza (nilai PII diganti REDACTED)
+const diffFields = (before, after) => {
+    const a = plain(before);
+    const b = plain(after);
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+        .map(field => (PII_FIELDS.includes(field)
+            ? { field, before: REDACTED, after: REDACTED }
+            : { field, before: a[field], after: b[field] }));
+};
+
+// Actor & asal request (dihantar bersama event booking supaya IP turut direkod)
+const requestContext = (req) => ({
+    actor: { userId: req.user && req.user.userId, role: req.user ? req.user.role : 'anonymous' },
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+});
+
+// Audit tidak boleh menggagalkan operasi asal, jadi error hanya di-log
+const record = (entry) => AuditLog.create(entry)
+    .catch(err => console.error('❌ Audit log failed:', err.message));
+
+// Id entity: handler boleh set res.locals.auditId (contoh: bila create), jika tidak guna param route
+const entityIdOf = (req, res) =>
+    res.locals.auditId || req.params.vehicleId || req.params.id || req.params.vehicleClass;
+
+const audit = (entityType, load) => async (req, res, next) => {
+    let before = null;
+    try {
+        const id = entityIdOf(req, res);
+        before = id ? await load(id) : null;
+    } catch (err) {
+        before = null; // Id tak sah dsb. - handler sendiri akan pulangkan error
+    }
+
+    const context = requestContext(req);
+
+    res.on('finish', async () => {
+        if (res.statusCode >= 400) return;
+        try {
+            const id = entityIdOf(req, res);
+            const after = id ? await load(id) : null;
+
+            const changes = diffFields(before, after);
+            if (req.body && req.body.password) {
+                changes.push({ field: 'password', before: REDACTED, after: REDACTED });
+            }
+
+            await record({
+                ...context,
+                // Route tanpa prefix versi supaya /api/v1/... & alias lama direkod sama
+                action: `${req.method} ${req.baseUrl.replace(/^\/api\/v\d+/, '')}${req.route.path}`,
+                entityType,
+                entityId: id && String(id),
+                changes
+            });
+        } catch (err) {
+            console.error('❌ Audit log failed:', err.message);
+        }
+    });
+
+    next();
+};
+
+// --- Perubahan status booking (route & dispatcher) ---
+
+const recordBookingStatus = (action) => (booking, context = {}) => {
+    const history = booking.statusHistory || [];
+    const last = history[history.length - 1] || {};
+    const previous = history[history.length - 2];
+
+    record({
+        actor: context.actor || { userId: last.changedBy, role: last.role || 'system' },
+        ip: context.ip,
+        userAgent: context.userAgent,
+        action,
+        entityType: 'booking',
+        entityId: String(booking._id),
+        changes: [{ field: 'status', before: previous ? previous.status : null, after: booking.status }]
+    });
+};
+
+events.on('booking:created', recordBookingStatus('booking.created'));
+events.on('booking:status', recordBookingStatus('booking.status'));
+
+module.exports = { audit, diffFields, requestContext, record };
@@ -0,0 +1,96 @@
+// Helper untuk access token (JWT pendek) dan refresh token (rotating, disimpan di server)
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const Customer = require('../models/Customer');
+const Driver = require('../models/Driver');
+const Admin = require('../models/Admin');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const USER_MODELS = { customer: Customer, driver: Driver, admin: Admin };
+
+const getUserModel = (role) => USER_MODELS[role];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// JWT mengandungi tokenVersion (tv); bila version user naik, semua token lama jadi invalid
+const signAccessToken = (user) => jwt.sign(
+    { userId: user._id, role: user.role, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const issueRefreshToken = async (user) => {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+        userId: user._id,
+        role: user.role,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return token;
+};
+
+// Pasangan token yang dipulangkan semasa login / refresh
+const issueTokens = async (user) => ({
+    token: signAccessToken(user),
+    refreshToken: await issueRefreshToken(user),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Matikan semua sesi user: naikkan tokenVersion & revoke semua refresh token
+const revokeAllSessions = async (userId, role) => {
+    const Model = getUserModel(role);
+    if (Model) await Model.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Tukar refresh token lama dengan pasangan token baru (rotation).
+// Token di-claim (revoke) dalam satu update bersyarat, jadi hanya satu refresh serentak boleh berjaya.
+// Kalau token yang dah di-revoke digunakan semula, anggap dicuri -> matikan semua sesi.
+const rotateRefreshToken = async (token) => {
+    const tokenHash = hashToken(String(token));
+
+    const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date() },
+        { new: true }
+    );
+
+    if (!stored) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+        if (!existing || existing.expiresAt < new Date()) {
+            throw new Error('Invalid refresh token');
+        }
+        await revokeAllSessions(existing.userId, existing.role);
+        throw new Error('Refresh token reuse detected, all sessions revoked');
+    }
+
+    const user = await getUserModel(stored.role).findById(stored.userId);
+    if (!user) throw new Error('Invalid refresh token');
+
+    const tokens = await issueTokens(user);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(tokens.refreshToken) });
+
+    return tokens;
+};
+
+const revokeRefreshToken = (token) => RefreshToken.updateOne(
+    { tokenHash: hashToken(String(token)), revokedAt: null },
+    { revokedAt: new Date() }
+);
+
+module.exports = {
+    REFRESH_TOKEN_TTL_DAYS,
+    getUserModel,
+    issueTokens,
+    revokeAllSessions,
+    rotateRefreshToken,
+    revokeRefreshToken
+};
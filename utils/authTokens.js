@@ -0,0 +1,48 @@
+// Token email (verifikasi & reset password): JWT bertandatangan + rekod server supaya sekali guna.
+// Token baru untuk tujuan yang sama membatalkan token lama yang belum digunakan.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const AuthToken = require('../models/AuthToken');
+
+const TTL_MINUTES = {
+    verify_email: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60,
+    reset_password: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+};
+
+const issueToken = async (user, purpose) => {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + TTL_MINUTES[purpose] * 60 * 1000);
+
+    await AuthToken.updateMany({ userId: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+    await AuthToken.create({ jti, userId: user._id, role: user.role, purpose, expiresAt });
+
+    return jwt.sign(
+        { userId: user._id, role: user.role, purpose },
+        process.env.JWT_SECRET,
+        { jwtid: jti, expiresIn: TTL_MINUTES[purpose] * 60 }
+    );
+};
+
+// Sahkan & guna token (atomik). Throw kalau token salah, tamat tempoh atau dah digunakan.
+const consumeToken = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    } catch (err) {
+        throw new Error('Invalid or expired token');
+    }
+    if (decoded.purpose !== purpose || !decoded.jti) throw new Error('Invalid or expired token');
+
+    const record = await AuthToken.findOneAndUpdate(
+        { jti: decoded.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+    if (!record) throw new Error('Invalid or expired token');
+
+    return { userId: record.userId, role: record.role };
+};
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,53 @@
+// State machine untuk lifecycle booking.
+// Semua perubahan status MESTI lalu sini supaya statusHistory sentiasa lengkap.
+
+const BOOKING_STATUSES = ['scheduled', 'pending', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled', 'expired'];
+
+// Status semasa -> status yang dibenarkan seterusnya
+const TRANSITIONS = {
+    scheduled: ['pending', 'cancelled'], // Dilepaskan oleh dispatcher sebelum waktu pickup
+    pending: ['accepted', 'cancelled', 'expired'], // expired = tiada driver accept dalam masa ditetapkan
+    accepted: ['arrived', 'cancelled'],
+    arrived: ['in_progress', 'cancelled'],
+    in_progress: ['completed'],
+    completed: [],
+    cancelled: [],
+    expired: []
+};
+
+// Actor untuk perubahan status yang dibuat oleh server sendiri (dispatcher, expiry)
+const SYSTEM_ACTOR = { role: 'system' };
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Senarai status yang dibenarkan bertukar ke 'to' (untuk filter update atomik)
+const statusesBefore = (to) => BOOKING_STATUSES.filter(from => canTransition(from, to));
+
+// Satu entry statusHistory
+const historyEntry = (status, user) => ({
+    status,
+    changedBy: user && user.userId,
+    role: user && user.role,
+    at: new Date()
+});
+
+// Tukar status booking dan rekod dalam statusHistory (tak save, caller kena save)
+const transition = (booking, to, user) => {
+    if (!canTransition(booking.status, to)) {
+        throw new Error(`Cannot change booking status from '${booking.status}' to '${to}'`);
+    }
+
+    booking.status = to;
+    booking.statusHistory.push(historyEntry(to, user));
+    return booking;
+};
+
+module.exports = {
+    BOOKING_STATUSES,
+    TRANSITIONS,
+    SYSTEM_ACTOR,
+    canTransition,
+    statusesBefore,
+    historyEntry,
+    transition
+};
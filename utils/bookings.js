@@ -0,0 +1,94 @@
+// Helper booking yang dikongsi oleh routes/fares.js, routes/bookings.js, routes/admin.js dan dashboard:
+// harga trip (lokasi, hentian, promo, pool), semakan wallet dan senarai booking admin.
+
+const Booking = require('../models/Booking');
+const pooling = require('./pooling');
+const { toPoint, routeDistanceKm } = require('./geo');
+const { quoteFare } = require('./fare');
+const { computeDiscount } = require('./promotions');
+const { getWallet } = require('./ledger');
+const { paginate, bookingFilters } = require('./pagination');
+
+// Had untuk pooled ride (throw Error -> 400)
+const checkPoolRequest = ({ rideType, stops, scheduledAt, promoCode }) => {
+    if (rideType !== 'pool') return;
+    if (stops && stops.length > 0) throw new Error('Pooled rides cannot have intermediate stops');
+    if (scheduledAt) throw new Error('Pooled rides cannot be scheduled');
+    if (promoCode) throw new Error('Promo codes cannot be used with pooled rides');
+};
+
+// Kira lokasi, jarak & tambang untuk satu trip (dikongsi oleh estimate, create & edit booking)
+const priceTrip = async ({ pickupCoordinates, dropoffCoordinates, stops = [], vehicleClass }) => {
+    const pickupPoint = toPoint(pickupCoordinates, 'pickupCoordinates');
+    const dropoffPoint = toPoint(dropoffCoordinates, 'dropoffCoordinates');
+    const stopPoints = stops.map((stop, i) => ({
+        location: stop.location,
+        point: toPoint(stop.coordinates, `stops.${i}.coordinates`)
+    }));
+
+    // Server kira jarak laluan pickup -> hentian tengah -> dropoff, bukan client
+    const distance = routeDistanceKm([pickupPoint, ...stopPoints.map(stop => stop.point), dropoffPoint]);
+
+    // Fare dikira oleh fare engine, client tak boleh hantar 'fare'
+    const quote = await quoteFare({ vehicleClass, distanceKm: distance, stops: stopPoints.length });
+
+    return {
+        pickupPoint,
+        dropoffPoint,
+        stops: stopPoints,
+        distance,
+        vehicleClass: quote.vehicleClass,
+        fare: quote.total,
+        duration: quote.durationMin,
+        fareBreakdown: quote
+    };
+};
+
+// Tolak diskaun promo daripada tambang trip
+const applyDiscount = (trip, promo) => {
+    const discount = computeDiscount(promo, trip.fareBreakdown.total);
+    return {
+        ...trip,
+        fare: Math.round((trip.fareBreakdown.total - discount) * 100) / 100,
+        discount,
+        fareBreakdown: { ...trip.fareBreakdown, discount }
+    };
+};
+
+// Pool: penumpang bayar maksimum tambang solo x POOL_FARE_FACTOR (dikira semula bila penumpang lain join)
+const applyPoolFare = (trip) => {
+    const total = pooling.maxPoolFare(trip.fareBreakdown.total);
+    return {
+        ...trip,
+        fare: total,
+        fareBreakdown: { ...trip.fareBreakdown, soloTotal: trip.fareBreakdown.total, total }
+    };
+};
+
+// Semak baki wallet cukup untuk tambang (hanya untuk paymentMethod 'wallet')
+const hasWalletBalance = async (customerId, fare) => {
+    const wallet = await getWallet('customer', customerId);
+    return wallet.balance >= fare;
+};
+
+// Senarai booking untuk admin (dikongsi oleh GET /admin/bookings & dashboard)
+const listAdminBookings = (query) => {
+    const { customer, driver, limit, cursor, sort, order, ...filters } = query;
+    const filter = bookingFilters(filters);
+    if (customer) filter.customer = customer;
+    if (driver) filter.driver = driver;
+
+    return paginate(Booking, filter, {
+        limit, cursor, sort, order,
+        populate: ['customer driver', 'name email plateNumber']
+    });
+};
+
+module.exports = {
+    checkPoolRequest,
+    priceTrip,
+    applyDiscount,
+    applyPoolFare,
+    hasWalletBalance,
+    listAdminBookings
+};
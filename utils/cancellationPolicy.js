@@ -0,0 +1,42 @@
+// Polisi pembatalan booking.
+//
+// Customer:
+//   scheduled / pending            -> percuma
+//   accepted (dalam grace window)  -> percuma
+//   accepted (selepas grace)       -> CANCELLATION_FEE
+//   arrived                        -> CANCELLATION_FEE_ARRIVED
+// Driver:
+//   accepted / arrived             -> customer tak dicaj, direkod pada rekod driver
+
+const CANCELLATION_FEE = Number(process.env.CANCELLATION_FEE) || 3;
+const CANCELLATION_FEE_ARRIVED = Number(process.env.CANCELLATION_FEE_ARRIVED) || 5;
+const GRACE_SECONDS = Number(process.env.CANCELLATION_GRACE_SECONDS) || 120;
+
+// Bila booking masuk status tertentu (entry terakhir dalam statusHistory)
+const enteredAt = (booking, status) => {
+    const entries = (booking.statusHistory || []).filter(h => h.status === status);
+    return entries.length > 0 ? entries[entries.length - 1].at : null;
+};
+
+// Pulangkan { fee, reason } untuk pembatalan oleh role tertentu
+const evaluateCancellation = (booking, role, now = new Date()) => {
+    if (role === 'driver') {
+        return { fee: 0, reason: 'Cancelled by driver' };
+    }
+
+    if (booking.status === 'accepted') {
+        const acceptedAt = enteredAt(booking, 'accepted');
+        const withinGrace = acceptedAt && (now - acceptedAt) <= GRACE_SECONDS * 1000;
+        return withinGrace
+            ? { fee: 0, reason: `Free cancellation within ${GRACE_SECONDS}s of driver accepting` }
+            : { fee: CANCELLATION_FEE, reason: 'Driver already accepted' };
+    }
+
+    if (booking.status === 'arrived') {
+        return { fee: CANCELLATION_FEE_ARRIVED, reason: 'Driver already arrived at pickup' };
+    }
+
+    return { fee: 0, reason: 'Free cancellation before a driver accepts' };
+};
+
+module.exports = { CANCELLATION_FEE, CANCELLATION_FEE_ARRIVED, GRACE_SECONDS, evaluateCancellation };
@@ -0,0 +1,26 @@
+// Helper cookie kecil (dashboard admin guna cookie HttpOnly, bukan token dalam URL)
+
+const parseCookies = (header = '') => header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index < 0) return cookies;
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+        cookies[name] = decodeURIComponent(value);
+    } catch (err) {
+        cookies[name] = value;
+    }
+    return cookies;
+}, {});
+
+const serializeCookie = (name, value, { maxAge, path = '/', secure = false } = {}) => [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    'HttpOnly',
+    'SameSite=Strict',
+    maxAge !== undefined ? `Max-Age=${maxAge}` : null,
+    secure ? 'Secure' : null
+].filter(Boolean).join('; ');
+
+module.exports = { parseCookies, serializeCookie };
@@ -0,0 +1,91 @@
+// Interface counter store untuk rate limit & login lockout (pluggable, sama seperti utils/storage.js).
+// Setiap store mesti ada:
+//   incr(key, ttlMs) -> { count, resetAt }   (window bermula pada incr pertama, tamat selepas ttlMs)
+//   get(key)         -> { count, resetAt } | null
+//   reset(key)
+// Default: memory (satu instance sahaja). Untuk beberapa instance, set REDIS_URL dalam .env
+// (index.js pasang createRedisStore dengan client ioredis).
+
+const memoryStore = () => {
+    const counters = new Map(); // key -> { count, resetAt }
+
+    const live = (key, now) => {
+        const entry = counters.get(key);
+        if (entry && entry.resetAt <= now) {
+            counters.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    // Buang entry yang dah tamat supaya Map tidak membesar
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        counters.forEach((entry, key) => {
+            if (entry.resetAt <= now) counters.delete(key);
+        });
+    }, 60 * 1000);
+    sweep.unref();
+
+    return {
+        async incr(key, ttlMs) {
+            const now = Date.now();
+            const entry = live(key, now) || { count: 0, resetAt: now + ttlMs };
+            entry.count += 1;
+            counters.set(key, entry);
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+
+        async get(key) {
+            const entry = live(key, Date.now());
+            return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+};
+
+// Store Redis: counter dikongsi oleh semua instance app (client: ioredis)
+const createRedisStore = (client, prefix = 'counter:') => ({
+    async incr(key, ttlMs) {
+        const redisKey = prefix + key;
+
+        // Satu MULTI: key dicipta bersama expiry (SET NX PX), jadi counter tidak boleh wujud tanpa TTL
+        const results = await client.multi()
+            .set(redisKey, 0, 'PX', ttlMs, 'NX')
+            .incr(redisKey)
+            .pttl(redisKey)
+            .exec();
+
+        const failed = results.find(([err]) => err);
+        if (failed) throw failed[0];
+
+        const [, [, count], [, ttl]] = results;
+        return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+
+    async get(key) {
+        const redisKey = prefix + key;
+        const count = Number(await client.get(redisKey));
+        if (!count) return null;
+
+        const ttl = await client.pttl(redisKey);
+        return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+
+    async reset(key) {
+        await client.del(prefix + key);
+    }
+});
+
+let store = memoryStore();
+
+const setCounterStore = (impl) => {
+    store = impl;
+};
+
+const getCounterStore = () => store;
+
+module.exports = { memoryStore, createRedisStore, setCounterStore, getCounterStore };
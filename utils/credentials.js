@@ -0,0 +1,61 @@
+// Password, login & verifikasi email yang dikongsi oleh routes/auth.js, routes/users.js,
+// routes/customers.js, routes/drivers.js dan dashboard login.
+
+const bcrypt = require('bcrypt');
+
+const loginLockout = require('./loginLockout');
+const notifications = require('./notifications');
+const { getUserModel } = require('./auth');
+const { issueToken } = require('./authTokens');
+const { checkAccount } = require('./accounts');
+
+const SALT_ROUNDS = 10;
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3001}`; // Untuk link dalam email
+
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+// Semak email & password (lockout + status akaun). Dikongsi oleh /auth/login & /dashboard/login.
+// Pulangkan { user } kalau berjaya, atau { status, body } untuk response ralat.
+const checkCredentials = async (type, email, password) => {
+    // Akaun dikunci sementara selepas terlalu banyak percubaan gagal
+    const unlockAt = await loginLockout.lockedUntil(type, email);
+    if (unlockAt) {
+        return { status: 423, body: { error: "Too many failed login attempts, account temporarily locked", unlockAt } };
+    }
+
+    const user = await getUserModel(type || 'customer').findOne({ email }).select('+password');
+
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+        const lockedAt = await loginLockout.recordFailure(type, email);
+        if (lockedAt) {
+            return { status: 423, body: { error: "Too many failed login attempts, account temporarily locked", unlockAt: lockedAt } };
+        }
+        return { status: 401, body: { error: "Invalid credentials" } };
+    }
+    await loginLockout.recordSuccess(type, email);
+
+    const block = await checkAccount(user.role, user);
+    if (block) return { status: 403, body: block };
+
+    return { user };
+};
+
+// Hantar link verifikasi email (kegagalan hanya di-log; user boleh minta semula)
+const sendVerificationEmail = async (user) => {
+    try {
+        const token = await issueToken(user, 'verify_email');
+        const link = `${APP_BASE_URL}/api/v1/auth/verify-email?token=${encodeURIComponent(token)}`;
+        await notifications.sendAccountEmail(user.role, user, 'email_verification', { link });
+    } catch (err) {
+        console.error('❌ Verification email failed:', err.message);
+    }
+};
+
+// Email bertukar -> mesti disahkan semula
+const emailChanged = async (Model, id, email) => {
+    if (!email) return false;
+    const current = await Model.findById(id).select('email');
+    return Boolean(current) && current.email !== email;
+};
+
+module.exports = { hashPassword, checkCredentials, sendVerificationEmail, emailChanged };
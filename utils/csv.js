@@ -0,0 +1,25 @@
+// Tukar array of objects kepada CSV (untuk export analytics)
+
+// Teks bermula dengan aksara ini dibaca sebagai formula oleh Excel / Google Sheets (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+
+    // Hanya teks (contoh: pickupLocation daripada customer); nombor negatif kekal nombor
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const lines = rows.map(row => headers.map(h => escapeCell(row[h])).join(','));
+    return [headers.join(','), ...lines].join('\n');
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,206 @@
+// View HTML untuk admin dashboard (GET /dashboard). Semua data user di-escape melalui html`...`.
+
+const { html, raw } = require('./html');
+const { BOOKING_STATUSES } = require('./bookingStatus');
+
+const REFRESH_OPTIONS = [0, 15, 30, 60];
+
+const STYLE = raw(`
+    body { font-family: 'Segoe UI', sans-serif; background-color: #f0f2f5; padding: 20px; margin: 0; }
+    .header { margin-bottom: 20px; display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; }
+    .header h2 { color: #1a1a1a; margin: 0; }
+    .badge { background: #28a745; color: white; padding: 5px 10px; border-radius: 15px; font-size: 12px; font-weight: bold; }
+    .muted { color: #666; font-size: 14px; }
+
+    .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 15px; margin-bottom: 30px; }
+    .card { background: white; padding: 20px; border-radius: 10px; box-shadow: 0 2px 5px rgba(0,0,0,0.05); text-align: center; border-bottom: 4px solid #007bff; }
+    .card h3 { font-size: 32px; margin: 10px 0; color: #007bff; }
+    .card p { color: #666; margin: 0; font-weight: 600; text-transform: uppercase; font-size: 12px; }
+
+    .section { background: white; padding: 20px; border-radius: 10px; box-shadow: 0 2px 5px rgba(0,0,0,0.05); overflow-x: auto; margin-bottom: 20px; }
+    .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 20px; }
+    .chart svg { width: 100%; height: auto; }
+    .chart text { font-size: 10px; fill: #666; }
+
+    form.filters { display: flex; flex-wrap: wrap; gap: 10px; align-items: flex-end; }
+    form.filters label { display: flex; flex-direction: column; font-size: 12px; color: #666; }
+    input, select, button { padding: 6px 8px; border: 1px solid #ccc; border-radius: 6px; font-size: 14px; }
+    button { background: #007bff; color: white; border-color: #007bff; cursor: pointer; }
+
+    table { width: 100%; border-collapse: collapse; margin-top: 15px; min-width: 700px; }
+    th { text-align: left; padding: 12px; background: #f8f9fa; color: #666; font-size: 14px; }
+    td { padding: 12px; border-bottom: 1px solid #eee; font-size: 14px; }
+    .pager { display: flex; gap: 15px; margin-top: 15px; }
+
+    .status-pill { padding: 4px 12px; border-radius: 20px; font-size: 12px; font-weight: bold; }
+    .pending { background: #fff3cd; color: #856404; }
+    .accepted { background: #cce5ff; color: #004085; }
+    .completed { background: #d4edda; color: #155724; }
+    .arrived { background: #e2d9f3; color: #4b2c83; }
+    .in_progress { background: #d1ecf1; color: #0c5460; }
+    .scheduled { background: #e2e3e5; color: #383d41; }
+    .expired { background: #f1f1f1; color: #6c757d; }
+    .cancelled { background: #f8d7da; color: #721c24; }
+
+    .login { max-width: 360px; margin: 80px auto; }
+    .login form { display: flex; flex-direction: column; gap: 12px; }
+    .error { background: #f8d7da; color: #721c24; padding: 10px; border-radius: 6px; }
+`);
+
+const page = ({ title, refresh, body }) => html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${refresh > 0 && html`<meta http-equiv="refresh" content="${refresh}">`}
+    <title>${title}</title>
+    <style>${STYLE}</style>
+</head>
+<body>${body}</body>
+</html>`;
+
+// Carta bar ringkas (SVG, tanpa library luar)
+const barChart = ({ title, points, color, format = value => value }) => {
+    const width = 600;
+    const height = 220;
+    const top = 20;
+    const bottom = 30;
+    const max = Math.max(...points.map(p => p.value), 0) || 1;
+    const slot = points.length ? width / points.length : width;
+    const barWidth = Math.max(slot * 0.7, 2);
+
+    const bars = points.map((point, i) => {
+        const barHeight = (point.value / max) * (height - top - bottom);
+        const x = i * slot + (slot - barWidth) / 2;
+        const y = height - bottom - barHeight;
+        return html`
+            <g>
+                <title>${point.label}: ${format(point.value)}</title>
+                <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}" rx="2"></rect>
+                ${points.length <= 16 && html`<text x="${(x + barWidth / 2).toFixed(1)}" y="${height - 12}" text-anchor="middle">${point.label}</text>`}
+                ${points.length <= 16 && html`<text x="${(x + barWidth / 2).toFixed(1)}" y="${(y - 4).toFixed(1)}" text-anchor="middle">${format(point.value)}</text>`}
+            </g>`;
+    });
+
+    return html`
+        <div class="chart">
+            <h3 style="margin: 0; color: #333;">${title}</h3>
+            ${points.length === 0
+                ? html`<p class="muted">No completed rides in this range.</p>`
+                : html`<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">${bars}</svg>`}
+        </div>`;
+};
+
+// Label paksi-x carta ikut interval (zon masa sama seperti utils/analytics.js)
+const periodLabel = (period, interval) => new Date(period).toLocaleDateString('en-MY', {
+    timeZone: process.env.ANALYTICS_TIMEZONE || 'Asia/Kuala_Lumpur',
+    ...(interval === 'month' ? { month: 'short', year: 'numeric' } : { day: '2-digit', month: 'short' })
+});
+
+const options = (values, selected, label = value => value) => values.map(value =>
+    html`<option value="${value}" ${String(value) === String(selected ?? '') ? raw('selected') : ''}>${label(value)}</option>`);
+
+const renderLogin = ({ error } = {}) => page({
+    title: 'Admin Login',
+    body: html`
+        <div class="section login">
+            <h2 style="margin-top: 0;">🔐 Admin Dashboard</h2>
+            ${error && html`<p class="error">${error}</p>`}
+            <form method="POST" action="/dashboard/login">
+                <input type="email" name="email" placeholder="Admin email" required autofocus>
+                <input type="password" name="password" placeholder="Password" required>
+                <button type="submit">Log in</button>
+            </form>
+        </div>`
+});
+
+// data: { stats, drivers, series (analytics.revenueSeries), bookings (page), query, refresh, urls: { next, first }, range }
+const renderDashboard = ({ stats, drivers, series, bookings, query, refresh, urls, range }) => page({
+    title: 'Admin Dashboard',
+    refresh,
+    body: html`
+        <div class="header">
+            <div>
+                <h2>🚀 Admin Dashboard <span class="badge">LIVE SYSTEM</span></h2>
+                <p class="muted">${refresh > 0 ? `Auto-refresh every ${refresh}s` : 'Auto-refresh off'} · Updated ${new Date().toLocaleString()}</p>
+            </div>
+            <form method="POST" action="/dashboard/logout"><button type="submit">Log out</button></form>
+        </div>
+
+        <div class="stats-grid">
+            <div class="card" style="border-color: #007bff"><h3>${stats.totalBookings}</h3><p>Total Bookings</p></div>
+            <div class="card" style="border-color: #28a745"><h3>${stats.totalCustomers}</h3><p>Customers</p></div>
+            <div class="card" style="border-color: #ffc107"><h3>${stats.totalDrivers}</h3><p>Drivers</p></div>
+            <div class="card" style="border-color: #dc3545"><h3>${stats.totalAdmins}</h3><p>Admins</p></div>
+            <div class="card" style="border-color: #2ecc71"><h3>${drivers.online}</h3><p>Drivers Online</p></div>
+            <div class="card" style="border-color: #17a2b8"><h3>${drivers.busy}</h3><p>Drivers On Trip</p></div>
+            <div class="card" style="border-color: #6c757d"><h3>${drivers.offline}</h3><p>Drivers Offline</p></div>
+        </div>
+
+        <div class="section">
+            <form class="filters" method="GET" action="/dashboard">
+                <label>Status<select name="status"><option value="">All</option>${options(BOOKING_STATUSES, query.status)}</select></label>
+                <label>From<input type="date" name="from" value="${query.from}"></label>
+                <label>To<input type="date" name="to" value="${query.to}"></label>
+                <label>Min fare<input type="number" step="0.01" min="0" name="minFare" value="${query.minFare}"></label>
+                <label>Max fare<input type="number" step="0.01" min="0" name="maxFare" value="${query.maxFare}"></label>
+                <label>Sort<select name="sort">${options(['createdAt', 'fare', 'scheduledAt'], query.sort)}</select></label>
+                <label>Order<select name="order">${options(['desc', 'asc'], query.order)}</select></label>
+                <label>Rows<select name="limit">${options([10, 20, 50, 100], query.limit || 20)}</select></label>
+                <label>Chart<select name="interval">${options(['day', 'week', 'month'], query.interval)}</select></label>
+                <label>Refresh<select name="refresh">${options(REFRESH_OPTIONS, refresh, v => (v ? `${v}s` : 'Off'))}</select></label>
+                <button type="submit">Apply</button>
+                <a href="/dashboard">Reset</a>
+            </form>
+        </div>
+
+        <div class="section charts">
+            ${barChart({
+                title: `Completed rides per ${query.interval || 'day'} (${range.from} – ${range.to})`,
+                points: series.map(row => ({ label: periodLabel(row.period, query.interval), value: row.rides })),
+                color: '#007bff'
+            })}
+            ${barChart({
+                title: `Revenue (RM) per ${query.interval || 'day'} (${range.from} – ${range.to})`,
+                points: series.map(row => ({ label: periodLabel(row.period, query.interval), value: row.revenue })),
+                color: '#28a745',
+                format: value => Number(value).toFixed(2)
+            })}
+        </div>
+
+        <div class="section">
+            <h3 style="margin: 0; color: #333;">Bookings</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Customer</th>
+                        <th>Driver</th>
+                        <th>Pickup</th>
+                        <th>Destination</th>
+                        <th>Fare (RM)</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${bookings.data.length === 0 && html`<tr><td colspan="7" class="muted">No bookings match these filters.</td></tr>`}
+                    ${bookings.data.map(ride => html`
+                    <tr>
+                        <td>${new Date(ride.createdAt).toLocaleString()}</td>
+                        <td>${ride.customer ? ride.customer.name : '-'}</td>
+                        <td>${ride.driver ? `${ride.driver.name} (${ride.driver.plateNumber})` : '-'}</td>
+                        <td>${ride.pickupLocation}</td>
+                        <td>${ride.dropoffLocation}</td>
+                        <td>${Number(ride.fare).toFixed(2)}</td>
+                        <td><span class="status-pill ${ride.status}">${ride.status}</span></td>
+                    </tr>`)}
+                </tbody>
+            </table>
+            <div class="pager">
+                ${urls.first && html`<a href="${urls.first}">« First page</a>`}
+                ${urls.next && html`<a href="${urls.next}">Next page »</a>`}
+            </div>
+        </div>`
+});
+
+module.exports = { REFRESH_OPTIONS, renderLogin, renderDashboard };
@@ -0,0 +1,158 @@
+// Background dispatcher untuk scheduled bookings & booking pending (berjalan dalam proses server).
+//
+// Setiap kitaran:
+//   1. Release  - booking 'scheduled' -> 'pending' bila tiba masa lead time sebelum pickup
+//   2. Remind   - hantar peringatan kepada customer sebelum pickup
+//   3. Escalate - waktu pickup dah sampai tapi masih tiada driver -> hebahkan kepada semua driver online
+//   4. Cancel   - masih tiada driver selepas tempoh tambahan -> auto-cancel
+//   5. Expire   - booking segera yang tiada driver accept dalam PENDING_TIMEOUT_MINUTES -> 'expired'
+
+const Booking = require('../models/Booking');
+const events = require('./events');
+const { SYSTEM_ACTOR, historyEntry } = require('./bookingStatus');
+
+const MINUTE = 60 * 1000;
+
+const LEAD_MINUTES = Number(process.env.SCHEDULE_LEAD_MINUTES) || 15;
+const REMINDER_MINUTES = Number(process.env.SCHEDULE_REMINDER_MINUTES) || 30;
+const AUTO_CANCEL_MINUTES = Number(process.env.SCHEDULE_AUTO_CANCEL_MINUTES) || 10;
+const INTERVAL_SECONDS = Number(process.env.DISPATCHER_INTERVAL_SECONDS) || 30;
+const PENDING_TIMEOUT_MINUTES = Number(process.env.PENDING_TIMEOUT_MINUTES) || 10;
+const MIN_ADVANCE_MINUTES = Number(process.env.SCHEDULE_MIN_ADVANCE_MINUTES) || 30;
+const MAX_ADVANCE_DAYS = Number(process.env.SCHEDULE_MAX_DAYS) || 7;
+
+// Pastikan waktu pickup scheduled berada dalam julat yang dibenarkan
+const checkScheduledAt = (value) => {
+    const scheduledAt = new Date(value);
+    const now = Date.now();
+
+    if (scheduledAt.getTime() < now + MIN_ADVANCE_MINUTES * MINUTE) {
+        throw new Error(`scheduledAt must be at least ${MIN_ADVANCE_MINUTES} minutes from now`);
+    }
+    if (scheduledAt.getTime() > now + MAX_ADVANCE_DAYS * 24 * 60 * MINUTE) {
+        throw new Error(`scheduledAt must be within ${MAX_ADVANCE_DAYS} days`);
+    }
+    return scheduledAt;
+};
+
+// Bila job berhenti ditawarkan: scheduled ride di-auto-cancel, booking segera tamat tempoh
+const offerExpiresAt = (booking) => booking.scheduledAt
+    ? new Date(booking.scheduledAt.getTime() + AUTO_CANCEL_MINUTES * MINUTE)
+    : new Date(booking.createdAt.getTime() + PENDING_TIMEOUT_MINUTES * MINUTE);
+
+let timer = null;
+let running = false;
+
+// Tukar status secara atomik (hanya kalau status masih sama) dan rekod dalam history
+const moveStatus = (bookingId, from, to, extra = {}) => Booking.findOneAndUpdate(
+    { _id: bookingId, status: from },
+    { $set: { status: to, ...extra }, $push: { statusHistory: historyEntry(to, SYSTEM_ACTOR) } },
+    { new: true }
+);
+
+const releaseDue = async (now) => {
+    const due = await Booking.find({
+        status: 'scheduled',
+        scheduledAt: { $lte: new Date(now + LEAD_MINUTES * MINUTE) }
+    }).select('_id');
+
+    for (const { _id } of due) {
+        const booking = await moveStatus(_id, 'scheduled', 'pending');
+        if (!booking) continue;
+        events.emit('booking:status', booking);
+        events.emit('booking:released', booking);
+    }
+};
+
+const sendReminders = async (now) => {
+    const upcoming = await Booking.find({
+        status: { $in: ['scheduled', 'pending', 'accepted'] },
+        scheduledAt: { $gt: new Date(now), $lte: new Date(now + REMINDER_MINUTES * MINUTE) },
+        reminderSentAt: null
+    }).select('_id');
+
+    for (const { _id } of upcoming) {
+        const booking = await Booking.findOneAndUpdate(
+            { _id, reminderSentAt: null },
+            { reminderSentAt: new Date(now) },
+            { new: true }
+        );
+        if (booking) events.emit('booking:reminder', booking);
+    }
+};
+
+const escalateUnaccepted = async (now) => {
+    const late = await Booking.find({
+        status: 'pending',
+        scheduledAt: { $lte: new Date(now) },
+        escalatedAt: null
+    }).select('_id');
+
+    for (const { _id } of late) {
+        const booking = await Booking.findOneAndUpdate(
+            { _id, status: 'pending', escalatedAt: null },
+            { escalatedAt: new Date(now) },
+            { new: true }
+        );
+        if (booking) events.emit('booking:escalated', booking);
+    }
+};
+
+const autoCancelUnaccepted = async (now) => {
+    const expired = await Booking.find({
+        status: 'pending',
+        scheduledAt: { $lte: new Date(now - AUTO_CANCEL_MINUTES * MINUTE) }
+    }).select('_id');
+
+    for (const { _id } of expired) {
+        const booking = await moveStatus(_id, 'pending', 'cancelled', {
+            cancelledBy: 'system',
+            cancellationReason: 'No driver accepted the scheduled ride'
+        });
+        if (booking) events.emit('booking:status', booking);
+    }
+};
+
+const expireStale = async (now) => {
+    const stale = await Booking.find({
+        status: 'pending',
+        scheduledAt: null, // Scheduled ride guna escalate/auto-cancel
+        createdAt: { $lte: new Date(now - PENDING_TIMEOUT_MINUTES * MINUTE) }
+    }).select('_id');
+
+    for (const { _id } of stale) {
+        const booking = await moveStatus(_id, 'pending', 'expired');
+        if (booking) events.emit('booking:status', booking);
+    }
+};
+
+// Satu kitaran dispatcher (boleh dipanggil terus untuk test)
+const runOnce = async (now = Date.now()) => {
+    if (running) return; // Elak kitaran bertindih kalau query lambat
+    running = true;
+
+    try {
+        await releaseDue(now);
+        await sendReminders(now);
+        await escalateUnaccepted(now);
+        await autoCancelUnaccepted(now);
+        await expireStale(now);
+    } catch (err) {
+        console.error('❌ Dispatcher error:', err.message);
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(runOnce, INTERVAL_SECONDS * 1000);
+    console.log(`⏰ Dispatcher running every ${INTERVAL_SECONDS}s`);
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { LEAD_MINUTES, checkScheduledAt, offerExpiresAt, runOnce, start, stop };
@@ -0,0 +1,149 @@
+// View HTML untuk dokumentasi API (GET /api/v1/docs), dijana daripada spec OpenAPI (utils/openapi.js).
+// Tiada asset luar (CDN), jadi boleh dibuka secara lokal / offline.
+
+const { html, raw } = require('./html');
+
+const STYLE = raw(`
+    body { font-family: 'Segoe UI', sans-serif; background-color: #f0f2f5; margin: 0; color: #1a1a1a; }
+    .layout { display: grid; grid-template-columns: 220px 1fr; min-height: 100vh; }
+    nav { background: #1f2937; padding: 20px; position: sticky; top: 0; height: 100vh; overflow-y: auto; box-sizing: border-box; }
+    nav a { display: block; color: #d1d5db; text-decoration: none; padding: 4px 0; font-size: 14px; }
+    nav a:hover { color: white; }
+    nav h3 { color: white; margin-top: 0; }
+    main { padding: 20px 30px; max-width: 1100px; }
+    .muted { color: #666; font-size: 14px; }
+    code { background: #e9ecef; padding: 1px 5px; border-radius: 4px; font-size: 13px; }
+
+    details.op { background: white; border-radius: 10px; box-shadow: 0 2px 5px rgba(0,0,0,0.05); margin-bottom: 10px; }
+    details.op summary { padding: 12px 15px; cursor: pointer; display: flex; gap: 12px; align-items: center; }
+    details.op .body { padding: 0 15px 15px; }
+    .path { font-family: monospace; font-size: 14px; }
+    .method { min-width: 60px; text-align: center; padding: 4px 8px; border-radius: 6px; font-size: 12px; font-weight: bold; color: white; }
+    .get { background: #007bff; }
+    .post { background: #28a745; }
+    .put { background: #6f42c1; }
+    .patch { background: #fd7e14; }
+    .delete { background: #dc3545; }
+    .lock { font-size: 12px; color: #666; margin-left: auto; }
+
+    table { width: 100%; border-collapse: collapse; margin: 8px 0 15px; }
+    th { text-align: left; padding: 8px; background: #f8f9fa; color: #666; font-size: 13px; }
+    td { padding: 8px; border-bottom: 1px solid #eee; font-size: 13px; vertical-align: top; }
+    h4 { margin: 15px 0 5px; color: #333; }
+`);
+
+const describeRules = (schema) => {
+    const rules = [];
+    if (schema.enum) rules.push(`one of: ${schema.enum.join(', ')}`);
+    if (schema.format && schema.format !== 'binary') rules.push(schema.description || `format: ${schema.format}`);
+    if (schema.minimum !== undefined) rules.push(`>= ${schema.minimum}`);
+    if (schema.maximum !== undefined) rules.push(`<= ${schema.maximum}`);
+    if (schema.minLength !== undefined) rules.push(`min length ${schema.minLength}`);
+    if (schema.maxLength !== undefined) rules.push(`max length ${schema.maxLength}`);
+    if (schema.maxItems !== undefined) rules.push(`max ${schema.maxItems} items`);
+    if (!schema.format && schema.description) rules.push(schema.description);
+    return rules.join('; ');
+};
+
+const typeLabel = (schema) => (schema.type === 'array' && schema.items ? `${schema.items.type}[]` : schema.format === 'binary' ? 'file' : schema.type || 'any');
+
+// Object bersarang diratakan: vehicle.make, stops[].coordinates.lat
+const fieldRows = (schema, prefix = '') => Object.entries(schema.properties || {}).flatMap(([name, field]) => {
+    const path = `${prefix}${name}`;
+    const row = { name: path, type: typeLabel(field), required: (schema.required || []).includes(name), rules: describeRules(field) };
+
+    if (field.type === 'object') return [row, ...fieldRows(field, `${path}.`)];
+    if (field.type === 'array' && field.items && field.items.type === 'object') return [row, ...fieldRows(field.items, `${path}[].`)];
+    return [row];
+});
+
+const fieldTable = (rows) => html`
+    <table>
+        <thead><tr><th>Field</th><th>Type</th><th>Required</th><th>Rules</th></tr></thead>
+        <tbody>
+            ${rows.map(row => html`<tr><td><code>${row.name}</code></td><td>${row.type}</td><td>${row.required ? 'yes' : ''}</td><td>${row.rules}</td></tr>`)}
+        </tbody>
+    </table>`;
+
+const paramRows = (params) => params.map(param => ({
+    name: `${param.name} (${param.in})`,
+    type: typeLabel(param.schema),
+    required: param.required,
+    rules: [describeRules(param.schema), param.description].filter(Boolean).join('; ')
+}));
+
+const requestBody = (body) => {
+    const [contentType, { schema }] = Object.entries(body.content)[0];
+    const variants = schema.oneOf || [schema];
+
+    return html`
+        <h4>Body <span class="muted">${contentType}</span></h4>
+        ${variants.map(variant => html`
+            ${variant.title && html`<p class="muted">As <strong>${variant.title}</strong>:</p>`}
+            ${Object.keys(variant.properties || {}).length === 0
+                ? html`<p class="muted">No fields.</p>`
+                : fieldTable(fieldRows(variant))}`)}`;
+};
+
+const operation = (path, method, op) => html`
+    <details class="op" id="${op.operationId}">
+        <summary>
+            <span class="method ${method}">${method.toUpperCase()}</span>
+            <span class="path">${path}</span>
+            <span>${op.summary}</span>
+            <span class="lock">${op.security ? (op.security.length > 1 ? 'optional auth' : '🔒 bearer') : 'public'}</span>
+        </summary>
+        <div class="body">
+            ${op.description && html`<p>${op.description}</p>`}
+            ${op.parameters.length > 0 && html`<h4>Parameters</h4>${fieldTable(paramRows(op.parameters))}`}
+            ${op.requestBody && requestBody(op.requestBody)}
+            <h4>Responses</h4>
+            <table>
+                <tbody>
+                    ${Object.entries(op.responses).map(([status, response]) => html`<tr><td><code>${status}</code></td><td>${response.description}</td></tr>`)}
+                </tbody>
+            </table>
+        </div>
+    </details>`;
+
+// spec: hasil utils/openapi.js buildSpec(...)
+const renderDocs = (spec) => {
+    const server = spec.servers[0].url;
+    const byTag = spec.tags.map(({ name }) => ({
+        name,
+        operations: Object.entries(spec.paths).flatMap(([path, methods]) => Object.entries(methods)
+            .filter(([, op]) => op.tags.includes(name))
+            .map(([method, op]) => ({ path, method, op })))
+    }));
+
+    return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${spec.info.title} ${spec.info.version}</title>
+    <style>${STYLE}</style>
+</head>
+<body>
+    <div class="layout">
+        <nav>
+            <h3>📘 API v${spec.info.version}</h3>
+            ${byTag.map(tag => html`<a href="#tag-${tag.name}">${tag.name} (${tag.operations.length})</a>`)}
+            <hr>
+            <a href="${server}/openapi.json">openapi.json</a>
+        </nav>
+        <main>
+            <h2>${spec.info.title}</h2>
+            <p>${spec.info.description}</p>
+            <p class="muted">Base URL: <code>${server}</code> · Spec: <a href="${server}/openapi.json"><code>${server}/openapi.json</code></a> (import into Postman or a client generator)</p>
+
+            ${byTag.map(tag => html`
+                <h3 id="tag-${tag.name}">${tag.name}</h3>
+                ${tag.operations.map(({ path, method, op }) => operation(server + path, method, op))}`)}
+        </main>
+    </div>
+</body>
+</html>`;
+};
+
+module.exports = { renderDocs };
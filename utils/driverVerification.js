@@ -0,0 +1,63 @@
+// Onboarding & verifikasi driver: pending_review -> approved / rejected / suspended
+
+const Driver = require('../models/Driver');
+const DriverDocument = require('../models/DriverDocument');
+
+const CHECK_INTERVAL_MINUTES = Number(process.env.DOCUMENT_CHECK_INTERVAL_MINUTES) || 60;
+
+let timer = null;
+
+// Tukar status verifikasi & rekod sejarah. Driver yang tidak approved dipaksa offline.
+const setVerificationStatus = async (driverId, status, { reason, by } = {}) => {
+    const update = {
+        $set: { verificationStatus: status, verificationReason: reason },
+        $push: { verificationHistory: { status, reason, by, at: new Date() } }
+    };
+
+    const driver = await Driver.findByIdAndUpdate(driverId, update, { new: true });
+    if (driver && status !== 'approved') {
+        // Trip semasa (busy) dibiarkan selesai; selepas itu releaseDriver set 'offline'
+        await Driver.updateOne({ _id: driverId, status: 'online' }, { status: 'offline' });
+    }
+    return driver;
+};
+
+// Dokumen semasa yang hilang atau dah tamat tempoh
+const missingOrExpiredDocuments = async (driverId, now = new Date()) => {
+    const docs = await DriverDocument.find({ driver: driverId, status: 'current' });
+
+    return DriverDocument.TYPES.filter(type => {
+        const doc = docs.find(d => d.type === type);
+        return !doc || doc.expiresAt <= now;
+    });
+};
+
+// Suspend driver approved yang ada dokumen semasa yang dah tamat tempoh
+const suspendExpired = async (now = new Date()) => {
+    try {
+        const expired = await DriverDocument.find({ status: 'current', expiresAt: { $lte: now } })
+            .select('driver type');
+
+        for (const doc of expired) {
+            const driver = await Driver.findOne({ _id: doc.driver, verificationStatus: 'approved' }).select('_id');
+            if (!driver) continue;
+
+            await setVerificationStatus(driver._id, 'suspended', { reason: `Document expired: ${doc.type}` });
+        }
+    } catch (err) {
+        console.error('❌ Document expiry check error:', err.message);
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    suspendExpired();
+    timer = setInterval(suspendExpired, CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { setVerificationStatus, missingOrExpiredDocuments, suspendExpired, start, stop };
@@ -0,0 +1,37 @@
+// Helper status driver yang dikongsi oleh route booking & pooled ride (utils/pooling.js),
+// dan rekod job offer untuk acceptance rate (utils/analytics.js)
+
+const Driver = require('../models/Driver');
+const JobOffer = require('../models/JobOffer');
+
+// Driver kembali 'online' selepas trip tamat / dibatalkan ('offline' kalau dah tidak approved / akaun disekat)
+const releaseDriver = (driverId) =>
+    Driver.updateOne({ _id: driverId, status: 'busy' }, [{
+        $set: { status: { $cond: [{ $and: [
+            { $eq: ['$verificationStatus', 'approved'] },
+            { $eq: [{ $ifNull: ['$accountStatus', 'active'] }, 'active'] }
+        ] }, 'online', 'offline'] } }
+    }]);
+
+// Rekod job yang dilihat driver (sekali sahaja per booking & driver)
+const recordOffers = (bookingIds, driverIds) => {
+    const ops = bookingIds.flatMap(booking => driverIds.map(driver => ({
+        updateOne: {
+            filter: { booking, driver },
+            update: { $setOnInsert: { booking, driver, offeredAt: new Date() } },
+            upsert: true
+        }
+    })));
+    return ops.length > 0 ? JobOffer.bulkWrite(ops, { ordered: false }) : Promise.resolve();
+};
+
+// Job diterima; driver yang accept tanpa melihat feed (contoh: terus guna bookingId) tetap dikira sebagai offer
+const recordAcceptance = (bookingIds, driverId) => JobOffer.bulkWrite(bookingIds.map(booking => ({
+    updateOne: {
+        filter: { booking, driver: driverId },
+        update: { $set: { acceptedAt: new Date() }, $setOnInsert: { offeredAt: new Date() } },
+        upsert: true
+    }
+})), { ordered: false });
+
+module.exports = { releaseDriver, recordOffers, recordAcceptance };
@@ -0,0 +1,19 @@
+// Event bus dalaman untuk perubahan booking & lokasi driver.
+// Route emit event selepas data disimpan; subsystem lain (contoh: realtime) hanya listen.
+//
+// Events:
+//   'booking:created'  (booking, context?)
+//   'booking:status'   (booking, context?)  -> selepas status booking bertukar
+//                      context = requestContext(req) daripada utils/audit.js (actor, ip, userAgent)
+//   'booking:rated'    (booking, rating)  -> customer / driver beri rating baru selepas trip
+//   'booking:released' (booking)  -> booking scheduled dilepaskan ke senarai pending
+//   'booking:reminder' (booking)  -> peringatan kepada customer sebelum pickup
+//   'booking:escalated'(booking)  -> booking scheduled masih tiada driver pada waktu pickup
+//   'booking:stop'     (booking, index)  -> driver sampai di hentian tengah ke-index (multi-stop)
+//   'driver:location'  ({ driverId, location })
+
+const { EventEmitter } = require('events');
+
+const events = new EventEmitter();
+
+module.exports = events;
@@ -0,0 +1,90 @@
+// Enjin pengiraan tambang (fare) di server.
+// Client TIDAK boleh hantar fare sendiri, semua dikira di sini.
+
+const Tariff = require('../models/Tariff');
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+
+// Digunakan kalau admin belum set tariff dalam database
+const DEFAULT_TARIFFS = {
+    economy: { baseFare: 3.0, perKm: 0.8, perMinute: 0.2, minimumFare: 5.0 },
+    premium: { baseFare: 5.0, perKm: 1.4, perMinute: 0.35, minimumFare: 10.0 },
+    mpv: { baseFare: 6.0, perKm: 1.6, perMinute: 0.4, minimumFare: 12.0 }
+};
+const DEFAULT_VEHICLE_CLASS = 'economy';
+
+const AVERAGE_SPEED_KMH = Number(process.env.AVERAGE_SPEED_KMH) || 30;
+const STOP_WAIT_MINUTES = Number(process.env.STOP_WAIT_MINUTES) || 3; // Masa menunggu di setiap hentian tengah
+const SURGE_MAX = Number(process.env.SURGE_MAX) || 2.5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Anggaran masa perjalanan (minit) berdasarkan purata kelajuan bandar (+ masa menunggu di hentian)
+const estimateDurationMin = (distanceKm, stops = 0) =>
+    Math.ceil(distanceKm / AVERAGE_SPEED_KMH * 60) + stops * STOP_WAIT_MINUTES;
+
+// Cari tariff untuk kelas kenderaan (database dulu, kemudian default)
+const getTariff = async (vehicleClass = DEFAULT_VEHICLE_CLASS) => {
+    const key = String(vehicleClass).toLowerCase();
+    const tariff = await Tariff.findOne({ vehicleClass: key }).lean();
+    if (tariff) return tariff;
+    if (DEFAULT_TARIFFS[key]) return { vehicleClass: key, ...DEFAULT_TARIFFS[key] };
+
+    throw new Error(`Unknown vehicle class '${vehicleClass}'`);
+};
+
+// Surge = nisbah booking pending kepada driver online (1.0 bila driver cukup)
+const getSurgeMultiplier = async () => {
+    const pending = await Booking.countDocuments({ status: 'pending' });
+    const online = await Driver.countDocuments({ status: 'online' });
+
+    const ratio = pending / Math.max(online, 1);
+    if (ratio <= 1) return 1;
+
+    // Naik 0.25x bagi setiap 1 booking lebihan per driver, dibundarkan ke 0.1
+    const surge = Math.min(SURGE_MAX, 1 + (ratio - 1) * 0.25);
+    return Math.round(surge * 10) / 10;
+};
+
+// Kira breakdown tambang (pure function, senang nak test)
+const calculateFare = (tariff, { distanceKm, durationMin, surgeMultiplier = 1 }) => {
+    const distanceFare = round2(distanceKm * tariff.perKm);
+    const timeFare = round2(durationMin * tariff.perMinute);
+    const subtotal = round2(tariff.baseFare + distanceFare + timeFare);
+    const surged = round2(subtotal * surgeMultiplier);
+    const total = Math.max(surged, tariff.minimumFare);
+
+    return {
+        vehicleClass: tariff.vehicleClass,
+        baseFare: tariff.baseFare,
+        distanceKm,
+        distanceFare,
+        durationMin,
+        timeFare,
+        surgeMultiplier,
+        minimumFare: tariff.minimumFare,
+        total: round2(total)
+    };
+};
+
+// Quote penuh: tariff + anggaran masa + surge semasa (stops = bilangan hentian tengah)
+const quoteFare = async ({ vehicleClass, distanceKm, stops = 0 }) => {
+    const tariff = await getTariff(vehicleClass);
+    const surgeMultiplier = await getSurgeMultiplier();
+
+    return calculateFare(tariff, {
+        distanceKm,
+        durationMin: estimateDurationMin(distanceKm, stops),
+        surgeMultiplier
+    });
+};
+
+module.exports = {
+    DEFAULT_TARIFFS,
+    DEFAULT_VEHICLE_CLASS,
+    estimateDurationMin,
+    getTariff,
+    getSurgeMultiplier,
+    calculateFare,
+    quoteFare
+};
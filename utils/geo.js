@@ -0,0 +1,56 @@
+// Helper untuk lokasi (GeoJSON) dan kiraan jarak
+
+const EARTH_RADIUS_KM = 6371;
+
+// Radius carian job untuk driver (km), boleh tukar melalui .env
+const SEARCH_RADIUS_KM = Number(process.env.DRIVER_SEARCH_RADIUS_KM) || 5;
+
+// Tukar { lat, lng } dari request body kepada GeoJSON Point
+const toPoint = (coords, field) => {
+    const lat = Number(coords && coords.lat);
+    const lng = Number(coords && coords.lng);
+
+    if (!coords || Number.isNaN(lat) || Number.isNaN(lng)) {
+        throw new Error(`${field} must contain numeric lat and lng`);
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        throw new Error(`${field} is out of range`);
+    }
+
+    return { type: 'Point', coordinates: [lng, lat] };
+};
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Jarak haversine antara dua GeoJSON Point, dalam km (2 titik perpuluhan)
+const distanceKm = (from, to) => {
+    const [lng1, lat1] = from.coordinates;
+    const [lng2, lat2] = to.coordinates;
+
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    return Math.round(km * 100) / 100;
+};
+
+// Jumlah jarak laluan melalui semua titik ikut urutan (km)
+const routeDistanceKm = (points) => {
+    let km = 0;
+    for (let i = 1; i < points.length; i++) km += distanceKm(points[i - 1], points[i]);
+    return Math.round(km * 100) / 100;
+};
+
+// Arah perjalanan (bearing) dari satu titik ke titik lain, dalam darjah 0-360 (0 = utara)
+const bearing = (from, to) => {
+    const [lng1, lat1] = from.coordinates.map(toRadians);
+    const [lng2, lat2] = to.coordinates.map(toRadians);
+
+    const y = Math.sin(lng2 - lng1) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lng2 - lng1);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+module.exports = { EARTH_RADIUS_KM, SEARCH_RADIUS_KM, toPoint, distanceKm, routeDistanceKm, bearing };
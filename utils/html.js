@@ -0,0 +1,32 @@
+// Templating HTML yang selamat: semua nilai dalam html`...` di-escape secara automatik.
+// Guna raw() hanya untuk HTML yang dah dibina oleh html`...` atau markup tetap (bukan input user).
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+const raw = (value) => new SafeHtml(String(value));
+
+const renderValue = (value) => {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+};
+
+const html = (strings, ...values) => raw(strings.reduce(
+    (out, string, i) => out + string + (i < values.length ? renderValue(values[i]) : ''),
+    ''
+));
+
+module.exports = { html, raw, escapeHtml };
@@ -0,0 +1,239 @@
+// Wallet & ledger: semua pergerakan duit direkod sebagai LedgerTransaction (double-entry).
+// Baki wallet hanya diubah di sini.
+
+const Wallet = require('../models/Wallet');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Booking = require('../models/Booking');
+const { getProvider } = require('./paymentProviders');
+
+const COMMISSION_RATE = Number(process.env.PLATFORM_COMMISSION_RATE) || 0.2;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Cari (atau cipta) wallet untuk owner
+const getWallet = (ownerType, owner = null) => Wallet.findOneAndUpdate(
+    { ownerType, owner },
+    { $setOnInsert: { ownerType, owner } },
+    { new: true, upsert: true }
+);
+
+// Pecahan komisen platform & pendapatan driver
+const splitFare = (amount) => {
+    const commission = round2(amount * COMMISSION_RATE);
+    return { commission, driverNet: round2(amount - commission) };
+};
+
+// Rekod transaction & kemas kini baki wallet.
+// Entry customer yang negatif (bayar guna wallet) hanya lulus kalau baki cukup, kecuali allowNegative.
+// collectPayment (optional): panggilan ke provider, dibuat SELEPAS idempotencyKey di-claim supaya
+// request berulang / serentak tidak caj (atau refund) dua kali di provider.
+const postTransaction = async ({ entries, allowNegative = false, collectPayment, ...details }) => {
+    const total = round2(entries.reduce((sum, e) => sum + e.amount, 0));
+    if (total !== 0) throw new Error('Ledger entries must balance to zero');
+
+    const findExisting = () => details.idempotencyKey && LedgerTransaction.findOne({ idempotencyKey: details.idempotencyKey });
+
+    const existing = await findExisting();
+    if (existing) return existing;
+
+    const lines = entries.map(e => ({ wallet: e.wallet._id, kind: e.kind, amount: round2(e.amount) }));
+
+    // Unique index pada idempotencyKey = claim; yang kalah dapat transaction pemenang
+    let txn;
+    try {
+        txn = await LedgerTransaction.create({ ...details, entries: lines });
+    } catch (err) {
+        if (err.code === 11000 && details.idempotencyKey) return findExisting();
+        throw err;
+    }
+
+    if (collectPayment) {
+        try {
+            const payment = await collectPayment();
+            await LedgerTransaction.updateOne({ _id: txn._id }, payment);
+            Object.assign(txn, payment);
+        } catch (err) {
+            await LedgerTransaction.deleteOne({ _id: txn._id }); // Lepaskan key supaya boleh dicuba semula
+            throw err;
+        }
+    }
+
+    // Debit customer dulu secara bersyarat; kalau gagal, batalkan transaction
+    const customerDebits = entries.filter(e => e.wallet.ownerType === 'customer' && e.amount < 0);
+    const applied = [];
+    for (const e of customerDebits) {
+        const filter = allowNegative ? { _id: e.wallet._id } : { _id: e.wallet._id, balance: { $gte: -e.amount } };
+        const ok = await Wallet.findOneAndUpdate(filter, { $inc: { balance: round2(e.amount) } });
+        if (!ok) {
+            await Promise.all(applied.map(a => Wallet.updateOne({ _id: a.wallet._id }, { $inc: { balance: -round2(a.amount) } })));
+            await LedgerTransaction.deleteOne({ _id: txn._id });
+            throw new Error('Insufficient wallet balance');
+        }
+        applied.push(e);
+    }
+
+    const others = entries.filter(e => !customerDebits.includes(e));
+    await Promise.all(others.map(e => Wallet.updateOne({ _id: e.wallet._id }, { $inc: { balance: round2(e.amount) } })));
+
+    return txn;
+};
+
+// Kutip duit melalui provider (card) dan pulangkan info untuk ledger
+const collect = async (method, amount, reference) => {
+    const provider = getProvider();
+    const result = await provider.charge({ amount, method, reference: String(reference) });
+    if (result.status !== 'succeeded') throw new Error(`Payment ${method} failed`);
+    return { provider: provider.name, providerRef: result.providerRef };
+};
+
+// --- Top-up wallet customer (guna card melalui provider) ---
+const topUp = async (customerId, amount) => {
+    const customerWallet = await getWallet('customer', customerId);
+    const gateway = await getWallet('gateway');
+
+    return postTransaction({
+        type: 'topup',
+        method: 'card',
+        collectPayment: () => collect('card', amount, customerWallet._id),
+        description: `Wallet top-up RM${amount.toFixed(2)}`,
+        entries: [
+            { wallet: gateway, kind: 'topup', amount: -amount },
+            { wallet: customerWallet, kind: 'topup', amount }
+        ]
+    });
+};
+
+// Sumber duit customer ikut kaedah bayaran
+const payerEntry = async (booking, kind, amount) => {
+    if (booking.paymentMethod === 'card') {
+        return { wallet: await getWallet('gateway'), kind, amount: -amount };
+    }
+    return { wallet: await getWallet('customer', booking.customer), kind, amount: -amount };
+};
+
+// --- Selesaikan bayaran bila trip 'completed' ---
+const settleRide = async (booking) => {
+    const fare = booking.fare;
+    const { commission, driverNet } = splitFare(fare);
+    const driverWallet = await getWallet('driver', booking.driver);
+    const platform = await getWallet('platform');
+
+    try {
+        let entries;
+
+        if (booking.paymentMethod === 'cash') {
+            // Driver dah terima tunai penuh; platform ambil komisen dari wallet driver
+            entries = [
+                { wallet: driverWallet, kind: 'commission', amount: -commission },
+                { wallet: platform, kind: 'commission', amount: commission }
+            ];
+        } else {
+            entries = [
+                await payerEntry(booking, 'ride_charge', fare),
+                { wallet: driverWallet, kind: 'driver_earning', amount: driverNet },
+                { wallet: platform, kind: 'commission', amount: commission }
+            ];
+        }
+
+        const txn = await postTransaction({
+            type: 'ride_payment',
+            booking: booking._id,
+            idempotencyKey: `ride:${booking._id}`,
+            method: booking.paymentMethod,
+            // Wallet: tiada provider, duit bergerak dalam ledger sahaja
+            collectPayment: booking.paymentMethod !== 'wallet'
+                ? () => collect(booking.paymentMethod, fare, booking._id)
+                : undefined,
+            description: `Ride fare RM${fare.toFixed(2)}`,
+            entries
+        });
+
+        await Booking.updateOne({ _id: booking._id }, { paymentStatus: 'paid' });
+        booking.paymentStatus = 'paid';
+        return txn;
+    } catch (err) {
+        await Booking.updateOne({ _id: booking._id }, { paymentStatus: 'failed' });
+        booking.paymentStatus = 'failed';
+        throw err;
+    }
+};
+
+// --- Caj pembatalan (jumlah ditentukan oleh utils/cancellationPolicy.js) ---
+const chargeCancellationFee = async (booking, fee) => {
+    const { commission, driverNet } = splitFare(fee);
+
+    return postTransaction({
+        type: 'cancellation_fee',
+        booking: booking._id,
+        idempotencyKey: `cancel:${booking._id}`,
+        method: booking.paymentMethod,
+        collectPayment: booking.paymentMethod === 'card' ? () => collect('card', fee, booking._id) : undefined,
+        // Customer tak boleh elak caj: baki wallet boleh jadi negatif (hutang) untuk tunai/wallet
+        allowNegative: booking.paymentMethod !== 'card',
+        description: `Cancellation fee RM${fee.toFixed(2)}`,
+        entries: [
+            await payerEntry(booking, 'cancellation_fee', fee),
+            { wallet: await getWallet('driver', booking.driver), kind: 'driver_earning', amount: driverNet },
+            { wallet: await getWallet('platform'), kind: 'commission', amount: commission }
+        ]
+    });
+};
+
+// Jumlah yang dah di-refund untuk booking (entry positif dalam transaction refund)
+const refundedAmount = (refunds) => round2(refunds.reduce((sum, txn) =>
+    sum + txn.entries.filter(e => e.amount > 0).reduce((lineSum, e) => lineSum + e.amount, 0), 0));
+
+// --- Refund (admin) untuk ride yang dah dibayar: penuh, atau beberapa kali sebahagian sehingga tambang penuh ---
+const refundRide = async (booking, amount, reason) => {
+    const refunds = await LedgerTransaction.find({ booking: booking._id, type: 'refund' }).select('entries');
+    const remaining = round2(booking.fare - refundedAmount(refunds));
+    if (!(remaining > 0)) throw new Error('Booking has already been fully refunded');
+
+    if (amount === undefined) amount = remaining;
+    if (amount > remaining) throw new Error(`Refund cannot exceed the remaining RM${remaining.toFixed(2)}`);
+
+    const { commission, driverNet } = splitFare(amount);
+    let collectPayment;
+    let destination;
+
+    if (booking.paymentMethod === 'card') {
+        collectPayment = async () => {
+            const original = await LedgerTransaction.findOne({ idempotencyKey: `ride:${booking._id}` });
+            const provider = getProvider();
+            const result = await provider.refund({ providerRef: original && original.providerRef, amount, reference: String(booking._id) });
+            if (result.status !== 'succeeded') throw new Error('Refund failed at payment provider');
+            return { provider: provider.name, providerRef: result.providerRef };
+        };
+        destination = await getWallet('gateway');
+    } else {
+        // Wallet & tunai: refund sebagai kredit wallet customer
+        destination = await getWallet('customer', booking.customer);
+    }
+
+    const txn = await postTransaction({
+        type: 'refund',
+        booking: booking._id,
+        // Nombor urutan refund: dua request serentak untuk refund yang sama hanya diproses sekali
+        idempotencyKey: `refund:${booking._id}:${refunds.length + 1}`,
+        method: booking.paymentMethod,
+        collectPayment,
+        description: reason || `Refund RM${amount.toFixed(2)}`,
+        entries: [
+            { wallet: destination, kind: 'refund', amount },
+            { wallet: await getWallet('driver', booking.driver), kind: 'refund', amount: -driverNet },
+            { wallet: await getWallet('platform'), kind: 'refund', amount: -commission }
+        ]
+    });
+
+    await Booking.updateOne({ _id: booking._id }, { paymentStatus: amount < remaining ? 'partially_refunded' : 'refunded' });
+    return txn;
+};
+
+module.exports = {
+    COMMISSION_RATE,
+    getWallet,
+    topUp,
+    settleRide,
+    chargeCancellationFee,
+    refundRide
+};
@@ -0,0 +1,45 @@
+// Progressive lockout selepas login gagal berulang kali (disimpan dalam counter store).
+//
+// - LOGIN_MAX_FAILURES gagal dalam LOGIN_FAILURE_WINDOW_MINUTES -> akaun dikunci.
+// - Tempoh kunci berganda setiap kali dikunci semula dalam 24 jam:
+//   LOGIN_LOCKOUT_MINUTES, x2, x4, ... sehingga LOGIN_LOCKOUT_MAX_MINUTES.
+// Dikenal pasti dengan role + email (termasuk email yang tiada akaun, supaya tak bocor akaun wujud atau tidak).
+
+const { getCounterStore } = require('./counterStore');
+
+const MINUTE = 60 * 1000;
+
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+const LEVEL_TTL = 24 * 60 * MINUTE;
+
+const identity = (role, email) => `${role || 'customer'}:${String(email).toLowerCase()}`;
+
+// Tarikh akaun dibuka semula, atau null kalau tidak dikunci
+const lockedUntil = async (role, email) => {
+    const lock = await getCounterStore().get(`lock:${identity(role, email)}`);
+    return lock ? new Date(lock.resetAt) : null;
+};
+
+// Rekod login gagal. Pulangkan tarikh buka kunci kalau percubaan ini menyebabkan akaun dikunci.
+const recordFailure = async (role, email) => {
+    const store = getCounterStore();
+    const id = identity(role, email);
+
+    const failures = await store.incr(`fail:${id}`, FAILURE_WINDOW_MINUTES * MINUTE);
+    if (failures.count < MAX_FAILURES) return null;
+
+    await store.reset(`fail:${id}`);
+    const level = await store.incr(`lockouts:${id}`, LEVEL_TTL);
+    const minutes = Math.min(LOCKOUT_MINUTES * 2 ** (level.count - 1), LOCKOUT_MAX_MINUTES);
+
+    const lock = await store.incr(`lock:${id}`, minutes * MINUTE);
+    return new Date(lock.resetAt);
+};
+
+// Login berjaya: kosongkan kiraan gagal (tahap lockout kekal sehingga tamat tempoh)
+const recordSuccess = (role, email) => getCounterStore().reset(`fail:${identity(role, email)}`);
+
+module.exports = { lockedUntil, recordFailure, recordSuccess };
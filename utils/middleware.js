@@ -0,0 +1,176 @@
+// Middleware dikongsi oleh semua feature router (routes/*.js): authentication, RBAC, upload,
+// rate limit dan loader snapshot untuk audit log.
+// Function yang ada metadata (access, rateLimit, upload) dibaca oleh utils/openapi.js untuk dokumentasi.
+
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+
+const Customer = require('../models/Customer');
+const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+const Tariff = require('../models/Tariff');
+const Promotion = require('../models/Promotion');
+const Rating = require('../models/Rating');
+const Vehicle = require('../models/Vehicle');
+const Notification = require('../models/Notification');
+const { getUserModel } = require('./auth');
+const { findUserById, checkAccount } = require('./accounts');
+const { audit } = require('./audit');
+const { rateLimit } = require('./rateLimit');
+
+// ==========================================
+// AUTHENTICATION & RBAC
+// ==========================================
+
+const authenticate = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) return res.status(401).json({ error: "Unauthorized" });
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ error: "Invalid token" });
+    }
+
+    try {
+        // Token lama jadi invalid bila user dipadam / tokenVersion dinaikkan (logout, tukar password)
+        const Model = getUserModel(decoded.role);
+        const user = Model && await Model.findById(decoded.userId)
+            .select('tokenVersion accountStatus accountStatusReason suspendedUntil');
+
+        if (!user || (user.tokenVersion || 0) !== decoded.tv) {
+            return res.status(401).json({ error: "Session expired or revoked" });
+        }
+
+        // Akaun yang digantung / diharamkan / dipadam tidak boleh guna API
+        const block = await checkAccount(decoded.role, user);
+        if (block) return res.status(403).json(block);
+
+        req.user = decoded;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Authenticate hanya kalau ada header Authorization (untuk route public yang ada kelebihan bila login)
+const optionalAuthenticate = (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    authenticate(req, res, next);
+};
+
+// EventSource / link dalam browser tak boleh set header, jadi token boleh dihantar melalui ?access_token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+const authorize = (roles) => Object.assign((req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: "Forbidden" });
+    }
+    next();
+}, { access: roles });
+
+// Hanya driver yang dah diluluskan admin boleh lihat / ambil job
+const requireApprovedDriver = async (req, res, next) => {
+    try {
+        const driver = await Driver.findById(req.user.userId).select('verificationStatus');
+        if (!driver || driver.verificationStatus !== 'approved') {
+            return res.status(403).json({
+                error: "Driver account is not approved",
+                verificationStatus: driver && driver.verificationStatus
+            });
+        }
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Customer perlu sahkan email sebelum booking, driver sebelum online / ambil job.
+// emailVerified kosong = akaun lama sebelum verifikasi diperkenalkan.
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        const user = await getUserModel(req.user.role).findById(req.user.userId).select('emailVerified');
+        if (!user || user.emailVerified === false) {
+            return res.status(403).json({ error: "Please verify your email address first" });
+        }
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// ==========================================
+// UPLOAD & RATE LIMIT
+// ==========================================
+
+// Upload fail (dokumen driver) dalam memory, kemudian disimpan melalui utils/storage.js
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+    fileFilter: (req, file, cb) => {
+        const allowed = ['application/pdf', 'image/jpeg', 'image/png'];
+        if (allowed.includes(file.mimetype)) return cb(null, true);
+        cb(new Error('Only PDF, JPEG or PNG files are allowed'));
+    }
+});
+
+const uploadSingle = (field) => Object.assign((req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        next();
+    });
+}, { upload: field });
+
+// Had request untuk route sensitif (boleh diubah melalui RATE_LIMIT_<NAME> dalam .env)
+const limits = {
+    login: rateLimit({ name: 'login', max: 10, windowSeconds: 60 }),
+    register: rateLimit({ name: 'register', max: 5, windowSeconds: 60 * 60 }),
+    accountEmail: rateLimit({ name: 'account_email', max: 5, windowSeconds: 60 * 60 }), // forgot-password & resend verification
+    refresh: rateLimit({ name: 'refresh', max: 30, windowSeconds: 60 }),
+    createBooking: rateLimit({ name: 'create_booking', max: 5, windowSeconds: 60, by: 'user' }),
+    fareEstimate: rateLimit({ name: 'fare_estimate', max: 30, windowSeconds: 60, by: 'user' }),
+    topUp: rateLimit({ name: 'wallet_topup', max: 5, windowSeconds: 60, by: 'user' })
+};
+
+// ==========================================
+// AUDIT
+// ==========================================
+
+// Loader snapshot entity untuk audit(...) (lihat utils/audit.js)
+const auditUser = audit('user', id => findUserById(id).then(found => found && found.user));
+const auditCustomer = audit('customer', id => Customer.findById(id));
+const auditDriver = audit('driver', id => Driver.findById(id));
+const auditVehicle = audit('vehicle', id => Vehicle.findById(id));
+const auditBooking = audit('booking', id => Booking.findById(id));
+const auditPromotion = audit('promotion', id => Promotion.findById(id));
+const auditRating = audit('rating', id => Rating.findById(id));
+const auditTariff = audit('tariff', vehicleClass => Tariff.findOne({ vehicleClass: vehicleClass.toLowerCase() }));
+const auditNotification = audit('notification', id => Notification.findById(id));
+
+module.exports = {
+    authenticate,
+    optionalAuthenticate,
+    tokenFromQuery,
+    authorize,
+    requireApprovedDriver,
+    requireVerifiedEmail,
+    uploadSingle,
+    limits,
+    auditUser,
+    auditCustomer,
+    auditDriver,
+    auditVehicle,
+    auditBooking,
+    auditPromotion,
+    auditRating,
+    auditTariff,
+    auditNotification
+};
@@ -0,0 +1,77 @@
+// Template notifikasi per event booking.
+// Setiap template: subject(data) & body(data). `data` dibina oleh utils/notifications.js:
+//   { booking, customer, driver, recipient } (+ rating untuk rating_received)
+// Template email akaun menerima { recipient, link, token, ... } daripada sendAccountEmail.
+
+const money = (value) => `RM${Number(value || 0).toFixed(2)}`;
+
+const driverLabel = (driver) =>
+    driver ? `${driver.name} (${driver.vehicleType || 'vehicle'} ${driver.plateNumber || ''})`.trim() : 'Your driver';
+
+const templates = {
+    booking_accepted: {
+        subject: () => 'Your ride has been accepted',
+        body: ({ booking, driver }) =>
+            `${driverLabel(driver)} accepted your ride from ${booking.pickupLocation} to ${booking.dropoffLocation}.`
+    },
+
+    driver_arrived: {
+        subject: () => 'Your driver has arrived',
+        body: ({ booking, driver }) =>
+            `${driverLabel(driver)} is waiting at ${booking.pickupLocation}.`
+    },
+
+    trip_receipt: {
+        subject: ({ booking }) => `Trip receipt ${booking._id}`,
+        body: ({ booking }) => [
+            `Trip: ${booking.pickupLocation} -> ${booking.dropoffLocation}`,
+            `Distance: ${booking.distance} km`,
+            booking.discount > 0 ? `Discount: -${money(booking.discount)}` : null,
+            `Total: ${money(booking.fare)} (${booking.paymentMethod}, ${booking.paymentStatus})`
+        ].filter(Boolean).join('\n')
+    },
+
+    booking_cancelled: {
+        subject: () => 'Your ride was cancelled',
+        body: ({ booking }) => {
+            const by = booking.cancelledBy === 'system' ? 'automatically' : `by the ${booking.cancelledBy}`;
+            const fee = booking.cancellationFee > 0 ? ` A cancellation fee of ${money(booking.cancellationFee)} applies.` : '';
+            const reason = booking.cancellationReason ? ` Reason: ${booking.cancellationReason}.` : '';
+            return `Your ride from ${booking.pickupLocation} was cancelled ${by}.${reason}${fee}`;
+        }
+    },
+
+    // --- Email akaun (dihantar tanpa ikut notificationPreferences) ---
+
+    email_verification: {
+        subject: () => 'Verify your email address',
+        body: ({ recipient, link }) =>
+            `Hi ${recipient.name}, please confirm your email address by opening this link:\n${link}`
+    },
+
+    password_reset: {
+        subject: () => 'Reset your password',
+        body: ({ recipient, link, token, ttlMinutes }) => [
+            `Hi ${recipient.name}, we received a request to reset your password.`,
+            link ? `Open this link to choose a new password: ${link}` : `Send this token to POST /api/v1/auth/reset-password: ${token}`,
+            `It expires in ${ttlMinutes} minutes. If you did not ask for this, you can ignore this email.`
+        ].join('\n')
+    },
+
+    rating_received: {
+        subject: ({ rating }) => `You received a ${rating.stars}-star rating`,
+        body: ({ booking, rating }) => {
+            const from = rating.raterRole === 'customer' ? 'A passenger' : 'Your driver';
+            const review = rating.review && rating.moderationStatus === 'visible' ? ` "${rating.review}"` : '';
+            return `${from} rated your trip from ${booking.pickupLocation} ${rating.stars}/5.${review}`;
+        }
+    }
+};
+
+const render = (name, data) => {
+    const template = templates[name];
+    if (!template) throw new Error(`Unknown notification template '${name}'`);
+    return { subject: template.subject(data), body: template.body(data) };
+};
+
+module.exports = { templates, render };
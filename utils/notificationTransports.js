@@ -0,0 +1,87 @@
+// Interface transport notifikasi (pluggable, sama seperti utils/paymentProviders.js).
+// Setiap transport mesti ada:
+//   name
+//   send({ channel, to, subject, body, notification }) -> { providerRef }   (throw Error kalau gagal)
+//
+// Pilih transport per channel melalui .env:
+//   NOTIFICATION_EMAIL_TRANSPORT, NOTIFICATION_SMS_TRANSPORT, NOTIFICATION_PUSH_TRANSPORT
+// Default: NOTIFICATION_TRANSPORT, jika tidak 'file' (outbox lokal) untuk email, 'console' untuk sms, 'sse' untuk push.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const realtime = require('./realtime');
+
+const OUTBOX_FILE = path.resolve(process.env.NOTIFICATION_OUTBOX_FILE || 'outbox/notifications.log');
+
+const newRef = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+// Development: cetak ke console sahaja
+const consoleTransport = {
+    name: 'console',
+
+    async send({ channel, to, subject, body }) {
+        console.log(`📨 [${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${body}`);
+        return { providerRef: newRef('console') };
+    }
+};
+
+// Development / test: tambah satu baris JSON ke fail outbox (boleh dibaca semula oleh test)
+const fileTransport = {
+    name: 'file',
+
+    async send({ channel, to, subject, body, notification }) {
+        const providerRef = newRef('file');
+        const line = JSON.stringify({
+            providerRef,
+            channel,
+            to,
+            subject,
+            body,
+            template: notification && notification.template,
+            at: new Date().toISOString()
+        });
+
+        await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+        await fs.promises.appendFile(OUTBOX_FILE, line + '\n');
+        return { providerRef };
+    }
+};
+
+// Push melalui connection SSE yang sedia ada (GET /events/stream).
+// Gagal kalau user tiada connection -> notifikasi akan dicuba semula.
+const sseTransport = {
+    name: 'sse',
+
+    async send({ to, subject, body, notification }) {
+        if (!realtime.isConnected(to)) throw new Error('Recipient is not connected');
+
+        realtime.send(to, 'notification', {
+            id: notification && notification._id,
+            template: notification && notification.template,
+            title: subject,
+            body
+        });
+        return { providerRef: newRef('sse') };
+    }
+};
+
+const transports = { console: consoleTransport, file: fileTransport, sse: sseTransport };
+
+const registerTransport = (transport) => {
+    transports[transport.name] = transport;
+};
+
+const DEFAULT_TRANSPORTS = { email: 'file', sms: 'console', push: 'sse' };
+
+const getTransport = (channel) => {
+    const name = process.env[`NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`]
+        || (channel === 'push' ? null : process.env.NOTIFICATION_TRANSPORT)
+        || DEFAULT_TRANSPORTS[channel];
+
+    if (!transports[name]) throw new Error(`Notification transport '${name}' is not registered`);
+    return transports[name];
+};
+
+module.exports = { registerTransport, getTransport, OUTBOX_FILE };
@@ -0,0 +1,182 @@
+// Notifikasi untuk event booking (email / sms / push).
+//
+// Aliran: event bus -> pilih template & penerima -> satu Notification per channel yang user aktifkan
+// -> hantar melalui transport (utils/notificationTransports.js).
+// Notifikasi yang gagal dicuba semula dengan exponential backoff oleh worker di bawah
+// sehingga NOTIFICATION_MAX_ATTEMPTS, kemudian ditanda 'failed'.
+
+const events = require('./events');
+const { render } = require('./notificationTemplates');
+const { getTransport } = require('./notificationTransports');
+const { getUserModel } = require('./auth');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = Number(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+const RETRY_INTERVAL_SECONDS = Number(process.env.NOTIFICATION_RETRY_INTERVAL_SECONDS) || 60;
+const CLAIM_SECONDS = 120; // Elak dua worker hantar notifikasi yang sama
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+// Data rahsia dalam email akaun (token sekali guna / link yang membawanya): tidak disimpan dalam Notification
+const SECRET_FIELDS = ['token', 'link'];
+const REDACTED = '[redacted]';
+
+let timer = null;
+
+// Alamat penerima untuk setiap channel
+const addressFor = (channel, user) => {
+    if (channel === 'email') return user.email;
+    if (channel === 'sms') return user.phone || user.phoneNumber;
+    return String(user._id); // push -> userId
+};
+
+// Cuba hantar satu notifikasi & kemas kini delivery status.
+// body: kandungan sebenar untuk notifikasi sensitive (yang disimpan hanya versi redacted)
+const deliver = async (notification, body = notification.body) => {
+    notification.attempts += 1;
+
+    try {
+        const transport = getTransport(notification.channel);
+        notification.transport = transport.name;
+
+        const result = await transport.send({
+            channel: notification.channel,
+            to: notification.to,
+            subject: notification.subject,
+            body,
+            notification
+        });
+
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.providerRef = result && result.providerRef;
+        notification.lastError = undefined;
+    } catch (err) {
+        notification.lastError = err.message;
+        // Notifikasi sensitive tidak boleh dicuba semula (kandungan asal tiada); user minta email baru
+        if (notification.attempts >= MAX_ATTEMPTS || notification.sensitive) {
+            notification.status = 'failed';
+        } else {
+            const delay = RETRY_BASE_SECONDS * 2 ** (notification.attempts - 1);
+            notification.status = 'pending';
+            notification.nextAttemptAt = new Date(Date.now() + delay * 1000);
+        }
+    }
+
+    await notification.save();
+    return notification;
+};
+
+// Cipta & hantar notifikasi kepada seorang penerima ikut channel yang dia aktifkan
+const notifyUser = async (role, userId, template, data) => {
+    const user = await getUserModel(role).findById(userId);
+    if (!user || user.accountStatus === 'deleted') return [];
+
+    const preferences = user.notificationPreferences || {};
+    const { subject, body } = render(template, { ...data, recipient: user });
+
+    const channels = CHANNELS.filter(channel => preferences[channel] && addressFor(channel, user));
+
+    return Promise.all(channels.map(async channel => {
+        const notification = await Notification.create({
+            recipient: user._id,
+            recipientRole: role,
+            template,
+            channel,
+            to: addressFor(channel, user),
+            subject,
+            body,
+            booking: data.booking && data.booking._id
+        });
+        return deliver(notification);
+    }));
+};
+
+// Email akaun (verifikasi / reset password): sentiasa melalui email, tidak ikut preferences.
+// Token / link hanya dihantar kepada transport; rekod Notification (dilihat admin) simpan body redacted.
+const sendAccountEmail = async (role, user, template, data = {}) => {
+    const { subject, body } = render(template, { ...data, recipient: user });
+
+    const redactedData = Object.fromEntries(SECRET_FIELDS.filter(field => data[field]).map(field => [field, REDACTED]));
+    const redacted = render(template, { ...data, ...redactedData, recipient: user });
+
+    const notification = await Notification.create({
+        recipient: user._id,
+        recipientRole: role,
+        template,
+        channel: 'email',
+        to: user.email,
+        subject: redacted.subject,
+        body: redacted.body,
+        sensitive: true
+    });
+    return deliver(notification, body);
+};
+
+// Muat semula booking (dengan customer & driver) supaya template guna data terkini, contoh paymentStatus
+const notifyBooking = async (booking, recipients, template, extra = {}) => {
+    try {
+        const fresh = await Booking.findById(booking._id).populate('customer driver');
+        if (!fresh) return;
+
+        const data = { ...extra, booking: fresh, customer: fresh.customer, driver: fresh.driver };
+        await Promise.all(recipients
+            .filter(role => fresh[role])
+            .map(role => notifyUser(role, fresh[role]._id, template, data)));
+    } catch (err) {
+        console.error(`❌ Notification ${template} error:`, err.message);
+    }
+};
+
+// --- Listeners ---
+
+events.on('booking:status', (booking) => {
+    switch (booking.status) {
+        case 'accepted':
+            return notifyBooking(booking, ['customer'], 'booking_accepted');
+        case 'arrived':
+            return notifyBooking(booking, ['customer'], 'driver_arrived');
+        case 'completed':
+            return notifyBooking(booking, ['customer'], 'trip_receipt');
+        case 'cancelled':
+            // Beritahu pihak yang TIDAK membatalkan (sistem -> customer)
+            return notifyBooking(booking, [booking.cancelledBy === 'customer' ? 'driver' : 'customer'], 'booking_cancelled');
+        default:
+            return undefined;
+    }
+});
+
+events.on('booking:rated', (booking, rating) =>
+    notifyBooking(booking, [rating.rateeRole], 'rating_received', { rating }));
+
+// --- Retry worker ---
+
+const retryDue = async (now = new Date()) => {
+    try {
+        // Claim satu-satu secara atomik supaya notifikasi tidak dihantar dua kali
+        let notification;
+        while ((notification = await Notification.findOneAndUpdate(
+            { status: 'pending', attempts: { $gt: 0 }, nextAttemptAt: { $lte: now } },
+            { nextAttemptAt: new Date(Date.now() + CLAIM_SECONDS * 1000) },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        ))) {
+            await deliver(notification);
+        }
+    } catch (err) {
+        console.error('❌ Notification retry error:', err.message);
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(retryDue, RETRY_INTERVAL_SECONDS * 1000);
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { deliver, notifyUser, sendAccountEmail, retryDue, start, stop };
@@ -0,0 +1,228 @@
+// Jana dokumen OpenAPI 3 daripada feature router (routes/index.js), bukan ditulis dengan tangan:
+// - path & method daripada route Express
+// - params / query / body daripada schema validate(...) / validateByRole(...) (utils/schemas.js)
+// - auth, role & rate limit daripada metadata middleware (utils/middleware.js, utils/policies.js)
+// - summary daripada komen "// [METHOD] Title" di atas setiap route dalam fail router
+
+const fs = require('fs');
+
+const { FORMATS } = require('./validate');
+const { authenticate, optionalAuthenticate, tokenFromQuery } = require('./middleware');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Format validate.js -> format OpenAPI (format lain dikekalkan, dengan mesej validation sebagai description)
+const OPENAPI_FORMATS = { date: 'date-time' };
+
+const ROUTE_COMMENT = /\/\/ \[(?:GET|POST|PUT|PATCH|DELETE)\] (.+)\n(?:\/\/.*\n)*router\.(get|post|put|patch|delete)\('([^']*)'/g;
+
+// Rule validate.js -> JSON Schema
+const toSchema = (rule) => {
+    const schema = {};
+    if (rule.type) schema.type = rule.type;
+    if (rule.enum) schema.enum = rule.enum;
+    if (rule.format) {
+        schema.format = OPENAPI_FORMATS[rule.format] || rule.format;
+        schema.description = FORMATS[rule.format].message;
+    }
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+    if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+    if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+    if (rule.properties) Object.assign(schema, objectSchema(rule.properties));
+    if (rule.items) schema.items = toSchema(rule.items);
+    return schema;
+};
+
+// Field yang tiada dalam schema ditolak oleh validate.js -> additionalProperties: false
+const objectSchema = (fields) => {
+    const required = Object.keys(fields).filter(name => fields[name].required);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, toSchema(rule)])),
+        ...(required.length > 0 && { required }),
+        additionalProperties: false
+    };
+};
+
+const parameters = (location, fields = {}) => Object.entries(fields).map(([name, rule]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(rule.required),
+    schema: toSchema(rule)
+}));
+
+// '/bookings' + '/:id/accept' -> '/bookings/{id}/accept'
+const toOpenApiPath = (mountPath, routePath) =>
+    (mountPath + (routePath === '/' ? '' : routePath)).replace(/:(\w+)/g, '{$1}');
+
+// patch /bookings/{id}/accept -> patchBookingsByIdAccept
+const operationId = (method, path) => method + path.split('/').filter(Boolean)
+    .map(part => part.replace(/^\{(\w+)\}$/, 'By-$1'))
+    .flatMap(part => part.split(/[^A-Za-z0-9]+/))
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+
+// "get /:id" -> title daripada komen route dalam fail router
+const routeSummaries = (file) => {
+    const summaries = {};
+    for (const [, title, method, path] of fs.readFileSync(file, 'utf8').matchAll(ROUTE_COMMENT)) {
+        summaries[`${method} ${path}`] = title.trim();
+    }
+    return summaries;
+};
+
+const requestBody = (bodySchema, uploadField) => {
+    const required = Boolean(uploadField) || (bodySchema.required || []).length > 0
+        || (bodySchema.oneOf || []).some(schema => (schema.required || []).length > 0);
+
+    if (uploadField) {
+        return {
+            required,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        ...bodySchema,
+                        properties: { [uploadField]: { type: 'string', format: 'binary' }, ...bodySchema.properties },
+                        required: [uploadField, ...(bodySchema.required || [])]
+                    }
+                }
+            }
+        };
+    }
+    return { required, content: { 'application/json': { schema: bodySchema } } };
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+// Satu route Express -> satu OpenAPI operation
+const buildOperation = ({ method, path, handles, tag, summary }) => {
+    const validator = handles.find(handle => handle.schemas || handle.schemasByRole);
+    const byRole = validator && validator.schemasByRole;
+    const schemas = validator ? (validator.schemas || Object.values(byRole)[0]) : {};
+
+    const isPublic = !handles.includes(authenticate);
+    const optionalAuth = handles.includes(optionalAuthenticate);
+    const access = handles.filter(handle => handle.access).map(handle => handle.access.join(' or '));
+    const limit = handles.map(handle => handle.rateLimit).find(Boolean);
+    const uploadField = handles.map(handle => handle.upload).find(Boolean);
+
+    // Path param yang tiada dalam schema tetap didokumenkan sebagai string
+    const pathParams = parameters('path', schemas.params);
+    (path.match(/\{(\w+)\}/g) || []).map(param => param.slice(1, -1))
+        .filter(name => !pathParams.some(param => param.name === name))
+        .forEach(name => pathParams.push({ name, in: 'path', required: true, schema: { type: 'string' } }));
+
+    const queryParams = parameters('query', schemas.query);
+    if (handles.includes(tokenFromQuery)) {
+        queryParams.push({
+            name: 'access_token',
+            in: 'query',
+            required: false,
+            description: 'Access token for clients that cannot set the Authorization header (e.g. EventSource)',
+            schema: { type: 'string' }
+        });
+    }
+
+    const description = [];
+    if (access.length > 0) description.push(`Access: ${access.join('; ')}.`);
+    if (byRole) description.push(`Accepted body fields depend on the caller's role (${Object.keys(byRole).join(', ')}).`);
+    if (limit) description.push(`Rate limit: ${limit.max} requests per ${limit.windowSeconds}s per ${limit.by}.`);
+
+    const operation = {
+        tags: [tag],
+        summary: summary || `${method.toUpperCase()} ${path}`,
+        operationId: operationId(method, path),
+        ...(description.length > 0 && { description: description.join(' ') }),
+        parameters: [...pathParams, ...queryParams],
+        responses: { '2XX': { description: 'Success' } }
+    };
+
+    const bodySchema = byRole
+        ? {
+            oneOf: Object.entries(byRole)
+                .filter(([, roleSchemas]) => roleSchemas.body)
+                .map(([role, roleSchemas]) => ({ title: role, ...objectSchema(roleSchemas.body) }))
+        }
+        : schemas.body && objectSchema(schemas.body);
+    if (bodySchema || uploadField) {
+        operation.requestBody = requestBody(bodySchema || objectSchema({}), uploadField);
+    }
+
+    if (validator || uploadField) operation.responses['400'] = errorResponse('Validation failed', 'ValidationError');
+    if (!isPublic) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.responses['401'] = errorResponse('Missing, invalid or revoked token');
+        operation.responses['403'] = errorResponse('Account blocked or not allowed to access this resource');
+    } else if (optionalAuth) {
+        operation.security = [{}, { bearerAuth: [] }];
+    }
+    if (limit) operation.responses['429'] = errorResponse('Too many requests (see Retry-After header)');
+
+    return operation;
+};
+
+// features: [{ path, tag, file, router }] (lihat routes/index.js)
+const buildSpec = (features, { serverUrl, title, version, description }) => {
+    const paths = {};
+
+    features.forEach(({ path: mountPath, tag, file, router }) => {
+        const summaries = routeSummaries(file);
+
+        router.stack.filter(layer => layer.route).forEach(({ route }) => {
+            METHODS.filter(method => route.methods[method]).forEach(method => {
+                const path = toOpenApiPath(mountPath, route.path);
+                paths[path] = paths[path] || {};
+                paths[path][method] = buildOperation({
+                    method,
+                    path,
+                    tag,
+                    summary: summaries[`${method} ${route.path}`],
+                    handles: route.stack.map(layer => layer.handle)
+                });
+            });
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: { title, version, description },
+        servers: [{ url: serverUrl }],
+        tags: features.map(({ tag }) => ({ name: tag })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: { error: { type: 'string' } }
+                },
+                ValidationError: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string', example: 'Validation failed' },
+                        fields: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: { type: 'string', example: 'body.email' },
+                                    message: { type: 'string', example: 'must be a valid email address' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+};
+
+module.exports = { buildSpec };
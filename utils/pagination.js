@@ -0,0 +1,116 @@
+// Cursor-based pagination untuk semua list endpoint.
+//
+// Response envelope:
+//   { data: [...], paging: { limit, sort, order, hasMore, nextCursor } }
+//
+// Cursor ialah base64url bagi { v: nilai field sort dokumen terakhir, id: _id terakhir }.
+// _id digunakan sebagai tie-breaker supaya susunan sentiasa stabil.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (doc, sort) => {
+    const value = doc[sort];
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date, // Perlu tukar balik ke Date bila decode
+        id: String(doc._id)
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+    } catch (err) {
+        throw new Error('Invalid cursor');
+    }
+};
+
+// Filter untuk dokumen SELEPAS cursor (boleh guna dalam find() atau $match)
+const afterCursor = (cursor, sort, order) => {
+    if (!cursor) return {};
+    const { value, id } = decodeCursor(cursor);
+    const op = order === 'asc' ? '$gt' : '$lt';
+    return {
+        $or: [
+            { [sort]: { [op]: value } },
+            { [sort]: value, _id: { [op]: id } }
+        ]
+    };
+};
+
+const sortSpec = (sort, order) => {
+    const dir = order === 'asc' ? 1 : -1;
+    return { [sort]: dir, _id: dir };
+};
+
+const normalizeLimit = (limit) => Math.min(Number(limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+// Bina envelope daripada dokumen yang diambil (limit + 1 untuk tahu ada page seterusnya)
+const buildPage = (docs, { limit, sort, order }) => {
+    const hasMore = docs.length > limit;
+    const data = hasMore ? docs.slice(0, limit) : docs;
+    return {
+        data,
+        paging: {
+            limit,
+            sort,
+            order,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+        }
+    };
+};
+
+// Paginate query find() biasa
+const paginate = async (Model, filter, options = {}) => {
+    const sort = options.sort || 'createdAt';
+    const order = options.order || 'desc';
+    const limit = normalizeLimit(options.limit);
+
+    let query = Model.find({ $and: [filter, afterCursor(options.cursor, sort, order)] })
+        .sort(sortSpec(sort, order))
+        .limit(limit + 1);
+
+    if (options.populate) query = query.populate(...options.populate);
+    if (options.select) query = query.select(options.select);
+
+    const docs = await query;
+    return buildPage(docs, { limit, sort, order });
+};
+
+// Filter standard untuk list booking: ?status, ?from, ?to, ?minFare, ?maxFare
+const bookingFilters = ({ status, from, to, minFare, maxFare } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+    if (minFare !== undefined || maxFare !== undefined) {
+        filter.fare = {};
+        if (minFare !== undefined) filter.fare.$gte = minFare;
+        if (maxFare !== undefined) filter.fare.$lte = maxFare;
+    }
+    return filter;
+};
+
+// Escape input carian sebelum digunakan dalam RegExp
+const searchRegex = (text) => new RegExp(String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    afterCursor,
+    sortSpec,
+    normalizeLimit,
+    buildPage,
+    paginate,
+    bookingFilters,
+    searchRegex
+};
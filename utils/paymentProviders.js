@@ -0,0 +1,37 @@
+// Interface payment provider (pluggable).
+// Setiap provider mesti ada:
+//   name
+//   charge({ amount, method, reference }) -> { status: 'succeeded' | 'failed', providerRef }
+//   refund({ providerRef, amount, reference }) -> { status, providerRef }
+// Pilih provider melalui PAYMENT_PROVIDER dalam .env (default: 'fake').
+
+const crypto = require('crypto');
+
+// Provider palsu untuk development/testing: cash & card sentiasa berjaya
+const fakeProvider = {
+    name: 'fake',
+
+    async charge({ amount, method, reference }) {
+        if (!(amount > 0)) return { status: 'failed', providerRef: null };
+        return { status: 'succeeded', providerRef: `fake_${method}_${reference}_${crypto.randomBytes(4).toString('hex')}` };
+    },
+
+    async refund({ providerRef, amount }) {
+        if (!providerRef || !(amount > 0)) return { status: 'failed', providerRef: null };
+        return { status: 'succeeded', providerRef: `fake_refund_${crypto.randomBytes(4).toString('hex')}` };
+    }
+};
+
+const providers = { fake: fakeProvider };
+
+const registerProvider = (provider) => {
+    providers[provider.name] = provider;
+};
+
+const getProvider = () => {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    if (!providers[name]) throw new Error(`Payment provider '${name}' is not registered`);
+    return providers[name];
+};
+
+module.exports = { registerProvider, getProvider };
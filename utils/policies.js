@@ -0,0 +1,20 @@
+// Policy layer di atas authenticate/authorize.
+// Setiap rule ialah function (req) => boolean; allow(...) lulus kalau SALAH SATU rule benar.
+//
+// Contoh: allow(isSelf('customer'), isAdmin) -> "self or admin"
+// Setiap rule ada label (contoh: 'customer (self)') untuk dokumentasi API (utils/openapi.js).
+
+const labelled = (label, rule) => Object.assign(rule, { label });
+
+const isAdmin = labelled('admin', (req) => req.user.role === 'admin');
+
+// User yang login ialah pemilik resource :param (dan role mesti sama)
+const isSelf = (role, param = 'id') => labelled(`${role} (self)`, (req) =>
+    req.user.role === role && String(req.user.userId) === String(req.params[param]));
+
+const allow = (...rules) => Object.assign((req, res, next) => {
+    if (rules.some(rule => rule(req))) return next();
+    res.status(403).json({ error: "Access Denied" });
+}, { access: rules.map(rule => rule.label) });
+
+module.exports = { isAdmin, isSelf, allow };
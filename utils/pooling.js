@@ -0,0 +1,284 @@
+// Pooled ride: booking 'pool' yang sehala digabung dalam satu RidePool untuk seorang driver.
+//
+// - Padanan: kelas kenderaan sama, seat cukup, pickup dalam POOL_PICKUP_RADIUS_KM dari pickup pertama pool,
+//   arah perjalanan berbeza <= POOL_MAX_BEARING_DIFF darjah, dan tiada penumpang melencong lebih dari
+//   POOL_MAX_DETOUR x jarak solo mereka.
+// - Urutan hentian: semua pickup dahulu, kemudian dropoff (setiap satu ke hentian terdekat seterusnya).
+// - Tambang: tambang laluan pool dibahagi ikut seat x jarak solo setiap penumpang, tetapi tidak melebihi
+//   harga pool yang dijanjikan semasa booking (tambang solo x POOL_FARE_FACTOR). Dikunci bila driver accept.
+
+const Booking = require('../models/Booking');
+const RidePool = require('../models/RidePool');
+const events = require('./events');
+const { EARTH_RADIUS_KM, distanceKm, routeDistanceKm, bearing } = require('./geo');
+const { getTariff, calculateFare, estimateDurationMin } = require('./fare');
+const { historyEntry } = require('./bookingStatus');
+const { releaseDriver } = require('./drivers');
+
+const POOL_FARE_FACTOR = Number(process.env.POOL_FARE_FACTOR) || 0.7;
+const PICKUP_RADIUS_KM = Number(process.env.POOL_PICKUP_RADIUS_KM) || 2;
+const MAX_BEARING_DIFF = Number(process.env.POOL_MAX_BEARING_DIFF) || 45;
+const MAX_DETOUR = Number(process.env.POOL_MAX_DETOUR) || 1.5;
+
+// Seat penumpang bagi setiap kelas kenderaan (tidak termasuk driver)
+const SEAT_CAPACITY = { economy: 3, premium: 3, mpv: 6 };
+const DEFAULT_CAPACITY = 3;
+
+const MEMBER_FIELDS = 'seats pickupLocation pickupPoint dropoffLocation dropoffPoint distance fareBreakdown status';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const seatCapacity = (vehicleClass) => SEAT_CAPACITY[vehicleClass] || DEFAULT_CAPACITY;
+
+// Harga maksimum pool untuk penumpang (ditunjuk semasa estimate & booking)
+const maxPoolFare = (soloTotal) => round2(soloTotal * POOL_FARE_FACTOR);
+
+const bearingDiff = (a, b) => {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+};
+
+// Ambil hentian terdekat satu demi satu dari titik semasa
+const nearestFirst = (from, candidates) => {
+    const ordered = [];
+    const remaining = [...candidates];
+    let current = from;
+
+    while (remaining.length > 0) {
+        let best = 0;
+        remaining.forEach((stop, i) => {
+            if (distanceKm(current, stop.point) < distanceKm(current, remaining[best].point)) best = i;
+        });
+        const [next] = remaining.splice(best, 1);
+        ordered.push(next);
+        current = next.point;
+    }
+    return ordered;
+};
+
+// Susun hentian untuk semua ahli pool: pickup ahli pertama dahulu, kemudian pickup lain, kemudian dropoff
+const orderStops = (members) => {
+    const pickups = members.map(m => ({ booking: m._id, type: 'pickup', location: m.pickupLocation, point: m.pickupPoint }));
+    const dropoffs = members.map(m => ({ booking: m._id, type: 'dropoff', location: m.dropoffLocation, point: m.dropoffPoint }));
+
+    const [first, ...otherPickups] = pickups;
+    const orderedPickups = [first, ...nearestFirst(first.point, otherPickups)];
+    const lastPickup = orderedPickups[orderedPickups.length - 1].point;
+
+    return [...orderedPickups, ...nearestFirst(lastPickup, dropoffs)];
+};
+
+// Jarak yang dilalui setiap penumpang dalam laluan pool: bookingId -> km
+const rideDistances = (stops) => {
+    const distances = new Map();
+    let km = 0;
+
+    stops.forEach((stop, i) => {
+        if (i > 0) km += distanceKm(stops[i - 1].point, stop.point);
+        const id = String(stop.booking);
+        // Pickup simpan -km semasa; dropoff = km semasa - km semasa pickup
+        distances.set(id, stop.type === 'pickup' ? -km : round2(km + distances.get(id)));
+    });
+    return distances;
+};
+
+// Semua penumpang dalam had lencongan?
+const withinDetour = (stops, members) => {
+    const distances = rideDistances(stops);
+    return members.every(m => distances.get(String(m._id)) <= Math.max(m.distance, 0.5) * MAX_DETOUR);
+};
+
+// Bahagi tambang laluan ikut seat x jarak solo; setiap bahagian dihadkan pada harga pool yang dijanjikan
+const splitFare = (routeFare, members) => {
+    const weight = (m) => (m.seats || 1) * Math.max(m.distance, 0.1);
+    const totalWeight = members.reduce((sum, m) => sum + weight(m), 0);
+
+    return members.map(m => {
+        const share = round2(routeFare * weight(m) / totalWeight);
+        return { booking: m._id, poolShare: share, fare: Math.min(share, m.fareBreakdown.total) };
+    });
+};
+
+// Kira semula laluan & tambang semua ahli (hanya semasa pool masih 'open')
+const repricePool = async (pool) => {
+    if (pool.status !== 'open' || pool.bookings.length === 0) return;
+
+    const members = await Booking.find({ _id: { $in: pool.bookings } }).select(MEMBER_FIELDS);
+    const tariff = await getTariff(pool.vehicleClass);
+    const quote = calculateFare(tariff, {
+        distanceKm: pool.distance,
+        durationMin: estimateDurationMin(pool.distance, Math.max(pool.stops.length - 2, 0)),
+        surgeMultiplier: pool.surgeMultiplier
+    });
+
+    const shares = splitFare(quote.total, members);
+    await Booking.bulkWrite(shares.map(({ booking, poolShare, fare }) => ({
+        updateOne: {
+            filter: { _id: booking, status: 'pending' },
+            update: { $set: { fare, 'fareBreakdown.poolShare': poolShare } }
+        }
+    })));
+    await RidePool.updateOne({ _id: pool._id }, { routeFare: quote.total });
+};
+
+// Simpan booking baru bersama pool-nya: booking tidak pernah wujud sebagai 'pending' tanpa pool
+// (kalau tidak, ia muncul dalam /pending & offer dan boleh di-accept sebagai private ride)
+const saveMember = async (booking, pool) => {
+    booking.pool = pool._id;
+    try {
+        await booking.save();
+    } catch (err) {
+        await leavePool(booking); // Pulangkan seat & hentian
+        throw err;
+    }
+    await repricePool(pool);
+    return pool;
+};
+
+// Masukkan booking 'pool' baru (belum disimpan) ke pool yang serasi, atau buka pool baru, kemudian simpan booking
+const joinPool = async (booking) => {
+    const direction = bearing(booking.pickupPoint, booking.dropoffPoint);
+
+    const candidates = await RidePool.find({
+        status: 'open',
+        vehicleClass: booking.vehicleClass,
+        origin: {
+            $geoWithin: { $centerSphere: [booking.pickupPoint.coordinates, PICKUP_RADIUS_KM / EARTH_RADIUS_KM] }
+        }
+    }).sort({ createdAt: 1 }).limit(10);
+
+    for (const pool of candidates) {
+        if (pool.seatsTaken + booking.seats > pool.capacity) continue;
+        if (bearingDiff(pool.bearing, direction) > MAX_BEARING_DIFF) continue;
+
+        const saved = await Booking.find({ _id: { $in: pool.bookings } }).select(MEMBER_FIELDS);
+        if (saved.length !== pool.bookings.length) continue; // Ada ahli yang belum siap disimpan
+
+        const members = [...saved, booking];
+        const stops = orderStops(members);
+        if (!withinDetour(stops, members)) continue;
+
+        // Hanya berjaya kalau pool tidak berubah sejak dibaca (version sama)
+        const joined = await RidePool.findOneAndUpdate(
+            { _id: pool._id, status: 'open', version: pool.version },
+            {
+                $push: { bookings: booking._id },
+                $inc: { seatsTaken: booking.seats, version: 1 },
+                $set: { stops, distance: routeDistanceKm(stops.map(s => s.point)) }
+            },
+            { new: true }
+        );
+        if (!joined) continue;
+
+        return saveMember(booking, joined);
+    }
+
+    // Tiada pool yang serasi -> buka pool baru dengan booking ini sebagai ahli pertama
+    const stops = orderStops([booking]);
+    const pool = await RidePool.create({
+        vehicleClass: booking.vehicleClass,
+        capacity: seatCapacity(booking.vehicleClass),
+        seatsTaken: booking.seats,
+        bookings: [booking._id],
+        origin: booking.pickupPoint,
+        destination: booking.dropoffPoint,
+        bearing: direction,
+        surgeMultiplier: booking.fareBreakdown.surgeMultiplier || 1,
+        stops,
+        distance: booking.distance
+    });
+
+    return saveMember(booking, pool);
+};
+
+// Driver accept pool: semua ahli yang masih pending jadi 'accepted'.
+// Pulangkan { pool, bookings }, atau null kalau dah diambil / kenderaan tidak sesuai (kategori atau seat).
+const acceptPool = async (poolId, user, vehicle) => {
+    const pool = await RidePool.findOneAndUpdate(
+        { _id: poolId, status: 'open', vehicleClass: vehicle.category, seatsTaken: { $lte: vehicle.seats } },
+        { $set: { driver: user.userId, capacity: vehicle.seats, status: 'assigned' }, $inc: { version: 1 } },
+        { new: true }
+    );
+    if (!pool) return null;
+
+    await Booking.updateMany(
+        { _id: { $in: pool.bookings }, status: 'pending' },
+        {
+            $set: { driver: user.userId, vehicle: vehicle._id, status: 'accepted' },
+            $push: { statusHistory: historyEntry('accepted', user) }
+        }
+    );
+    const bookings = await Booking.find({ _id: { $in: pool.bookings }, status: 'accepted' });
+    return { pool, bookings };
+};
+
+// Tamatkan pool bila tiada hentian lagi; driver kembali online
+const finishPool = async (pool) => {
+    const status = pool.stops.some(stop => stop.completedAt) ? 'completed' : 'cancelled';
+    const finished = await RidePool.findOneAndUpdate(
+        { _id: pool._id, status: { $nin: ['completed', 'cancelled'] } },
+        { $set: { status }, $inc: { version: 1 } },
+        { new: true }
+    );
+    if (finished && finished.driver) await releaseDriver(finished.driver);
+    return finished;
+};
+
+// Booking dibatalkan / tamat tempoh: keluarkan dari pool (hentian yang belum selesai dibuang)
+const leavePool = async (booking) => {
+    const pool = await RidePool.findOneAndUpdate(
+        { _id: booking.pool, bookings: booking._id },
+        {
+            $pull: { bookings: booking._id, stops: { booking: booking._id, completedAt: null } },
+            $inc: { seatsTaken: -(booking.seats || 1), version: 1 }
+        },
+        { new: true }
+    );
+    if (!pool) return null;
+
+    if (!pool.stops.some(stop => !stop.completedAt)) return finishPool(pool);
+
+    // Pool masih 'open': susun semula laluan & kira semula tambang ahli yang tinggal
+    if (pool.status === 'open') {
+        const members = await Booking.find({ _id: { $in: pool.bookings } }).select(MEMBER_FIELDS);
+        const stops = orderStops(members);
+        const [lead] = members;
+
+        const updated = await RidePool.findOneAndUpdate(
+            { _id: pool._id, version: pool.version },
+            {
+                $set: {
+                    stops,
+                    distance: routeDistanceKm(stops.map(s => s.point)),
+                    origin: lead.pickupPoint,
+                    destination: lead.dropoffPoint,
+                    bearing: bearing(lead.pickupPoint, lead.dropoffPoint)
+                },
+                $inc: { version: 1 }
+            },
+            { new: true }
+        );
+        if (updated) await repricePool(updated);
+        return updated || pool;
+    }
+    return pool;
+};
+
+// Booking pool yang dibatalkan (customer / driver / dispatcher) atau tamat tempoh -> keluar dari pool
+events.on('booking:status', (booking) => {
+    if (!booking.pool || !['cancelled', 'expired'].includes(booking.status)) return;
+    leavePool(booking).catch(err => console.error('❌ Leave pool failed:', err.message));
+});
+
+module.exports = {
+    POOL_FARE_FACTOR,
+    seatCapacity,
+    maxPoolFare,
+    orderStops,
+    rideDistances,
+    splitFare,
+    joinPool,
+    acceptPool,
+    finishPool,
+    leavePool
+};
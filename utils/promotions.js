@@ -0,0 +1,117 @@
+// Semakan & penggunaan promo code
+
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Booking = require('../models/Booking');
+const events = require('./events');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Jumlah diskaun (RM) untuk tambang tertentu, tak boleh lebih dari tambang
+const computeDiscount = (promo, fare) => {
+    let discount = promo.discountType === 'percentage'
+        ? fare * promo.discountValue / 100
+        : promo.discountValue;
+
+    if (promo.maxDiscount !== undefined && promo.maxDiscount !== null) {
+        discount = Math.min(discount, promo.maxDiscount);
+    }
+    return round2(Math.min(discount, fare));
+};
+
+// Cari promo & semak semua syarat; throw Error dengan sebab kalau tak layak
+const findApplicablePromotion = async (code, customerId, fare, now = new Date()) => {
+    const promo = await Promotion.findOne({ code: String(code).toUpperCase().trim() });
+
+    if (!promo || !promo.active) throw new Error('Invalid promo code');
+    if (promo.validFrom && promo.validFrom > now) throw new Error('Promo code is not active yet');
+    if (promo.validUntil && promo.validUntil < now) throw new Error('Promo code has expired');
+    if (fare < promo.minFare) throw new Error(`Minimum fare for this promo is RM${promo.minFare.toFixed(2)}`);
+
+    if (promo.totalUsageLimit && promo.usageCount >= promo.totalUsageLimit) {
+        throw new Error('Promo code has been fully redeemed');
+    }
+
+    const used = await PromotionRedemption.countDocuments({ promotion: promo._id, customer: customerId, status: 'redeemed' });
+    if (used >= promo.perCustomerLimit) throw new Error('You have already used this promo code');
+
+    if (promo.firstRideOnly) {
+        const rides = await Booking.countDocuments({ customer: customerId, status: 'completed' });
+        if (rides > 0) throw new Error('Promo code is only valid for your first ride');
+    }
+
+    return promo;
+};
+
+// Pulangkan satu kuota penggunaan keseluruhan
+const releaseUsage = (promotionId) => Promotion.updateOne({ _id: promotionId }, { $inc: { usageCount: -1 } });
+
+// Ambil slot per-customer yang kosong (seq 1..perCustomerLimit); unique index menolak slot yang sudah diambil
+const claimCustomerSlot = async (promo, booking) => {
+    for (let seq = 1; seq <= promo.perCustomerLimit; seq++) {
+        try {
+            return await PromotionRedemption.create({
+                promotion: promo._id,
+                code: promo.code,
+                customer: booking.customer,
+                booking: booking._id,
+                discount: booking.discount,
+                seq
+            });
+        } catch (err) {
+            if (err.code !== 11000 || !err.keyPattern || !err.keyPattern.seq) throw err;
+        }
+    }
+    return null;
+};
+
+// Guna promo pada booking (atomik terhadap had penggunaan keseluruhan & had per-customer)
+const redeemPromotion = async (promo, booking) => {
+    const claimed = await Promotion.findOneAndUpdate(
+        {
+            _id: promo._id,
+            $or: [
+                { totalUsageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$totalUsageLimit'] } }
+            ]
+        },
+        { $inc: { usageCount: 1 } }
+    );
+    if (!claimed) throw new Error('Promo code has been fully redeemed');
+
+    const redemption = await claimCustomerSlot(claimed, booking).catch(async (err) => {
+        await releaseUsage(promo._id);
+        throw err;
+    });
+    if (!redemption) {
+        await releaseUsage(promo._id);
+        throw new Error('You have already used this promo code');
+    }
+    return redemption;
+};
+
+// Tambang booking dikira semula (edit scheduled ride) -> diskaun dalam redemption ikut sama
+const updateRedemptionDiscount = (bookingId, discount) =>
+    PromotionRedemption.updateOne({ booking: bookingId, status: 'redeemed' }, { discount });
+
+// Batalkan redemption (booking batal / expired / gagal disimpan) supaya kuota dipulangkan
+const voidRedemption = async (bookingId) => {
+    const redemption = await PromotionRedemption.findOneAndUpdate(
+        { booking: bookingId, status: 'redeemed' },
+        { status: 'void' }
+    );
+    if (redemption) await releaseUsage(redemption.promotion);
+};
+
+events.on('booking:status', (booking) => {
+    if (!booking.promotion || !['cancelled', 'expired'].includes(booking.status)) return;
+    voidRedemption(booking._id).catch(err => console.error('❌ Promo void failed:', err.message));
+});
+
+module.exports = {
+    computeDiscount,
+    findApplicablePromotion,
+    redeemPromotion,
+    updateRedemptionDiscount,
+    voidRedemption
+};
@@ -0,0 +1,47 @@
+// Rate limit per IP atau per user (fixed window) menggunakan counter store (utils/counterStore.js).
+//
+// Had boleh diubah melalui .env: RATE_LIMIT_<NAME>=<max>/<windowSeconds>
+// Contoh: RATE_LIMIT_LOGIN=10/60 -> 10 request seminit bagi setiap IP.
+
+const { getCounterStore } = require('./counterStore');
+
+// Baca override daripada .env, jika tidak guna default route
+const limitFor = (name, max, windowSeconds) => {
+    const value = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    if (!value) return { max, windowSeconds };
+
+    const [envMax, envWindow] = value.split('/').map(Number);
+    return { max: envMax || max, windowSeconds: envWindow || windowSeconds };
+};
+
+// by: 'ip' (sebelum login) atau 'user' (selepas authenticate)
+const rateLimit = ({ name, max, windowSeconds, by = 'ip' }) => {
+    const limit = limitFor(name, max, windowSeconds);
+
+    const middleware = async (req, res, next) => {
+        try {
+            const who = by === 'user' && req.user ? `user:${req.user.userId}` : `ip:${req.ip}`;
+            const { count, resetAt } = await getCounterStore().incr(`rl:${name}:${who}`, limit.windowSeconds * 1000);
+
+            const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+            res.set({
+                'RateLimit-Limit': limit.max,
+                'RateLimit-Remaining': Math.max(limit.max - count, 0),
+                'RateLimit-Reset': retryAfter
+            });
+
+            if (count > limit.max) {
+                res.set('Retry-After', retryAfter);
+                return res.status(429).json({ error: "Too many requests, please try again later", retryAfter });
+            }
+            next();
+        } catch (err) {
+            // Store tidak dapat dihubungi -> jangan halang trafik biasa
+            console.error('❌ Rate limit store error:', err.message);
+            next();
+        }
+    };
+    return Object.assign(middleware, { rateLimit: { name, by, ...limit } });
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,160 @@
+// Rating dua hala (customer <-> driver) dengan average incremental & moderation review.
+//
+// - Satu rating per pihak per booking (unique index); boleh diubah dalam RATING_EDIT_WINDOW_HOURS.
+// - Average dikemas kini secara atomik dengan pipeline update (ratingSum / totalRatings),
+//   tanpa perlu load semua booking.
+// - Review yang nampak mengandungi maklumat peribadi / perkataan disekat di-flag untuk admin.
+// - Driver dengan average bawah LOW_RATING_THRESHOLD ditanda (lowRatingFlaggedAt) untuk disemak.
+
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const Rating = require('../models/Rating');
+const { getUserModel } = require('./auth');
+
+const EDIT_WINDOW_HOURS = Number(process.env.RATING_EDIT_WINDOW_HOURS) || 24;
+const LOW_RATING_THRESHOLD = Number(process.env.LOW_RATING_THRESHOLD) || 3.5;
+const LOW_RATING_MIN_COUNT = Number(process.env.LOW_RATING_MIN_COUNT) || 5;
+const FLAG_WORDS = (process.env.REVIEW_FLAG_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+
+const CONTACT_PATTERN = /(\+?\d[\d\s-]{7,}\d)|([^\s@]+@[^\s@]+\.[^\s@]+)/;
+
+// Sebab review perlu disemak admin, atau null
+const autoFlagReason = (review) => {
+    if (!review) return null;
+    if (CONTACT_PATTERN.test(review)) return 'Review contains contact details';
+
+    const text = review.toLowerCase();
+    const word = FLAG_WORDS.find(w => text.includes(w));
+    return word ? 'Review contains blocked words' : null;
+};
+
+// Kemas kini average secara atomik. Dokumen lama tiada ratingSum -> anggar daripada average sedia ada.
+const applyRatingDelta = (role, userId, starsDelta, countDelta) => getUserModel(role).findOneAndUpdate(
+    { _id: userId },
+    [
+        {
+            $set: {
+                ratingSum: {
+                    $add: [
+                        { $ifNull: ['$ratingSum', { $multiply: [{ $ifNull: ['$averageRating', 0] }, { $ifNull: ['$totalRatings', 0] }] }] },
+                        starsDelta
+                    ]
+                },
+                totalRatings: { $add: [{ $ifNull: ['$totalRatings', 0] }, countDelta] }
+            }
+        },
+        {
+            $set: {
+                averageRating: {
+                    $cond: [
+                        { $gt: ['$totalRatings', 0] },
+                        { $round: [{ $divide: ['$ratingSum', '$totalRatings'] }, 2] },
+                        0
+                    ]
+                }
+            }
+        }
+    ],
+    { new: true }
+);
+
+// Tanda / nyahtanda driver rating rendah
+const checkLowRating = async (driver) => {
+    if (!driver) return;
+    const isLow = driver.totalRatings >= LOW_RATING_MIN_COUNT && driver.averageRating < LOW_RATING_THRESHOLD;
+
+    if (isLow && !driver.lowRatingFlaggedAt) {
+        await Driver.updateOne({ _id: driver._id, lowRatingFlaggedAt: null }, { lowRatingFlaggedAt: new Date() });
+    } else if (!isLow && driver.lowRatingFlaggedAt) {
+        await Driver.updateOne({ _id: driver._id }, { $unset: { lowRatingFlaggedAt: 1 } });
+    }
+};
+
+const updateAverage = async (rateeRole, ratee, starsDelta, countDelta) => {
+    const user = await applyRatingDelta(rateeRole, ratee, starsDelta, countDelta);
+    if (rateeRole === 'driver') await checkLowRating(user);
+    return user;
+};
+
+// Rating customer -> driver juga disimpan pada booking (dipakai oleh analytics leaderboard)
+const mirrorToBooking = (rating) => {
+    if (rating.raterRole !== 'customer') return null;
+    const visibleReview = rating.moderationStatus === 'removed' ? undefined : rating.review;
+    return Booking.updateOne(
+        { _id: rating.booking },
+        visibleReview ? { rating: rating.stars, review: visibleReview } : { rating: rating.stars, $unset: { review: 1 } }
+    );
+};
+
+// Rating baru. Duplicate (race) akan throw E11000 daripada unique index.
+const createRating = async (booking, raterRole, stars, review) => {
+    const rateeRole = raterRole === 'customer' ? 'driver' : 'customer';
+    const reason = autoFlagReason(review);
+
+    const rating = await Rating.create({
+        booking: booking._id,
+        rater: booking[raterRole],
+        raterRole,
+        ratee: booking[rateeRole],
+        rateeRole,
+        stars,
+        review,
+        editableUntil: new Date(Date.now() + EDIT_WINDOW_HOURS * 60 * 60 * 1000),
+        ...(reason && { moderationStatus: 'flagged', flagReason: reason, flaggedBy: 'system' })
+    });
+
+    const ratee = await updateAverage(rateeRole, rating.ratee, stars, 1);
+    await mirrorToBooking(rating);
+    return { rating, ratee };
+};
+
+// Ubah rating dalam edit window. Pulangkan null kalau window dah tamat.
+// Review yang dah dibuang admin kekal 'removed'; flag sistem dinilai semula ikut teks baru.
+const editRating = async (ratingId, stars, review) => {
+    const previous = await Rating.findOneAndUpdate(
+        { _id: ratingId, editableUntil: { $gte: new Date() } },
+        { stars, review },
+        { new: false }
+    );
+    if (!previous) return null;
+
+    const rating = await Rating.findById(ratingId);
+    const reason = autoFlagReason(review);
+    if (reason && rating.moderationStatus === 'visible') {
+        Object.assign(rating, { moderationStatus: 'flagged', flagReason: reason, flaggedBy: 'system' });
+        await rating.save();
+    } else if (!reason && rating.moderationStatus === 'flagged' && rating.flaggedBy === 'system') {
+        Object.assign(rating, { moderationStatus: 'visible', flagReason: undefined, flaggedBy: undefined });
+        await rating.save();
+    }
+
+    const ratee = await updateAverage(rating.rateeRole, rating.ratee, stars - previous.stars, 0);
+    await mirrorToBooking(rating);
+    return { rating, ratee };
+};
+
+// Keputusan admin untuk review yang di-flag
+const moderateRating = async (ratingId, action, { by, note } = {}) => {
+    const rating = await Rating.findByIdAndUpdate(ratingId, {
+        moderationStatus: action === 'remove' ? 'removed' : 'visible',
+        moderatedBy: by,
+        moderatedAt: new Date(),
+        moderationNote: note
+    }, { new: true });
+
+    if (rating) await mirrorToBooking(rating);
+    return rating;
+};
+
+module.exports = {
+    EDIT_WINDOW_HOURS,
+    LOW_RATING_THRESHOLD,
+    LOW_RATING_MIN_COUNT,
+    autoFlagReason,
+    createRating,
+    editRating,
+    moderateRating
+};
@@ -0,0 +1,149 @@
+// Push channel menggunakan Server-Sent Events (SSE).
+// Setiap user (customer/driver) boleh buka satu atau lebih connection ke GET /events/stream.
+
+const events = require('./events');
+const { SEARCH_RADIUS_KM } = require('./geo');
+const { recordOffers } = require('./drivers');
+const { offerExpiresAt } = require('./dispatcher');
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+
+const HEARTBEAT_MS = 25000; // Elak connection idle diputuskan oleh proxy (Azure)
+const ACTIVE_TRIP_STATUSES = ['accepted', 'arrived', 'in_progress'];
+
+// userId -> Set of response streams
+const clients = new Map();
+
+const subscribe = (req, res) => {
+    const userId = String(req.user.userId);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    if (!clients.has(userId)) clients.set(userId, new Set());
+    clients.get(userId).add(res);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = clients.get(userId);
+        if (!streams) return;
+        streams.delete(res);
+        if (streams.size === 0) clients.delete(userId);
+    });
+
+    send(userId, 'connected', { userId, role: req.user.role });
+};
+
+// Hantar satu event kepada semua connection milik user
+const send = (userId, event, data) => {
+    const streams = clients.get(String(userId));
+    if (!streams) return;
+
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    streams.forEach(res => res.write(payload));
+};
+
+const isConnected = (userId) => clients.has(String(userId));
+
+// --- Listeners ---
+
+// Status booking berubah -> customer & driver yang ditugaskan
+events.on('booking:status', (booking) => {
+    const data = { bookingId: booking._id, status: booking.status, driver: booking.driver };
+    send(booking.customer, 'booking.status', data);
+    if (booking.driver) send(booking.driver, 'booking.status', data);
+});
+
+// Driver sampai di hentian tengah (multi-stop) -> customer
+events.on('booking:stop', (booking, index) => {
+    send(booking.customer, 'booking.stop', { bookingId: booking._id, stop: index, location: booking.stops[index].location });
+});
+
+// Data job untuk driver: hanya apa yang perlu untuk buat keputusan (tiada customer, history atau promo)
+const offerPayload = (booking) => ({
+    bookingId: booking._id,
+    pickupLocation: booking.pickupLocation,
+    pickupPoint: booking.pickupPoint,
+    dropoffLocation: booking.dropoffLocation,
+    dropoffPoint: booking.dropoffPoint,
+    fare: booking.fare,
+    distance: booking.distance,
+    vehicleClass: booking.vehicleClass,
+    expiresAt: offerExpiresAt(booking)
+});
+
+// Push job baru kepada driver; yang sedang connected dikira sebagai offer (acceptance rate)
+const offerJob = async (booking, drivers) => {
+    const offer = offerPayload(booking);
+    drivers.forEach(driver => send(driver._id, 'booking.new', offer));
+
+    const seenBy = drivers.map(driver => driver._id).filter(isConnected);
+    await recordOffers([booking._id], seenBy);
+};
+
+// Booking baru / scheduled yang dilepaskan -> driver online yang berdekatan dengan pickup
+const notifyNearbyDrivers = async (booking) => {
+    if (booking.status !== 'pending') return; // Scheduled booking tunggu dispatcher
+
+    try {
+        const drivers = await Driver.find({
+            status: 'online',
+            vehicleClass: booking.vehicleClass, // Kategori kenderaan aktif mesti sama
+            currentLocation: {
+                $near: {
+                    $geometry: booking.pickupPoint,
+                    $maxDistance: SEARCH_RADIUS_KM * 1000
+                }
+            }
+        }).select('_id');
+
+        await offerJob(booking, drivers);
+    } catch (err) {
+        console.error('❌ Realtime nearby drivers error:', err.message);
+    }
+};
+
+events.on('booking:created', notifyNearbyDrivers);
+events.on('booking:released', notifyNearbyDrivers);
+
+// Peringatan scheduled ride -> customer
+events.on('booking:reminder', (booking) => {
+    send(booking.customer, 'booking.reminder', { bookingId: booking._id, scheduledAt: booking.scheduledAt });
+});
+
+// Scheduled ride masih tiada driver -> customer & SEMUA driver online dengan kategori sama (abaikan radius)
+events.on('booking:escalated', async (booking) => {
+    send(booking.customer, 'booking.escalated', { bookingId: booking._id, scheduledAt: booking.scheduledAt });
+
+    try {
+        const drivers = await Driver.find({ status: 'online', vehicleClass: booking.vehicleClass }).select('_id');
+        await offerJob(booking, drivers);
+    } catch (err) {
+        console.error('❌ Realtime booking:escalated error:', err.message);
+    }
+});
+
+// Lokasi driver -> semua customer yang sedang dalam trip dengan driver tersebut (pooled ride: setiap penumpang)
+events.on('driver:location', async ({ driverId, location }) => {
+    try {
+        const trips = await Booking.find({
+            driver: driverId,
+            status: { $in: ACTIVE_TRIP_STATUSES }
+        }).select('_id customer');
+
+        trips
+            .filter(trip => isConnected(trip.customer))
+            .forEach(trip => send(trip.customer, 'driver.location', { bookingId: trip._id, driverId, location }));
+    } catch (err) {
+        console.error('❌ Realtime driver:location error:', err.message);
+    }
+});
+
+module.exports = { subscribe, send, isConnected };
@@ -0,0 +1,561 @@
+// Schema validation untuk setiap route (lihat utils/validate.js untuk format rule).
+// Field yang tiada di sini TIDAK boleh dihantar oleh client.
+
+const { BOOKING_STATUSES } = require('./bookingStatus');
+const { ACCOUNT_STATUSES } = require('../models/accountStatus');
+
+const idParams = { id: { type: 'string', format: 'objectId', required: true } };
+
+// Query standard untuk list endpoint (lihat utils/pagination.js)
+const listQuery = (sortFields) => ({
+    limit: { type: 'integer', min: 1, max: 100 },
+    cursor: { type: 'string', maxLength: 300 },
+    sort: { type: 'string', enum: sortFields },
+    order: { type: 'string', enum: ['asc', 'desc'] }
+});
+
+const bookingListFilters = {
+    status: { type: 'string', enum: BOOKING_STATUSES },
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    minFare: { type: 'number', min: 0 },
+    maxFare: { type: 'number', min: 0 }
+};
+
+const coordinates = (required) => ({
+    type: 'object',
+    required,
+    properties: {
+        lat: { type: 'number', min: -90, max: 90, required: true },
+        lng: { type: 'number', min: -180, max: 180, required: true }
+    }
+});
+
+// Hentian tengah (multi-stop) ikut urutan, maksimum 3
+const stops = {
+    type: 'array',
+    maxItems: 3,
+    items: {
+        type: 'object',
+        properties: {
+            location: { type: 'string', required: true, maxLength: 200 },
+            coordinates: coordinates(true)
+        }
+    }
+};
+
+// Ride persendirian atau pool (kongsi dengan penumpang sehala); seats hanya untuk pool
+const rideOptions = {
+    rideType: { type: 'string', enum: ['private', 'pool'] },
+    seats: { type: 'integer', min: 1, max: 2 }
+};
+
+const password = { type: 'string', minLength: 6, maxLength: 128 };
+
+// --- Auth & Registration ---
+
+const registerUser = {
+    body: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+        email: { type: 'string', format: 'email', required: true },
+        password: { ...password, required: true },
+        phone: { type: 'string', format: 'phone' },
+        role: { type: 'string', enum: ['customer', 'admin'] }
+    }
+};
+
+// Kenderaan driver (models/Vehicle.js); seats = seat penumpang.
+// Tiada category: kenderaan baru sentiasa 'economy', hanya admin boleh tukar (updateVehicle)
+const vehicleFields = (required) => ({
+    make: { type: 'string', required, maxLength: 50 },
+    model: { type: 'string', required, maxLength: 50 },
+    year: { type: 'integer', min: 1980, max: 2100 },
+    colour: { type: 'string', maxLength: 30 },
+    seats: { type: 'integer', required, min: 1, max: 12 },
+    plateNumber: { type: 'string', format: 'plate', required }
+});
+
+const registerDriver = {
+    body: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+        email: { type: 'string', format: 'email', required: true },
+        password: { ...password, required: true },
+        phoneNumber: { type: 'string', format: 'phone', required: true },
+        vehicle: { type: 'object', required: true, properties: vehicleFields(true) } // Jadi kenderaan aktif
+    }
+};
+
+const login = {
+    body: {
+        email: { type: 'string', format: 'email', required: true },
+        password: { type: 'string', required: true },
+        type: { type: 'string', enum: ['customer', 'driver', 'admin'] }
+    }
+};
+
+const refreshToken = {
+    body: {
+        refreshToken: { type: 'string', required: true }
+    }
+};
+
+const forgotPassword = {
+    body: {
+        email: { type: 'string', format: 'email', required: true },
+        type: { type: 'string', enum: ['customer', 'driver', 'admin'] }
+    }
+};
+
+const resetPassword = {
+    body: {
+        token: { type: 'string', required: true, maxLength: 1000 },
+        password: { ...password, required: true }
+    }
+};
+
+const verifyEmail = {
+    query: {
+        token: { type: 'string', required: true, maxLength: 1000 }
+    }
+};
+
+// --- Profiles (whitelist field yang boleh diubah ikut role) ---
+
+const customerProfile = {
+    name: { type: 'string', minLength: 2, maxLength: 100 },
+    email: { type: 'string', format: 'email' },
+    phone: { type: 'string', format: 'phone' },
+    password
+};
+
+const updateCustomer = {
+    customer: { params: idParams, body: customerProfile },
+    admin: { params: idParams, body: customerProfile }
+};
+
+const driverProfile = {
+    name: { type: 'string', minLength: 2, maxLength: 100 },
+    email: { type: 'string', format: 'email' },
+    phoneNumber: { type: 'string', format: 'phone' },
+    password
+};
+
+// Kenderaan diurus melalui /drivers/:id/vehicles
+const updateDriver = {
+    driver: { params: idParams, body: driverProfile },
+    admin: { params: idParams, body: driverProfile }
+};
+
+const vehicleParams = {
+    id: { type: 'string', format: 'objectId', required: true },
+    vehicleId: { type: 'string', format: 'objectId', required: true }
+};
+
+const createVehicle = {
+    params: idParams,
+    body: vehicleFields(true)
+};
+
+const updateVehicle = {
+    driver: { params: vehicleParams, body: vehicleFields(false) },
+    // Admin sahaja boleh tukar kategori kenderaan (beri kesan pada tambang & job yang dilihat), ikut tariff
+    admin: { params: vehicleParams, body: { ...vehicleFields(false), category: { type: 'string', maxLength: 30 } } }
+};
+
+const vehicleAction = {
+    params: vehicleParams
+};
+
+const setActiveVehicle = {
+    params: idParams,
+    body: {
+        vehicleId: { type: 'string', format: 'objectId', required: true }
+    }
+};
+
+const updateDriverStatus = {
+    params: idParams,
+    body: {
+        status: { type: 'string', enum: ['online', 'offline'], required: true }
+    }
+};
+
+const updateDriverLocation = {
+    params: idParams,
+    body: coordinates(true).properties
+};
+
+// --- Driver onboarding ---
+
+// Field multipart (fail dalam 'file')
+const uploadDriverDocument = {
+    params: idParams,
+    body: {
+        type: { type: 'string', enum: ['licence', 'vehicle_registration', 'insurance'], required: true },
+        expiresAt: { type: 'string', format: 'date', required: true }
+    }
+};
+
+const driverDocumentFile = {
+    params: {
+        ...idParams,
+        docId: { type: 'string', format: 'objectId', required: true }
+    }
+};
+
+const verifyDriver = {
+    params: idParams,
+    body: {
+        status: { type: 'string', enum: ['pending_review', 'approved', 'rejected', 'suspended'], required: true },
+        reason: { type: 'string', maxLength: 300 }
+    }
+};
+
+// --- Fares & Tariffs ---
+
+const tariff = {
+    params: {
+        vehicleClass: { type: 'string', required: true, maxLength: 30 }
+    },
+    body: {
+        baseFare: { type: 'number', min: 0, required: true },
+        perKm: { type: 'number', min: 0, required: true },
+        perMinute: { type: 'number', min: 0, required: true },
+        minimumFare: { type: 'number', min: 0, required: true }
+    }
+};
+
+const tariffParams = {
+    params: tariff.params
+};
+
+const fareEstimate = {
+    body: {
+        pickupCoordinates: coordinates(true),
+        dropoffCoordinates: coordinates(true),
+        stops,
+        ...rideOptions,
+        vehicleClass: { type: 'string', maxLength: 30 },
+        promoCode: { type: 'string', maxLength: 30 }
+    }
+};
+
+// --- Bookings ---
+
+const createBooking = {
+    body: {
+        pickupLocation: { type: 'string', required: true, maxLength: 200 },
+        dropoffLocation: { type: 'string', required: true, maxLength: 200 },
+        pickupCoordinates: coordinates(true),
+        dropoffCoordinates: coordinates(true),
+        stops,
+        ...rideOptions,
+        vehicleClass: { type: 'string', maxLength: 30 },
+        paymentMethod: { type: 'string', enum: ['wallet', 'cash', 'card'] },
+        scheduledAt: { type: 'string', format: 'date' }, // Kosong = ride segera
+        promoCode: { type: 'string', maxLength: 30 }
+    }
+};
+
+// Edit scheduled ride (semua field pilihan)
+const updateScheduledBooking = {
+    params: idParams,
+    body: {
+        pickupLocation: { type: 'string', maxLength: 200 },
+        dropoffLocation: { type: 'string', maxLength: 200 },
+        pickupCoordinates: coordinates(false),
+        dropoffCoordinates: coordinates(false),
+        stops,
+        vehicleClass: { type: 'string', maxLength: 30 },
+        paymentMethod: { type: 'string', enum: ['wallet', 'cash', 'card'] },
+        scheduledAt: { type: 'string', format: 'date' }
+    }
+};
+
+const pendingBookings = {
+    query: {
+        ...listQuery(['distance', 'createdAt', 'fare']),
+        radius: { type: 'number', min: 0 },
+        minFare: bookingListFilters.minFare,
+        maxFare: bookingListFilters.maxFare
+    }
+};
+
+const bookingHistory = {
+    query: { ...listQuery(['createdAt', 'fare']), ...bookingListFilters }
+};
+
+const scheduledBookings = {
+    query: listQuery(['scheduledAt', 'createdAt', 'fare'])
+};
+
+// --- Admin list endpoints ---
+
+const adminCustomers = {
+    query: {
+        ...listQuery(['createdAt', 'name', 'email']),
+        search: { type: 'string', maxLength: 100 } // nama / email
+    }
+};
+
+const adminDrivers = {
+    query: {
+        ...listQuery(['createdAt', 'name', 'averageRating']),
+        search: { type: 'string', maxLength: 100 }, // nama / email / plate number
+        status: { type: 'string', enum: ['online', 'offline', 'busy'] }
+    }
+};
+
+const adminUsers = {
+    query: {
+        limit: { type: 'integer', min: 1, max: 100 },
+        cursor: { type: 'string', format: 'objectId' }, // _id terakhir (lihat utils/accounts.js)
+        search: { type: 'string', maxLength: 100 }, // nama / email
+        role: { type: 'string', enum: ['customer', 'driver', 'admin'] },
+        accountStatus: { type: 'string', enum: ACCOUNT_STATUSES }
+    }
+};
+
+const updateAccountStatus = {
+    params: idParams,
+    body: {
+        status: { type: 'string', enum: ['active', 'suspended', 'banned'], required: true },
+        reason: { type: 'string', maxLength: 300 },
+        until: { type: 'string', format: 'date' } // Hanya untuk 'suspended'; kosong = tanpa had
+    }
+};
+
+const adminBookings = {
+    query: {
+        ...listQuery(['createdAt', 'fare', 'scheduledAt']),
+        ...bookingListFilters,
+        customer: { type: 'string', format: 'objectId' },
+        driver: { type: 'string', format: 'objectId' }
+    }
+};
+
+// Admin dashboard (GET /dashboard): filter booking + carta + auto-refresh (saat, 0 = off)
+const dashboard = {
+    query: {
+        ...adminBookings.query,
+        interval: { type: 'string', enum: ['day', 'week', 'month'] },
+        refresh: { type: 'integer', enum: [0, 15, 30, 60] }
+    }
+};
+
+const systemManagement = {
+    query: listQuery(['createdAt', 'fare'])
+};
+
+const auditLogs = {
+    query: {
+        ...listQuery(['at']),
+        actorId: { type: 'string', format: 'objectId' },
+        actorRole: { type: 'string', enum: ['customer', 'driver', 'admin', 'system'] },
+        entityType: { type: 'string', enum: ['user', 'customer', 'driver', 'vehicle', 'booking', 'promotion', 'tariff', 'rating', 'notification'] },
+        entityId: { type: 'string', maxLength: 50 },
+        from: { type: 'string', format: 'date' },
+        to: { type: 'string', format: 'date' }
+    }
+};
+
+const bookingAction = {
+    params: idParams
+};
+
+const poolAction = {
+    params: idParams
+};
+
+const cancelBooking = {
+    params: idParams,
+    body: {
+        reason: { type: 'string', maxLength: 200 }
+    }
+};
+
+const rateBooking = {
+    params: idParams,
+    body: {
+        rating: { type: 'integer', min: 1, max: 5, required: true },
+        review: { type: 'string', maxLength: 500 }
+    }
+};
+
+const flagRating = {
+    params: idParams,
+    body: {
+        reason: { type: 'string', required: true, minLength: 3, maxLength: 300 }
+    }
+};
+
+const adminReviews = {
+    query: {
+        ...listQuery(['updatedAt', 'createdAt', 'stars']),
+        status: { type: 'string', enum: ['visible', 'flagged', 'removed'] }
+    }
+};
+
+const moderateReview = {
+    params: idParams,
+    body: {
+        action: { type: 'string', enum: ['approve', 'remove'], required: true },
+        note: { type: 'string', maxLength: 300 }
+    }
+};
+
+// --- Analytics (semua tapis ikut julat tarikh, ?format=csv untuk export) ---
+
+const analyticsRange = {
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    format: { type: 'string', enum: ['json', 'csv'] }
+};
+
+const analyticsQuery = {
+    query: analyticsRange
+};
+
+const analyticsRevenue = {
+    query: {
+        ...analyticsRange,
+        interval: { type: 'string', enum: ['day', 'week', 'month'] }
+    }
+};
+
+const analyticsTop = {
+    query: {
+        ...analyticsRange,
+        limit: { type: 'integer', min: 1, max: 100 }
+    }
+};
+
+// --- Promotions ---
+
+const promotionFields = {
+    code: { type: 'string', minLength: 3, maxLength: 30 },
+    description: { type: 'string', maxLength: 200 },
+    discountType: { type: 'string', enum: ['percentage', 'fixed'] },
+    discountValue: { type: 'number', min: 0 },
+    maxDiscount: { type: 'number', min: 0 },
+    minFare: { type: 'number', min: 0 },
+    validFrom: { type: 'string', format: 'date' },
+    validUntil: { type: 'string', format: 'date' },
+    totalUsageLimit: { type: 'integer', min: 1 },
+    perCustomerLimit: { type: 'integer', min: 1 },
+    firstRideOnly: { type: 'boolean' },
+    active: { type: 'boolean' }
+};
+
+const createPromotion = {
+    body: {
+        ...promotionFields,
+        code: { ...promotionFields.code, required: true },
+        discountType: { ...promotionFields.discountType, required: true },
+        discountValue: { ...promotionFields.discountValue, required: true }
+    }
+};
+
+const updatePromotion = {
+    params: idParams,
+    body: promotionFields
+};
+
+// --- Wallet & Payments ---
+
+const walletTopUp = {
+    body: {
+        amount: { type: 'number', min: 1, max: 1000, required: true }
+    }
+};
+
+const refundBooking = {
+    params: idParams,
+    body: {
+        amount: { type: 'number', min: 0.01 },
+        reason: { type: 'string', maxLength: 200 }
+    }
+};
+
+// --- Notifications ---
+
+const notificationFilters = {
+    status: { type: 'string', enum: ['pending', 'sent', 'failed'] },
+    channel: { type: 'string', enum: ['email', 'sms', 'push'] }
+};
+
+const myNotifications = {
+    query: { ...listQuery(['createdAt']), ...notificationFilters }
+};
+
+const adminNotifications = {
+    query: {
+        ...listQuery(['createdAt', 'nextAttemptAt']),
+        ...notificationFilters,
+        template: { type: 'string', maxLength: 50 },
+        recipient: { type: 'string', format: 'objectId' }
+    }
+};
+
+const notificationPreferences = {
+    body: {
+        email: { type: 'boolean' },
+        sms: { type: 'boolean' },
+        push: { type: 'boolean' }
+    }
+};
+
+module.exports = {
+    idParams,
+    registerUser,
+    registerDriver,
+    login,
+    refreshToken,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    updateCustomer,
+    updateDriver,
+    createVehicle,
+    updateVehicle,
+    vehicleAction,
+    setActiveVehicle,
+    updateDriverStatus,
+    updateDriverLocation,
+    uploadDriverDocument,
+    driverDocumentFile,
+    verifyDriver,
+    tariff,
+    tariffParams,
+    fareEstimate,
+    createBooking,
+    updateScheduledBooking,
+    pendingBookings,
+    bookingHistory,
+    scheduledBookings,
+    adminCustomers,
+    adminDrivers,
+    adminUsers,
+    updateAccountStatus,
+    adminBookings,
+    dashboard,
+    systemManagement,
+    auditLogs,
+    bookingAction,
+    poolAction,
+    cancelBooking,
+    rateBooking,
+    flagRating,
+    adminReviews,
+    moderateReview,
+    analyticsQuery,
+    analyticsRevenue,
+    analyticsTop,
+    createPromotion,
+    updatePromotion,
+    walletTopUp,
+    refundBooking,
+    myNotifications,
+    adminNotifications,
+    notificationPreferences
+};
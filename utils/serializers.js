@@ -0,0 +1,12 @@
+// Serializer untuk response: pastikan field sensitif tidak pernah keluar dari API
+
+const PRIVATE_USER_FIELDS = ['password', 'tokenVersion', '__v'];
+
+const serializeUser = (user) => {
+    if (!user) return user;
+    const data = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+    PRIVATE_USER_FIELDS.forEach(field => delete data[field]);
+    return data;
+};
+
+module.exports = { serializeUser };
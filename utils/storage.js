@@ -0,0 +1,43 @@
+// Interface storage untuk fail yang dimuat naik.
+// Setiap storage mesti ada:
+//   save(buffer, { originalName }) -> key
+//   read(key) -> ReadableStream
+//   remove(key)
+// Default: simpan dalam disk lokal (UPLOAD_DIR).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const localDiskStorage = {
+    async save(buffer, { originalName = '' } = {}) {
+        await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+
+        // Nama fail rawak; hanya extension asal dikekalkan
+        const ext = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+        const key = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+
+        await fs.promises.writeFile(path.join(UPLOAD_DIR, key), buffer);
+        return key;
+    },
+
+    read(key) {
+        return fs.createReadStream(path.join(UPLOAD_DIR, path.basename(key)));
+    },
+
+    async remove(key) {
+        await fs.promises.rm(path.join(UPLOAD_DIR, path.basename(key)), { force: true });
+    }
+};
+
+let storage = localDiskStorage;
+
+const setStorage = (impl) => {
+    storage = impl;
+};
+
+const getStorage = () => storage;
+
+module.exports = { localDiskStorage, setStorage, getStorage };
@@ -0,0 +1,139 @@
+// Validation layer deklaratif untuk request body / query / params.
+//
+// Setiap schema ialah object { field: rule }, contoh:
+//   { email: { type: 'string', format: 'email', required: true } }
+//
+// Rule yang disokong: type (string | number | integer | boolean | object | array),
+// required, enum, format, min, max, minLength, maxLength, properties (untuk object),
+// items & maxItems (untuk array).
+// Field yang tiada dalam schema akan DITOLAK (elak mass-assignment).
+
+const mongoose = require('mongoose');
+
+const FORMATS = {
+    email: { test: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), message: 'must be a valid email address' },
+    phone: { test: (v) => /^\+?\d{9,15}$/.test(v), message: 'must be a valid phone number (e.g. +60123456789)' },
+    plate: { test: (v) => /^[A-Z]{1,3}\s?\d{1,4}\s?[A-Z]{0,2}$/i.test(v), message: 'must be a valid plate number (e.g. WXY 1234)' },
+    objectId: { test: (v) => mongoose.isValidObjectId(v), message: 'must be a valid id' },
+    date: { test: (v) => !Number.isNaN(Date.parse(v)), message: 'must be a valid date' }
+};
+
+// Query string & params sentiasa string, jadi tukar dulu ke jenis sebenar
+const coerce = (value, type) => {
+    if (typeof value !== 'string') return value;
+    if ((type === 'number' || type === 'integer') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+const checkType = (value, type) => {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        default: return true;
+    }
+};
+
+// Validate satu object terhadap schema; pulangkan { value, errors }
+const validateObject = (input, schema, path, { coerceStrings }) => {
+    const errors = [];
+    const value = {};
+    const data = input || {};
+
+    Object.keys(data).forEach(key => {
+        if (!schema[key]) errors.push({ field: `${path}.${key}`, message: 'is not allowed' });
+    });
+
+    Object.entries(schema).forEach(([key, rule]) => {
+        const field = `${path}.${key}`;
+        let v = data[key];
+
+        if (v === undefined || v === null || v === '') {
+            if (rule.required) errors.push({ field, message: 'is required' });
+            return;
+        }
+
+        if (coerceStrings) v = coerce(v, rule.type);
+        if (typeof v === 'string' && rule.type === 'string') v = v.trim();
+
+        if (rule.type && !checkType(v, rule.type)) {
+            errors.push({ field, message: `must be of type ${rule.type}` });
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(v)) {
+            errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+            return;
+        }
+        if (rule.format && !FORMATS[rule.format].test(v)) {
+            errors.push({ field, message: FORMATS[rule.format].message });
+            return;
+        }
+        if (rule.min !== undefined && v < rule.min) errors.push({ field, message: `must be >= ${rule.min}` });
+        if (rule.max !== undefined && v > rule.max) errors.push({ field, message: `must be <= ${rule.max}` });
+        if (rule.maxItems !== undefined && v.length > rule.maxItems) {
+            errors.push({ field, message: `must contain at most ${rule.maxItems} items` });
+            return;
+        }
+        if (rule.minLength !== undefined && v.length < rule.minLength) {
+            errors.push({ field, message: `must be at least ${rule.minLength} characters` });
+        }
+        if (rule.maxLength !== undefined && v.length > rule.maxLength) {
+            errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+        }
+
+        if (rule.type === 'object' && rule.properties) {
+            const nested = validateObject(v, rule.properties, field, { coerceStrings });
+            errors.push(...nested.errors);
+            v = nested.value;
+        }
+
+        // Setiap item array divalidate dengan rule 'items' (field: body.stops.0.location)
+        if (rule.type === 'array' && rule.items) {
+            const items = Object.fromEntries(v.map((item, i) => [i, item]));
+            const itemRules = Object.fromEntries(v.map((item, i) => [i, { ...rule.items, required: true }]));
+            const nested = validateObject(items, itemRules, field, { coerceStrings });
+            errors.push(...nested.errors);
+            v = v.map((item, i) => nested.value[i]);
+        }
+
+        value[key] = v;
+    });
+
+    return { value, errors };
+};
+
+// Middleware: validate({ body, query, params }) -> 400 dengan senarai field error.
+// Schema disimpan pada middleware (.schemas) supaya utils/openapi.js boleh jana dokumentasi.
+const validate = (schemas) => Object.assign((req, res, next) => {
+    const errors = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+        if (!schemas[location]) return;
+
+        const result = validateObject(req[location], schemas[location], location, {
+            coerceStrings: location !== 'body'
+        });
+        errors.push(...result.errors);
+        req[location] = result.value; // Hanya field yang lulus validation diteruskan ke route
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Validation failed", fields: errors });
+    }
+    next();
+}, { schemas });
+
+// Whitelist ikut role: validateByRole({ driver: schemas, admin: schemas })
+const validateByRole = (schemasByRole) => Object.assign((req, res, next) => {
+    const schemas = schemasByRole[req.user && req.user.role];
+    if (!schemas) return res.status(403).json({ error: "Forbidden" });
+    validate(schemas)(req, res, next);
+}, { schemasByRole });
+
+module.exports = { FORMATS, validate, validateByRole };
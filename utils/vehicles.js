@@ -0,0 +1,31 @@
+// Helper kenderaan driver. Driver.vehicleType / plateNumber / vehicleClass ialah salinan kenderaan aktif
+// (dipakai oleh carian admin, notifikasi & padanan job) dan dikemas kini melalui setActiveVehicle / syncActiveVehicle.
+
+const Driver = require('../models/Driver');
+const { getTariff } = require('./fare');
+
+// Kategori mesti ada tariff (default atau yang diset admin)
+const checkCategory = async (category) => (await getTariff(category)).vehicleClass;
+
+// Field salinan pada Driver
+const driverFields = (vehicle) => ({
+    activeVehicle: vehicle._id,
+    vehicleType: [vehicle.make, vehicle.model].join(' '),
+    plateNumber: vehicle.plateNumber,
+    vehicleClass: vehicle.category
+});
+
+// Tukar kenderaan aktif (tidak boleh semasa dalam trip). Pulangkan driver, atau null kalau driver 'busy'.
+const setActiveVehicle = (driverId, vehicle) => Driver.findOneAndUpdate(
+    { _id: driverId, status: { $ne: 'busy' } },
+    driverFields(vehicle),
+    { new: true }
+);
+
+// Kenderaan aktif diubah -> kemas kini salinan pada Driver
+const syncActiveVehicle = (vehicle) => Driver.updateOne(
+    { _id: vehicle.driver, activeVehicle: vehicle._id },
+    driverFields(vehicle)
+);
+
+module.exports = { checkCategory, setActiveVehicle, syncActiveVehicle };